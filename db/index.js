@@ -25,6 +25,8 @@ const pool = new Pool({
   connectionString,
   // Explicitly request SSL and tell pg not to verify the chain
   ssl: needSSL ? { require: true, rejectUnauthorized: false } : false,
+  // Fail a checkout instead of queueing forever when every client is busy
+  connectionTimeoutMillis: Number(process.env.PG_CONNECT_TIMEOUT_MS) || 10000,
 });
 
 // Helpful logs
@@ -0,0 +1,449 @@
+// backend/db/schema.js
+// Idempotent DDL for tables/columns the app owns. Runs once per process at boot
+// (index.js). Every statement must be safe to re-run against a live database.
+const pool = require("./index");
+const { seedValuesSql } = require("../services/teams");
+
+// Season that pre-season data (and a fresh database) starts in
+const INITIAL_SEASON = parseInt(process.env.INITIAL_SEASON, 10) || 2025;
+
+const STATEMENTS = [
+  /* ---------------- Persisted weekly results (leaderboard cache) ---------------- */
+  `CREATE TABLE IF NOT EXISTS weekly_results (
+     week               integer NOT NULL,
+     user_id            integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     base_points        double precision NOT NULL DEFAULT 0,
+     gotw_points        double precision NOT NULL DEFAULT 0,
+     potw_points        double precision NOT NULL DEFAULT 0,
+     total_points       double precision NOT NULL DEFAULT 0,
+     correct_favorites  integer NOT NULL DEFAULT 0,
+     correct_underdogs  integer NOT NULL DEFAULT 0,
+     factor             double precision NOT NULL DEFAULT 1,
+     gotw_award         integer,
+     potw_exact         boolean NOT NULL DEFAULT false,
+     is_weekly_winner   boolean NOT NULL DEFAULT false,
+     computed_at        timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (week, user_id)
+   )`,
+  // version bumps on every input change; computed_version records what the
+  // stored rows were built from. Stale = version > computed_version.
+  `CREATE TABLE IF NOT EXISTS weekly_results_state (
+     week                   integer PRIMARY KEY,
+     version                bigint NOT NULL DEFAULT 1,
+     computed_version       bigint NOT NULL DEFAULT 0,
+     dirty_reason           text,
+     dirtied_at             timestamptz NOT NULL DEFAULT now(),
+     computed_at            timestamptz,
+     gotw_actual            double precision,
+     potw_actual            double precision,
+     weekly_winner_user_id  integer
+   )`,
+
+  /* ------------------------- Leagues (pools) + membership ------------------------ */
+  `CREATE TABLE IF NOT EXISTS leagues (
+     id           serial PRIMARY KEY,
+     name         text NOT NULL,
+     invite_code  text NOT NULL UNIQUE,
+     is_default   boolean NOT NULL DEFAULT false,
+     created_by   integer REFERENCES users(id) ON DELETE SET NULL,
+     created_at   timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS leagues_single_default ON leagues (is_default) WHERE is_default`,
+  // The pre-league global pool becomes the default league
+  `INSERT INTO leagues (name, invite_code, is_default)
+   SELECT 'Main League', upper(substr(md5(random()::text), 1, 8)), true
+    WHERE NOT EXISTS (SELECT 1 FROM leagues WHERE is_default)`,
+  `CREATE TABLE IF NOT EXISTS league_members (
+     league_id  integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     user_id    integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     role       text NOT NULL DEFAULT 'member' CHECK (role IN ('member', 'admin')),
+     joined_at  timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (league_id, user_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS league_members_user_idx ON league_members (user_id)`,
+  // Users that predate leagues belong to the default league
+  `INSERT INTO league_members (league_id, user_id)
+   SELECT l.id, u.id
+     FROM leagues l CROSS JOIN users u
+    WHERE l.is_default
+      AND NOT EXISTS (SELECT 1 FROM league_members m WHERE m.user_id = u.id)
+   ON CONFLICT DO NOTHING`,
+
+  // League scope on per-pool tables: add column, backfill to the default
+  // league, then swap the old week-only unique keys for league-aware ones.
+  ...["picks", "game_of_the_week", "player_of_the_week", "weekly_results", "weekly_results_state"]
+    .flatMap((t) => [
+      `ALTER TABLE ${t} ADD COLUMN IF NOT EXISTS league_id integer REFERENCES leagues(id) ON DELETE CASCADE`,
+      `UPDATE ${t} SET league_id = (SELECT id FROM leagues WHERE is_default) WHERE league_id IS NULL`,
+      `ALTER TABLE ${t} ALTER COLUMN league_id SET NOT NULL`,
+    ]),
+  `ALTER TABLE picks DROP CONSTRAINT IF EXISTS picks_user_id_week_key`,
+  `ALTER TABLE game_of_the_week DROP CONSTRAINT IF EXISTS game_of_the_week_week_key`,
+  `ALTER TABLE player_of_the_week DROP CONSTRAINT IF EXISTS player_of_the_week_week_key`,
+  `ALTER TABLE weekly_results DROP CONSTRAINT IF EXISTS weekly_results_pkey`,
+  `ALTER TABLE weekly_results_state DROP CONSTRAINT IF EXISTS weekly_results_state_pkey`,
+
+  /* ------------------------------- Seasons -------------------------------- */
+  // Exactly one season is current; past seasons stay browsable.
+  `CREATE TABLE IF NOT EXISTS seasons (
+     year         integer PRIMARY KEY,
+     is_current   boolean NOT NULL DEFAULT false,
+     started_at   timestamptz NOT NULL DEFAULT now(),
+     archived_at  timestamptz
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS seasons_single_current ON seasons (is_current) WHERE is_current`,
+  // Data that predates seasons belongs to INITIAL_SEASON
+  `INSERT INTO seasons (year, is_current)
+   SELECT ${INITIAL_SEASON}, true
+    WHERE NOT EXISTS (SELECT 1 FROM seasons WHERE is_current)`,
+  `CREATE OR REPLACE FUNCTION current_season() RETURNS integer
+     LANGUAGE sql STABLE
+     AS $$ SELECT year FROM seasons WHERE is_current LIMIT 1 $$`,
+  `CREATE TABLE IF NOT EXISTS season_champions (
+     league_id     integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season        integer NOT NULL REFERENCES seasons(year),
+     user_id       integer REFERENCES users(id) ON DELETE SET NULL,
+     display_name  text,
+     total_points  double precision,
+     recorded_at   timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (league_id, season)
+   )`,
+  // Season on season-scoped tables; new rows default to the live season.
+  ...["games", "picks", "game_of_the_week", "player_of_the_week", "weekly_results", "weekly_results_state"]
+    .flatMap((t) => [
+      `ALTER TABLE ${t} ADD COLUMN IF NOT EXISTS season integer`,
+      `UPDATE ${t} SET season = current_season() WHERE season IS NULL`,
+      `ALTER TABLE ${t} ALTER COLUMN season SET DEFAULT current_season()`,
+      `ALTER TABLE ${t} ALTER COLUMN season SET NOT NULL`,
+    ]),
+  `CREATE INDEX IF NOT EXISTS games_season_week_idx ON games (season, week)`,
+  // Unique keys per league + season (replacing the league-only keys)
+  // (picks gets its season key with the contest column, under Survivor below)
+  `DROP INDEX IF EXISTS picks_league_user_week_key`,
+  `DROP INDEX IF EXISTS game_of_the_week_league_week_key`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS game_of_the_week_league_season_week_key ON game_of_the_week (league_id, season, week)`,
+  `DROP INDEX IF EXISTS player_of_the_week_league_week_key`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS player_of_the_week_league_season_week_key ON player_of_the_week (league_id, season, week)`,
+  `DROP INDEX IF EXISTS weekly_results_league_week_user_key`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS weekly_results_league_season_week_user_key ON weekly_results (league_id, season, week, user_id)`,
+  `DROP INDEX IF EXISTS weekly_results_state_league_week_key`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS weekly_results_state_league_season_week_key ON weekly_results_state (league_id, season, week)`,
+
+  /* ---------------------------- Scoring rules ----------------------------- */
+  // One row per season (league_id NULL) plus optional per-league overrides.
+  // rules is merged over services/scoringRules.js DEFAULT_RULES when read.
+  `CREATE TABLE IF NOT EXISTS scoring_rules (
+     id          serial PRIMARY KEY,
+     season      integer NOT NULL REFERENCES seasons(year),
+     league_id   integer REFERENCES leagues(id) ON DELETE CASCADE,
+     rules       jsonb NOT NULL,
+     updated_by  integer REFERENCES users(id) ON DELETE SET NULL,
+     updated_at  timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS scoring_rules_scope_key ON scoring_rules (season, (COALESCE(league_id, 0)))`,
+  // Configurable awards: keep the GOTW rank and allow fractional awards
+  `ALTER TABLE weekly_results ADD COLUMN IF NOT EXISTS gotw_rank integer`,
+  `ALTER TABLE weekly_results ALTER COLUMN gotw_award TYPE double precision`,
+  // Rows stored before gotw_rank existed were built with the default 3/2/1 awards
+  `UPDATE weekly_results SET gotw_rank = 4 - gotw_award::int
+    WHERE gotw_rank IS NULL AND gotw_award IN (1, 2, 3)`,
+
+  /* ------------------------- Against-the-spread (ATS) ------------------------- */
+  // line_* is written by scripts/fetchOdds.js; declared here too so scoring can rely on it
+  `ALTER TABLE games
+     ADD COLUMN IF NOT EXISTS line_favorite          text,
+     ADD COLUMN IF NOT EXISTS line_spread            numeric,
+     ADD COLUMN IF NOT EXISTS kickoff_line_favorite  text,
+     ADD COLUMN IF NOT EXISTS kickoff_line_spread    numeric,
+     ADD COLUMN IF NOT EXISTS kickoff_line_frozen_at timestamptz`,
+  // Line of the picked game when the pick was made (rules.ats_line = "pick")
+  `ALTER TABLE picks
+     ADD COLUMN IF NOT EXISTS line_favorite_at_pick  text,
+     ADD COLUMN IF NOT EXISTS line_spread_at_pick    numeric`,
+  `ALTER TABLE weekly_results
+     ADD COLUMN IF NOT EXISTS ats_spread  double precision,
+     ADD COLUMN IF NOT EXISTS ats_margin  double precision,
+     ADD COLUMN IF NOT EXISTS ats_result  text`,
+
+  /* ------------------------------- Survivor -------------------------------- */
+  // Survivor picks share the picks table; the contest is part of the unique key
+  `ALTER TABLE picks ADD COLUMN IF NOT EXISTS contest text NOT NULL DEFAULT 'pickem'`,
+  `ALTER TABLE picks DROP CONSTRAINT IF EXISTS picks_contest_check`,
+  `ALTER TABLE picks ADD CONSTRAINT picks_contest_check CHECK (contest IN ('pickem', 'survivor'))`,
+  // Key created by earlier versions of the season migration
+  `DROP INDEX IF EXISTS picks_league_season_user_week_key`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS picks_league_season_contest_user_week_key
+     ON picks (league_id, season, contest, user_id, week)`,
+  // No team twice in a survivor season (backs up the check in routes/picks.js)
+  `CREATE UNIQUE INDEX IF NOT EXISTS picks_survivor_team_once
+     ON picks (league_id, season, user_id, team) WHERE contest = 'survivor'`,
+
+  /* --------------------------- Confidence points --------------------------- */
+  // In confidence mode the picks row is the user's weekly entry (GOTW/POTW
+  // predictions, team NULL) and the per-game picks live here.
+  `ALTER TABLE picks ALTER COLUMN team DROP NOT NULL`,
+  `CREATE TABLE IF NOT EXISTS confidence_picks (
+     id          serial PRIMARY KEY,
+     league_id   integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season      integer NOT NULL DEFAULT current_season() REFERENCES seasons(year),
+     user_id     integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     week        integer NOT NULL,
+     game_id     integer NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+     team        text NOT NULL,
+     confidence  integer NOT NULL CHECK (confidence >= 1),
+     created_at  timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS confidence_picks_game_key
+     ON confidence_picks (league_id, season, user_id, week, game_id)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS confidence_picks_value_key
+     ON confidence_picks (league_id, season, user_id, week, confidence)`,
+
+  /* --------------------------------- Teams --------------------------------- */
+  // Canonical registry (services/teams.js); rows edited in the DB are kept
+  `CREATE TABLE IF NOT EXISTS teams (
+     abbr             text PRIMARY KEY,
+     name             text NOT NULL UNIQUE,
+     conference       text NOT NULL CHECK (conference IN ('AFC', 'NFC')),
+     division         text NOT NULL CHECK (division IN ('East', 'North', 'South', 'West')),
+     primary_color    text,
+     secondary_color  text,
+     aliases          text[] NOT NULL DEFAULT '{}',
+     updated_at       timestamptz NOT NULL DEFAULT now()
+   )`,
+  `INSERT INTO teams (abbr, name, conference, division, primary_color, secondary_color, aliases)
+   VALUES
+     ${seedValuesSql()}
+   ON CONFLICT (abbr) DO NOTHING`,
+  // "LA" is both the Rams and the Chargers; older seeds gave it to the Rams
+  `UPDATE teams SET aliases = array_remove(aliases, 'LA') WHERE abbr = 'LAR' AND 'LA' = ANY(aliases)`,
+
+  /* -------------------------------- Job runs -------------------------------- */
+  // One row per data-sync run (services/jobRuns.js); diffs hold per-game before/after
+  `CREATE TABLE IF NOT EXISTS job_runs (
+     id             bigserial PRIMARY KEY,
+     job            text NOT NULL,
+     trigger        text NOT NULL CHECK (trigger IN ('scheduler', 'admin', 'api', 'cli')),
+     status         text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'ok', 'error')),
+     started_at     timestamptz NOT NULL DEFAULT now(),
+     finished_at    timestamptz,
+     rows_examined  integer NOT NULL DEFAULT 0,
+     rows_changed   integer NOT NULL DEFAULT 0,
+     diffs          jsonb NOT NULL DEFAULT '[]'::jsonb,
+     error          text,
+     meta           jsonb NOT NULL DEFAULT '{}'::jsonb
+   )`,
+  `CREATE INDEX IF NOT EXISTS job_runs_job_started_idx ON job_runs (job, started_at DESC)`,
+
+  /* ------------------------------ Line history ------------------------------ */
+  // One row per line a bookmaker held for a game (services/oddsHistory.js)
+  `CREATE TABLE IF NOT EXISTS odds_snapshots (
+     id            bigserial PRIMARY KEY,
+     game_id       integer NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+     bookmaker     text NOT NULL,
+     favorite      text,
+     spread        numeric,
+     over_under    numeric,
+     fetched_at    timestamptz NOT NULL DEFAULT now(),
+     last_seen_at  timestamptz NOT NULL DEFAULT now(),
+     is_opening    boolean NOT NULL DEFAULT false,
+     is_closing    boolean NOT NULL DEFAULT false
+   )`,
+  `CREATE INDEX IF NOT EXISTS odds_snapshots_game_book_idx
+     ON odds_snapshots (game_id, bookmaker, fetched_at DESC)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS odds_snapshots_opening_key
+     ON odds_snapshots (game_id, bookmaker) WHERE is_opening`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS odds_snapshots_closing_key
+     ON odds_snapshots (game_id, bookmaker) WHERE is_closing`,
+  // The exact snapshots ATS scoring used: closing line of the game's source, line at pick time
+  `ALTER TABLE games
+     ADD COLUMN IF NOT EXISTS line_source              text,
+     ADD COLUMN IF NOT EXISTS kickoff_line_snapshot_id bigint REFERENCES odds_snapshots(id) ON DELETE SET NULL`,
+  `ALTER TABLE picks
+     ADD COLUMN IF NOT EXISTS line_snapshot_id_at_pick bigint REFERENCES odds_snapshots(id) ON DELETE SET NULL`,
+
+  /* -------------------------------- Odds sync -------------------------------- */
+  // Written by services/odds.Ingestor.js (scripts/fetchOdds.js used to add these itself)
+  `ALTER TABLE games
+     ADD COLUMN IF NOT EXISTS line_over_under  numeric,
+     ADD COLUMN IF NOT EXISTS line_updated_at  timestamptz,
+     ADD COLUMN IF NOT EXISTS favorite         text,
+     ADD COLUMN IF NOT EXISTS spread           numeric`,
+
+  /* ---------------------------- Kickoff changes ---------------------------- */
+  // Audit of every games.kickoff change made by services/kickoffs.js
+  `CREATE TABLE IF NOT EXISTS kickoff_changes (
+     id             bigserial PRIMARY KEY,
+     game_id        integer NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+     season         integer NOT NULL,
+     week           integer NOT NULL,
+     old_kickoff    timestamptz,
+     new_kickoff    timestamptz NOT NULL,
+     delta_minutes  integer,
+     source         text NOT NULL,
+     reason         text,
+     changed_by     integer REFERENCES users(id) ON DELETE SET NULL,
+     job_run_id     bigint REFERENCES job_runs(id) ON DELETE SET NULL,
+     changed_at     timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS kickoff_changes_game_idx ON kickoff_changes (game_id, changed_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS kickoff_changes_season_week_idx ON kickoff_changes (season, week)`,
+
+  /* ------------------------------ Game status ------------------------------ */
+  // Lifecycle written by services/score.Ingestor.js (services/gameStatus.js);
+  // scoring only counts is_final games.
+  `ALTER TABLE games
+     ADD COLUMN IF NOT EXISTS status            text,
+     ADD COLUMN IF NOT EXISTS period            smallint,
+     ADD COLUMN IF NOT EXISTS clock             text,
+     ADD COLUMN IF NOT EXISTS status_updated_at timestamptz`,
+  // status is NULL only right after the column was added: games scored before
+  // statuses existed (both scores in, long since kicked off) start out final
+  `UPDATE games
+      SET status = CASE WHEN home_score IS NOT NULL AND away_score IS NOT NULL
+                             AND kickoff < now() - interval '6 hours'
+                        THEN 'final' ELSE 'scheduled' END
+    WHERE status IS NULL`,
+  `ALTER TABLE games ALTER COLUMN status SET DEFAULT 'scheduled'`,
+  `ALTER TABLE games ALTER COLUMN status SET NOT NULL`,
+  `ALTER TABLE games DROP CONSTRAINT IF EXISTS games_status_check`,
+  `ALTER TABLE games ADD CONSTRAINT games_status_check
+     CHECK (status IN ('scheduled', 'in_progress', 'final', 'postponed', 'canceled'))`,
+  `ALTER TABLE games ADD COLUMN IF NOT EXISTS is_final boolean GENERATED ALWAYS AS (status = 'final') STORED`,
+
+  /* ---------------------------- Week finalization ---------------------------- */
+  // Finalized weeks keep their stored results until reopened (services/weekFinalization.js)
+  `ALTER TABLE weekly_results_state
+     ADD COLUMN IF NOT EXISTS finalized_at   timestamptz,
+     ADD COLUMN IF NOT EXISTS finalized_by   integer REFERENCES users(id) ON DELETE SET NULL,
+     ADD COLUMN IF NOT EXISTS recap_sent_at  timestamptz`,
+  // One row per finalize / reopen; standings as frozen (finalize) or rescored (reopen)
+  `CREATE TABLE IF NOT EXISTS week_finalizations (
+     id                     bigserial PRIMARY KEY,
+     league_id              integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season                 integer NOT NULL,
+     week                   integer NOT NULL,
+     action                 text NOT NULL CHECK (action IN ('finalize', 'reopen')),
+     user_id                integer REFERENCES users(id) ON DELETE SET NULL,
+     reason                 text,
+     weekly_winner_user_id  integer,
+     checks                 jsonb NOT NULL DEFAULT '[]'::jsonb,
+     standings              jsonb NOT NULL DEFAULT '[]'::jsonb,
+     changes                jsonb,
+     notified               integer,
+     created_at             timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS week_finalizations_week_idx ON week_finalizations (league_id, season, week, id DESC)`,
+
+  /* ------------------------------ Pick history ------------------------------ */
+  // When the current pick was last changed (the earliest_pick tie-breaker);
+  // created_at stays the first submission.
+  `ALTER TABLE picks ADD COLUMN IF NOT EXISTS submitted_at timestamptz`,
+  `UPDATE picks SET submitted_at = created_at WHERE submitted_at IS NULL`,
+  `ALTER TABLE picks ALTER COLUMN submitted_at SET DEFAULT now()`,
+  // Every create / change / locked-out attempt (services/pickHistory.js)
+  `CREATE TABLE IF NOT EXISTS pick_versions (
+     id          bigserial PRIMARY KEY,
+     pick_id     integer REFERENCES picks(id) ON DELETE SET NULL,
+     league_id   integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season      integer NOT NULL,
+     contest     text NOT NULL DEFAULT 'pickem',
+     user_id     integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     week        integer NOT NULL,
+     action      text NOT NULL CHECK (action IN ('create', 'update', 'rejected')),
+     source      text NOT NULL CHECK (source IN ('user', 'admin', 'auto')),
+     actor_id    integer REFERENCES users(id) ON DELETE SET NULL,
+     team        text,
+     state       jsonb NOT NULL,
+     previous    jsonb,
+     client_ip   text,
+     reason      text,
+     created_at  timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS pick_versions_week_idx ON pick_versions (league_id, season, week, id)`,
+  `CREATE INDEX IF NOT EXISTS pick_versions_user_idx ON pick_versions (user_id, season, id DESC)`,
+  // Admin proxy edits entered after the pick lock (services/proxyPicks.js)
+  `ALTER TABLE pick_versions ADD COLUMN IF NOT EXISTS lock_override boolean NOT NULL DEFAULT false`,
+
+  /* ----------------------------- Pick reminders ----------------------------- */
+  // Opt-out of the missing-pick emails (services/pickReminders.js)
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS pick_reminders boolean NOT NULL DEFAULT true`,
+  // One row per reminder sent, so no one gets the same one twice
+  `CREATE TABLE IF NOT EXISTS pick_reminders (
+     id              bigserial PRIMARY KEY,
+     league_id       integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season          integer NOT NULL,
+     week            integer NOT NULL,
+     user_id         integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     offset_minutes  integer NOT NULL,
+     lock_at         timestamptz NOT NULL,
+     sent_at         timestamptz NOT NULL DEFAULT now(),
+     UNIQUE (league_id, season, week, user_id, offset_minutes)
+   )`,
+
+  /* ------------------------------- Auto-picks ------------------------------- */
+  // Picks made by services/autoPicks.js for members with none at the week lock;
+  // cleared when the user submits their own pick
+  `ALTER TABLE picks ADD COLUMN IF NOT EXISTS is_auto boolean NOT NULL DEFAULT false`,
+  // Strategy used under rules.auto_pick_policy = "user_choice" (NULL = favorite)
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS auto_pick_strategy text`,
+  `ALTER TABLE users DROP CONSTRAINT IF EXISTS users_auto_pick_strategy_check`,
+  `ALTER TABLE users ADD CONSTRAINT users_auto_pick_strategy_check
+     CHECK (auto_pick_strategy IN ('favorite', 'home', 'underdog', 'none'))`,
+  // League-weeks already processed, so a member who joins after the lock isn't auto-picked
+  `CREATE TABLE IF NOT EXISTS auto_pick_weeks (
+     league_id  integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season     integer NOT NULL,
+     week       integer NOT NULL,
+     policy     text NOT NULL,
+     created    integer NOT NULL DEFAULT 0,
+     ran_at     timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (league_id, season, week)
+   )`,
+
+  /* ------------------------ Lock overrides / extensions ----------------------- */
+  // Admin control over a league-week's pick lock (services/pickLocks.js):
+  // mode locks / opens it outright, lock_at moves the lock time
+  `CREATE TABLE IF NOT EXISTS week_lock_overrides (
+     league_id   integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season      integer NOT NULL,
+     week        integer NOT NULL,
+     mode        text CHECK (mode IN ('locked', 'unlocked')),
+     lock_at     timestamptz,
+     reason      text,
+     updated_by  integer REFERENCES users(id) ON DELETE SET NULL,
+     updated_at  timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (league_id, season, week),
+     CHECK (mode IS NOT NULL OR lock_at IS NOT NULL)
+   )`,
+  // One user's later deadline for a league-week
+  `CREATE TABLE IF NOT EXISTS pick_deadline_extensions (
+     league_id       integer NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+     season          integer NOT NULL,
+     week            integer NOT NULL,
+     user_id         integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     extended_until  timestamptz NOT NULL,
+     reason          text,
+     granted_by      integer REFERENCES users(id) ON DELETE SET NULL,
+     created_at      timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (league_id, season, week, user_id)
+   )`,
+];
+
+let ready = null;
+
+/** Run all DDL once; later callers share the same promise. */
+function ensureSchema() {
+  if (!ready) {
+    ready = (async () => {
+      for (const sql of STATEMENTS) {
+        await pool.query(sql);
+      }
+    })().catch((err) => {
+      ready = null; // allow a retry on the next call
+      throw err;
+    });
+  }
+  return ready;
+}
+
+module.exports = { ensureSchema };
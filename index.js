@@ -72,6 +72,8 @@ const userRoutes = require("./routes/users");
 const pickRoutes = require("./routes/picks");
 const gameRoutes = require("./routes/games");
 const highlightsRoutes = require("./routes/highlights");
+const leagueRoutes = require("./routes/leagues");
+const teamRoutes = require("./routes/teams");
 
 const adminRoutes = require("./routes/admin");
 const adminUsersRoutes = require("./routes/adminUsers");
@@ -79,9 +81,14 @@ const adminEditRoutes = require("./routes/adminEdit");
 
 const leaderboardRoutes = require("./routes/leaderboard");
 const passwordResetRoutes = require("./routes/passwordReset");
+const liveRoutes = require("./routes/live");
 const adminEmailRoutes = require("./routes/adminEmail");
+const adminScoringRulesRoutes = require("./routes/adminScoringRules");
+const adminJobsRoutes = require("./routes/adminJobs");
 const scoresRoutes = require("./routes/scores");
 const adminScoresRoutes = require("./routes/adminScores");
+const adminOddsRoutes = require("./routes/adminOdds");
+const adminKickoffsRoutes = require("./routes/adminKickoffs");
 
 // Public games router (unauthenticated read-only)
 const publicGamesRouter = require("./routes/publicGames");
@@ -108,6 +115,8 @@ app.use("/users", userRoutes);
 app.use("/picks", pickRoutes);
 app.use("/games", gameRoutes);
 app.use("/games", highlightsRoutes);
+app.use("/leagues", leagueRoutes);
+app.use("/teams", teamRoutes);
 
 // Public read-only API for frontend display (odds/scores)
 app.use("/public", publicGamesRouter);
@@ -117,10 +126,15 @@ app.use("/admin", adminRoutes);
 app.use("/admin", adminEditRoutes);      // PUT /admin/users/:id + quick-edit
 app.use("/admin/users", adminUsersRoutes);
 app.use("/admin/email", adminEmailRoutes);
+app.use("/admin/scoring-rules", adminScoringRulesRoutes);
+app.use("/admin/jobs", adminJobsRoutes);
 app.use("/admin/scores", scoresRoutes);
+app.use("/admin/odds", adminOddsRoutes);
+app.use("/admin/kickoffs", adminKickoffsRoutes);
 
 // Leaderboard & password reset
 app.use("/leaderboard", leaderboardRoutes);
+app.use("/live", liveRoutes);             // SSE score/standings push
 app.use("/auth", passwordResetRoutes);
 
 // Root
@@ -140,6 +154,19 @@ app.use((err, req, res, _next) => {
   res.status(500).json({ error: "Server error" });
 });
 
+// App-owned tables (idempotent); routes degrade with 500s if this fails
+const { ensureSchema } = require("./db/schema");
+ensureSchema()
+  .then(() => console.log("[DB] Schema ready"))
+  .then(() => require("./services/teams").loadTeams())
+  .then(() => {
+    // In-process scores/odds/kickoff jobs (services/scheduler.js)
+    if (String(process.env.SCHEDULER_ENABLED || "").toLowerCase() === "true") {
+      require("./services/scheduler").startScheduler();
+    }
+  })
+  .catch((e) => console.error("[DB] Schema setup FAILED:", e));
+
 app.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
 });
@@ -0,0 +1,21 @@
+// middleware/ensureAdmin.js
+// Global admin guard for routes behind authenticateToken: valid JWT + users.is_admin.
+const pool = require('../db');
+
+async function ensureAdmin(req, res, next) {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const u = await pool.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
+    if (!u.rows.length || !u.rows[0].is_admin) {
+      return res.status(403).json({ error: 'Forbidden: admin only' });
+    }
+    next();
+  } catch (e) {
+    console.error('ensureAdmin error:', e);
+    res.status(500).json({ error: 'Internal error (admin check)' });
+  }
+}
+
+module.exports = ensureAdmin;
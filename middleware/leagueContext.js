@@ -0,0 +1,94 @@
+// middleware/leagueContext.js
+// Resolves which league (pool) a request is about and attaches it as req.league.
+// League id comes from (in order): :leagueId param, ?league_id, body.league_id,
+// or the x-league-id header. Without one, the default league is used.
+const pool = require('../db');
+const authenticateToken = require('./authMiddleware');
+const { getDefaultLeagueId, getLeague, getMemberRole } = require('../services/leagues');
+
+function requestedLeagueId(req) {
+  const raw =
+    req.params?.leagueId ??
+    req.query?.league_id ??
+    req.body?.league_id ??
+    req.headers['x-league-id'];
+  if (raw === undefined || raw === null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+async function isGlobalAdmin(userId) {
+  if (!userId) return false;
+  const r = await pool.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
+  return !!r.rows[0]?.is_admin;
+}
+
+/**
+ * resolveLeague({ requireMember })
+ *  - sets req.league = { id, name, is_default, role }  (role: 'admin'|'member'|null)
+ *  - requireMember: caller (req.user) must belong to the league, unless a global admin
+ */
+function resolveLeague({ requireMember = false } = {}) {
+  return async function leagueContext(req, res, next) {
+    try {
+      let leagueId = requestedLeagueId(req);
+      if (Number.isNaN(leagueId)) return res.status(400).json({ error: 'Invalid league_id' });
+      if (leagueId === null) leagueId = await getDefaultLeagueId();
+
+      const league = await getLeague(leagueId);
+      if (!league) return res.status(404).json({ error: 'League not found' });
+
+      const userId = req.user?.user_id;
+      const role = userId ? await getMemberRole(league.id, userId) : null;
+
+      if (requireMember && !role && !(await isGlobalAdmin(userId))) {
+        return res.status(403).json({ error: 'Forbidden: not a member of this league' });
+      }
+
+      req.league = { id: league.id, name: league.name, is_default: league.is_default, role };
+      next();
+    } catch (e) {
+      console.error('resolveLeague error:', e);
+      res.status(500).json({ error: 'Internal error (league check)' });
+    }
+  };
+}
+
+/** After resolveLeague: caller must be a league admin of req.league or a global admin */
+async function ensureLeagueAdmin(req, res, next) {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+    if (req.league?.role === 'admin') return next();
+    if (await isGlobalAdmin(userId)) return next();
+    return res.status(403).json({ error: 'Forbidden: league admin only' });
+  } catch (e) {
+    console.error('ensureLeagueAdmin error:', e);
+    res.status(500).json({ error: 'Internal error (admin check)' });
+  }
+}
+
+/**
+ * After resolveLeague on public read routes (leaderboards, revealed picks):
+ * the default league stays open to everyone; any other league needs a signed-in
+ * member or a global admin.
+ */
+function ensureLeagueReader(req, res, next) {
+  if (req.league?.is_default) return next();
+  return authenticateToken(req, res, async () => {
+    try {
+      const userId = req.user?.user_id;
+      const role = await getMemberRole(req.league.id, userId);
+      if (!role && !(await isGlobalAdmin(userId))) {
+        return res.status(403).json({ error: 'Forbidden: not a member of this league' });
+      }
+      req.league.role = role;
+      next();
+    } catch (e) {
+      console.error('ensureLeagueReader error:', e);
+      res.status(500).json({ error: 'Internal error (league check)' });
+    }
+  });
+}
+
+module.exports = { resolveLeague, ensureLeagueAdmin, ensureLeagueReader, isGlobalAdmin };
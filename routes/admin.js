@@ -3,75 +3,26 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateToken = require("../middleware/authMiddleware");
-
-/**
- * Admin guard:
- *  - requires a valid JWT (authenticateToken)
- *  - and users.is_admin = true
- */
-async function ensureAdmin(req, res, next) {
-  try {
-    if (!req.user?.user_id) return res.status(401).json({ error: "Unauthorized" });
-    const u = await pool.query("SELECT is_admin FROM users WHERE id = $1", [req.user.user_id]);
-    if (!u.rows.length || !u.rows[0].is_admin) {
-      return res.status(403).json({ error: "Forbidden: admin only" });
-    }
-    next();
-  } catch (e) {
-    console.error("ensureAdmin error:", e);
-    res.status(500).json({ error: "Internal error (admin check)" });
-  }
-}
-
-/* -------------------------------------------------------------------------- */
-/*                  Detect the real kickoff column in `games`                  */
-/* -------------------------------------------------------------------------- */
-
-const CANDIDATE_KICKOFF_COLS = ["kickoff", "start_time", "kickoff_time"];
-let KICKOFF_COL = null; // cache
-
-async function detectKickoffColumn() {
-  if (KICKOFF_COL) return KICKOFF_COL;
-  const q = `
-    SELECT column_name
-      FROM information_schema.columns
-     WHERE table_schema = 'public'
-       AND table_name = 'games'
-       AND column_name = ANY($1::text[])
-  `;
-  const r = await pool.query(q, [CANDIDATE_KICKOFF_COLS]);
-  // Preserve our preference order: kickoff > start_time > kickoff_time
-  for (const cand of CANDIDATE_KICKOFF_COLS) {
-    if (r.rows.some(row => row.column_name === cand)) {
-      KICKOFF_COL = cand;
-      break;
-    }
-  }
-  if (!KICKOFF_COL) {
-    throw new Error(
-      "No suitable kickoff column found on games. Expected one of: " +
-      CANDIDATE_KICKOFF_COLS.join(", ")
-    );
-  }
-  return KICKOFF_COL;
-}
-
-/** Earliest SUNDAY kickoff (UTC) for a week — uses the detected column */
-async function firstSundayKickoffUTC(week) {
-  const col = await detectKickoffColumn();
-  // Safe: `col` is picked from a known whitelist, not user input
-  const sql = `
-    SELECT ${col} AS ko
-      FROM games
-     WHERE week = $1
-       AND EXTRACT(DOW FROM ${col}) = 0
-     ORDER BY ${col} ASC
-     LIMIT 1
-  `;
-  const r = await pool.query(sql, [week]);
-  if (!r.rows.length || !r.rows[0].ko) return null;
-  return new Date(r.rows[0].ko);
-}
+const ensureAdmin = require("../middleware/ensureAdmin");
+const {
+  firstSundayKickoffUTC,
+  getLockPolicy,
+  getWeekLock,
+  getWeekLockOverride,
+  setWeekLockOverride,
+  clearWeekLockOverride,
+  listDeadlineExtensions,
+  grantDeadlineExtension,
+  revokeDeadlineExtension,
+} = require("../services/pickLocks");
+const { markWeekDirtySafe } = require("../services/weeklyResults");
+const { resolveLeague, ensureLeagueAdmin } = require("../middleware/leagueContext");
+const { getCurrentSeason, listSeasons, rolloverSeason, resolveSeason } = require("../services/seasons");
+const { matchTeam, teamsInGames } = require("../services/teams");
+const { finalizeWeek, reopenWeek, getFinalization, sendWeekRecap } = require("../services/weekFinalization");
+const { listWeekPickEdits } = require("../services/pickHistory");
+const { submitProxyPick } = require("../services/proxyPicks");
+const { CONTESTS } = require("../services/survivor");
 
 /* -------------------------------------------------------------------------- */
 /*                              CURRENT WEEK API                               */
@@ -81,21 +32,26 @@ async function firstSundayKickoffUTC(week) {
  * GET /admin/current_week
  * Returns { current_week, is_locked }
  *
- * current_week = latest GOTW week or 1 if none.
- * is_locked = now >= first Sunday kickoff for that week (using detected column).
+ * current_week = latest GOTW week of the league (?league_id=, default league) or 1 if none.
+ * is_locked = now >= first Sunday kickoff for that week (using detected column),
+ *             unless an admin locked, unlocked or moved the week's lock.
  */
-router.get("/current_week", async (_req, res) => {
+router.get("/current_week", resolveLeague(), async (req, res) => {
   try {
     const gotw = await pool.query(
-      `SELECT week FROM game_of_the_week ORDER BY week DESC LIMIT 1`
+      `SELECT week FROM game_of_the_week
+        WHERE league_id = $1 AND season = current_season()
+        ORDER BY week DESC LIMIT 1`,
+      [req.league.id]
     );
     const currentWeek = gotw.rows.length ? Number(gotw.rows[0].week) : 1;
 
     let is_locked = false;
     try {
       const sundayUTC = await firstSundayKickoffUTC(currentWeek);
-      if (sundayUTC) {
-        is_locked = new Date() >= sundayUTC;
+      const weekLock = await getWeekLock({ week: currentWeek, leagueId: req.league.id });
+      if (weekLock.override || sundayUTC) {
+        is_locked = weekLock.override ? weekLock.locked : new Date() >= sundayUTC;
       } else {
         // Fallback: next Sunday 12:00 local (best-effort if schedule missing)
         const now = new Date();
@@ -122,19 +78,22 @@ router.get("/current_week", async (_req, res) => {
 /* -------------------------------------------------------------------------- */
 
 /**
- * GET /admin/week/:week/details
+ * GET /admin/week/:week/details?league_id=
  * Returns:
  * {
  *   week,
  *   gotw: { home_team, away_team, game_total_points } | null,
  *   potw: { player_total_yards, player_name?, team? } | null,
  *   first_sunday_kickoff: ISO|null,
- *   locked: boolean
+ *   locked: boolean,            // week-level (first Sunday kickoff, or the admin override)
+ *   lock_override: "locked"|"unlocked"|"moved"|null,
+ *   lock_at: ISO|null,          // week-wide deadline (moved lock / first Sunday kickoff)
+ *   lock_policy: "game"|"week"  // how /picks/submit enforces deadlines
  * }
  *
  * POTW is schema-tolerant: we try rich columns and fall back to yards-only if needed.
  */
-router.get("/week/:week/details", async (req, res) => {
+router.get("/week/:week/details", resolveLeague(), async (req, res) => {
   const week = Number(req.params.week);
   if (!Number.isFinite(week) || week < 1) return res.status(400).json({ error: "Invalid week" });
 
@@ -142,9 +101,9 @@ router.get("/week/:week/details", async (req, res) => {
     const gotwQ = await pool.query(
       `SELECT home_team, away_team, game_total_points
          FROM game_of_the_week
-        WHERE week = $1
+        WHERE week = $1 AND league_id = $2 AND season = current_season()
         LIMIT 1`,
-      [week]
+      [week, req.league.id]
     );
 
     // POTW: try rich (name/team/yards), else fallback to yards-only
@@ -153,9 +112,9 @@ router.get("/week/:week/details", async (req, res) => {
       const potwRich = await pool.query(
         `SELECT player_total_yards, player_name, team
            FROM player_of_the_week
-          WHERE week = $1
+          WHERE week = $1 AND league_id = $2 AND season = current_season()
           LIMIT 1`,
-        [week]
+        [week, req.league.id]
       );
       potw = potwRich.rows[0] || null;
     } catch (err) {
@@ -163,9 +122,9 @@ router.get("/week/:week/details", async (req, res) => {
         const potwSimple = await pool.query(
           `SELECT player_total_yards
              FROM player_of_the_week
-            WHERE week = $1
+            WHERE week = $1 AND league_id = $2 AND season = current_season()
             LIMIT 1`,
-          [week]
+          [week, req.league.id]
         );
         potw = potwSimple.rows[0] || null;
       } else {
@@ -174,14 +133,19 @@ router.get("/week/:week/details", async (req, res) => {
     }
 
     const sundayUTC = await firstSundayKickoffUTC(week);
+    const weekLock = await getWeekLock({ week, leagueId: req.league.id });
     const now = new Date();
 
     res.json({
       week,
+      league_id: req.league.id,
       gotw: gotwQ.rows[0] || null,
       potw,
       first_sunday_kickoff: sundayUTC ? sundayUTC.toISOString() : null,
-      locked: sundayUTC ? now >= sundayUTC : false,
+      locked: weekLock.override ? weekLock.locked : sundayUTC ? now >= sundayUTC : false,
+      lock_override: weekLock.override,   // "locked" | "unlocked" | "moved" | null
+      lock_at: weekLock.lock_at ? weekLock.lock_at.toISOString() : null,
+      lock_policy: getLockPolicy(),
     });
   } catch (error) {
     console.error("Error fetching week details:", error);
@@ -195,11 +159,12 @@ router.get("/week/:week/details", async (req, res) => {
 
 /**
  * PUT /admin/week/:week/gotw
- * Body: { home_team, away_team, game_total_points|null }
+ * Body: { home_team, away_team, game_total_points|null, league_id? }
+ * - Global admins, or league admins of the target league.
  * - Validates that the matchup exists in games for that week.
  * - Upserts the GOTW row.
  */
-router.put("/week/:week/gotw", authenticateToken, ensureAdmin, async (req, res) => {
+router.put("/week/:week/gotw", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
   const week = Number(req.params.week);
   const { home_team, away_team, game_total_points } = req.body || {};
   if (!Number.isFinite(week) || week < 1) return res.status(400).json({ error: "Invalid week" });
@@ -208,7 +173,9 @@ router.put("/week/:week/gotw", authenticateToken, ensureAdmin, async (req, res)
   try {
     // Validate matchup exists for this week
     const match = await pool.query(
-      `SELECT 1 FROM games WHERE week = $1 AND home_team = $2 AND away_team = $3 LIMIT 1`,
+      `SELECT 1 FROM games
+        WHERE week = $1 AND season = current_season() AND home_team = $2 AND away_team = $3
+        LIMIT 1`,
       [week, home_team, away_team]
     );
     if (!match.rows.length) {
@@ -216,15 +183,16 @@ router.put("/week/:week/gotw", authenticateToken, ensureAdmin, async (req, res)
     }
 
     const q = `
-      INSERT INTO game_of_the_week (week, home_team, away_team, game_total_points)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (week) DO UPDATE
+      INSERT INTO game_of_the_week (league_id, week, home_team, away_team, game_total_points)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (league_id, season, week) DO UPDATE
       SET home_team = EXCLUDED.home_team,
           away_team = EXCLUDED.away_team,
           game_total_points = EXCLUDED.game_total_points
-      RETURNING week, home_team, away_team, game_total_points
+      RETURNING league_id, week, home_team, away_team, game_total_points
     `;
-    const ins = await pool.query(q, [week, home_team, away_team, game_total_points ?? null]);
+    const ins = await pool.query(q, [req.league.id, week, home_team, away_team, game_total_points ?? null]);
+    await markWeekDirtySafe(week, "gotw", req.league.id);
     res.json({ ok: true, gotw: ins.rows[0] });
   } catch (error) {
     console.error("PUT /admin/week/:week/gotw error:", error);
@@ -238,12 +206,14 @@ router.put("/week/:week/gotw", authenticateToken, ensureAdmin, async (req, res)
 
 /**
  * PUT /admin/week/:week/potw
- * Body: { player_total_yards, player_name?, team? }
+ * Body: { player_total_yards, player_name?, team?, league_id? }
+ * - Global admins, or league admins of the target league.
  * - If a row exists: updates yards only (keeps existing name/team).
  * - If not: tries rich insert (name/team/yards) with safe defaults,
  *   and if columns don't exist, falls back to yards-only insert.
  */
-router.put("/week/:week/potw", authenticateToken, ensureAdmin, async (req, res) => {
+router.put("/week/:week/potw", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  const leagueId = req.league.id;
   const week = Number(req.params.week);
   let { player_total_yards, player_name, team } = req.body || {};
   if (!Number.isFinite(week) || week < 1) return res.status(400).json({ error: "Invalid week" });
@@ -261,8 +231,8 @@ router.put("/week/:week/potw", authenticateToken, ensureAdmin, async (req, res)
 
   try {
     const existing = await pool.query(
-      `SELECT week FROM player_of_the_week WHERE week = $1`,
-      [week]
+      `SELECT week FROM player_of_the_week WHERE week = $1 AND league_id = $2 AND season = current_season()`,
+      [week, leagueId]
     );
 
     if (existing.rows.length) {
@@ -270,10 +240,11 @@ router.put("/week/:week/potw", authenticateToken, ensureAdmin, async (req, res)
       const upd = await pool.query(
         `UPDATE player_of_the_week
             SET player_total_yards = $2
-          WHERE week = $1
-        RETURNING week, player_total_yards`,
-        [week, player_total_yards]
+          WHERE week = $1 AND league_id = $3 AND season = current_season()
+        RETURNING league_id, week, player_total_yards`,
+        [week, player_total_yards, leagueId]
       );
+      await markWeekDirtySafe(week, "potw", leagueId);
       return res.json({ ok: true, potw: upd.rows[0] });
     } else {
       // Try rich insert first (name/team/yards). Defaults avoid NOT NULL violations if present.
@@ -281,27 +252,29 @@ router.put("/week/:week/potw", authenticateToken, ensureAdmin, async (req, res)
       const teamVal = team ?? "TBD";
       try {
         const insRich = await pool.query(
-          `INSERT INTO player_of_the_week (week, player_name, team, player_total_yards)
-           VALUES ($1, $2, $3, $4)
-           ON CONFLICT (week) DO UPDATE
+          `INSERT INTO player_of_the_week (league_id, week, player_name, team, player_total_yards)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (league_id, season, week) DO UPDATE
              SET player_name = EXCLUDED.player_name,
                  team = EXCLUDED.team,
                  player_total_yards = EXCLUDED.player_total_yards
-           RETURNING week, player_total_yards, player_name, team`,
-          [week, nameVal, teamVal, player_total_yards]
+           RETURNING league_id, week, player_total_yards, player_name, team`,
+          [leagueId, week, nameVal, teamVal, player_total_yards]
         );
+        await markWeekDirtySafe(week, "potw", leagueId);
         return res.json({ ok: true, potw: insRich.rows[0] });
       } catch (err) {
         if (err && err.code === "42703") {
           // Column(s) missing -> fallback to yards-only row
           const insSimple = await pool.query(
-            `INSERT INTO player_of_the_week (week, player_total_yards)
-             VALUES ($1, $2)
-             ON CONFLICT (week) DO UPDATE
+            `INSERT INTO player_of_the_week (league_id, week, player_total_yards)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (league_id, season, week) DO UPDATE
                SET player_total_yards = EXCLUDED.player_total_yards
-             RETURNING week, player_total_yards`,
-            [week, player_total_yards]
+             RETURNING league_id, week, player_total_yards`,
+            [leagueId, week, player_total_yards]
           );
+          await markWeekDirtySafe(week, "potw", leagueId);
           return res.json({ ok: true, potw: insSimple.rows[0] });
         }
         throw err;
@@ -313,26 +286,371 @@ router.put("/week/:week/potw", authenticateToken, ensureAdmin, async (req, res)
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/*                         ADMIN: FINALIZE / REOPEN WEEK                       */
+/* -------------------------------------------------------------------------- */
+// Global admins, or league admins of the target league (?league_id= / body).
+// season defaults to the live one.
+
+/** { week, season } from the request, or { error } */
+async function weekAndSeason(req) {
+  const week = Number(req.params.week);
+  if (!Number.isInteger(week) || week < 1) return { error: "Invalid week" };
+  const season = await resolveSeason(req.body?.season ?? req.query.season);
+  if (!season) return { error: "Invalid season" };
+  return { week, season };
+}
+
+/**
+ * GET /admin/week/:week/finalization?league_id=&season=
+ * { finalized_at, finalized_by, changed_since_final, recap_sent_at,
+ *   ready, checks: [{ key, ok, detail }], history: [...] }
+ */
+router.get("/week/:week/finalization", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const { week, season, error } = await weekAndSeason(req);
+    if (error) return res.status(400).json({ error });
+    res.json(await getFinalization({ leagueId: req.league.id, season, week }));
+  } catch (e) {
+    console.error("GET /admin/week/:week/finalization error:", e);
+    res.status(500).json({ error: "Failed to load week finalization" });
+  }
+});
+
+/**
+ * POST /admin/week/:week/finalize
+ * Body: { league_id?, season?, force?, notify?, reason? }
+ * Needs every game final (or postponed/canceled) and the GOTW/POTW answers;
+ * force: true finalizes anyway (the failed checks are logged). notify: true
+ * emails the recap to the league.
+ */
+router.post("/week/:week/finalize", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const { week, season, error } = await weekAndSeason(req);
+    if (error) return res.status(400).json({ error });
+    const body = req.body || {};
+    const result = await finalizeWeek({
+      leagueId: req.league.id,
+      season,
+      week,
+      userId: req.user.user_id,
+      force: body.force === true,
+      notify: body.notify === true,
+      reason: body.reason ? String(body.reason).slice(0, 500) : null,
+    });
+    if (result.status) return res.status(result.status).json({ error: result.error, checks: result.checks });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("POST /admin/week/:week/finalize error:", e);
+    res.status(500).json({ error: "Failed to finalize week" });
+  }
+});
+
+/**
+ * POST /admin/week/:week/reopen
+ * Body: { reason, league_id?, season? }  (reason is required)
+ * Rescores the week with every change made since it was finalized and
+ * returns (and logs) how the standings and the weekly winner moved.
+ */
+router.post("/week/:week/reopen", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const { week, season, error } = await weekAndSeason(req);
+    if (error) return res.status(400).json({ error });
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) return res.status(400).json({ error: "reason is required to reopen a finalized week" });
+
+    const result = await reopenWeek({
+      leagueId: req.league.id,
+      season,
+      week,
+      userId: req.user.user_id,
+      reason: reason.slice(0, 500),
+    });
+    if (result.status) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("POST /admin/week/:week/reopen error:", e);
+    res.status(500).json({ error: "Failed to reopen week" });
+  }
+});
+
+/**
+ * POST /admin/week/:week/recap  { league_id?, season? }
+ * (Re)send the recap email of a finalized week.
+ */
+router.post("/week/:week/recap", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const { week, season, error } = await weekAndSeason(req);
+    if (error) return res.status(400).json({ error });
+    const { finalized_at } = await getFinalization({ leagueId: req.league.id, season, week });
+    if (!finalized_at) return res.status(409).json({ error: `Week ${week} is not finalized` });
+    res.json({ ok: true, ...(await sendWeekRecap({ leagueId: req.league.id, season, week })) });
+  } catch (e) {
+    console.error("POST /admin/week/:week/recap error:", e);
+    res.status(500).json({ error: "Failed to send recap" });
+  }
+});
+
+/**
+ * GET /admin/week/:week/pick-edits?league_id=&season=&user_id=&include_rejected=
+ * Every pick version of the week, oldest first: who changed what (source
+ * user | admin | auto), from which IP, and the submits refused after lock
+ * (action "rejected"; include_rejected=false hides them).
+ */
+router.get("/week/:week/pick-edits", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const { week, season, error } = await weekAndSeason(req);
+    if (error) return res.status(400).json({ error });
+    const userId = req.query.user_id ? Number(req.query.user_id) : null;
+    if (userId !== null && !Number.isInteger(userId)) return res.status(400).json({ error: "Invalid user_id" });
+    const includeRejected = !["false", "0"].includes(String(req.query.include_rejected ?? "true"));
+
+    const edits = await listWeekPickEdits({ leagueId: req.league.id, season, week, userId, includeRejected });
+    res.json({
+      league_id: req.league.id,
+      season,
+      week,
+      rejected: edits.filter((v) => v.action === "rejected").length,
+      edits,
+    });
+  } catch (e) {
+    console.error("GET /admin/week/:week/pick-edits error:", e);
+    res.status(500).json({ error: "Failed to load pick edits" });
+  }
+});
+
+/**
+ * PUT /admin/week/:week/picks/:userId
+ * Body: { team, gotw_prediction?, potw_prediction?, contest?, reason?,
+ *         override_reason?, notify?, league_id? }
+ * Enter or change a member's pick for them (live season). Once the pick is
+ * locked it needs override_reason (423 PICK_LOCKED otherwise), and only a
+ * global admin may override the lock on their own pick (403). The edit is
+ * logged in pick_versions (source "admin") and the member is emailed unless
+ * notify: false.
+ */
+router.put("/week/:week/picks/:userId", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const week = Number(req.params.week);
+    if (!Number.isInteger(week) || week < 1) return res.status(400).json({ error: "Invalid week" });
+    const userId = Number(req.params.userId);
+    if (!Number.isInteger(userId) || userId < 1) return res.status(400).json({ error: "Invalid user id" });
+
+    const body = req.body || {};
+    if (!body.team || typeof body.team !== "string") return res.status(400).json({ error: "team is required" });
+    const contest = body.contest || "pickem";
+    if (!CONTESTS.includes(contest)) {
+      return res.status(400).json({ error: `contest must be one of: ${CONTESTS.join(", ")}` });
+    }
+    const num = (v) => (v === "" || v === undefined || v === null ? null : Number(v));
+    const gotw = num(body.gotw_prediction);
+    const potw = num(body.potw_prediction);
+    if ((gotw !== null && !Number.isFinite(gotw)) || (potw !== null && !Number.isFinite(potw))) {
+      return res.status(400).json({ error: "Predictions must be numbers" });
+    }
+    const text = (v) => (v ? String(v).trim().slice(0, 500) || null : null);
+
+    const result = await submitProxyPick({
+      leagueId: req.league.id,
+      userId,
+      actorId: req.user.user_id,
+      week,
+      team: body.team,
+      contest,
+      gotwPrediction: gotw,
+      potwPrediction: potw,
+      reason: text(body.reason),
+      overrideReason: text(body.override_reason),
+      ip: req.ip,
+      notify: body.notify !== false,
+    });
+    if (result.status) {
+      const { status, ...rest } = result;
+      return res.status(status).json(rest);
+    }
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("PUT /admin/week/:week/picks/:userId error:", e);
+    res.status(500).json({ error: "Failed to save pick" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                    WEEK LOCK OVERRIDES / DEADLINE EXTENSIONS                */
+/* -------------------------------------------------------------------------- */
+// Live season only, like the locks themselves (services/pickLocks.js)
+
+function weekParam(req) {
+  const week = Number(req.params.week);
+  return Number.isInteger(week) && week >= 1 ? week : null;
+}
+
+function parseTime(raw) {
+  if (raw === null || raw === undefined || raw === "") return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * GET /admin/week/:week/lock?league_id=
+ * { week, league_id, lock: { policy, locked, reason?, lock_at, override },
+ *   first_sunday_kickoff, override: { mode, lock_at, reason, ... } | null,
+ *   extensions: [{ user_id, name, extended_until, reason, ... }] }
+ */
+router.get("/week/:week/lock", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const week = weekParam(req);
+    if (!week) return res.status(400).json({ error: "Invalid week" });
+    const leagueId = req.league.id;
+    const [lock, sundayUTC, override, extensions] = await Promise.all([
+      getWeekLock({ week, leagueId }),
+      firstSundayKickoffUTC(week),
+      getWeekLockOverride(leagueId, week),
+      listDeadlineExtensions({ leagueId, week }),
+    ]);
+    res.json({
+      week,
+      league_id: leagueId,
+      lock,
+      first_sunday_kickoff: sundayUTC ? sundayUTC.toISOString() : null,
+      override,
+      extensions,
+    });
+  } catch (e) {
+    console.error("GET /admin/week/:week/lock error:", e);
+    res.status(500).json({ error: "Failed to load week lock" });
+  }
+});
+
+/**
+ * PUT /admin/week/:week/lock
+ * Body: { mode?: "locked"|"unlocked"|null, lock_at?: ISO|null, reason?, league_id? }
+ * "locked" takes effect right away; lock_at alone moves the lock time.
+ * "unlocked" reopens the week deadline until lock_at (required), when it locks
+ * again; games that already kicked off stay locked.
+ * Setting both to null is the same as DELETE.
+ */
+router.put("/week/:week/lock", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const week = weekParam(req);
+    if (!week) return res.status(400).json({ error: "Invalid week" });
+    const body = req.body || {};
+    const mode = body.mode ?? null;
+    if (mode !== null && !["locked", "unlocked"].includes(mode)) {
+      return res.status(400).json({ error: "mode must be \"locked\", \"unlocked\" or null" });
+    }
+    const lockAt = parseTime(body.lock_at);
+    if (lockAt === undefined) return res.status(400).json({ error: "lock_at must be an ISO date-time" });
+    if (mode === "unlocked" && (!lockAt || lockAt <= new Date())) {
+      return res.status(400).json({ error: "An unlocked week needs a future lock_at to lock again" });
+    }
+
+    if (!mode && !lockAt) {
+      const cleared = await clearWeekLockOverride({ leagueId: req.league.id, week });
+      return res.json({ ok: true, cleared, lock: await getWeekLock({ week, leagueId: req.league.id }) });
+    }
+    const override = await setWeekLockOverride({
+      leagueId: req.league.id,
+      week,
+      mode,
+      lockAt,
+      reason: body.reason ? String(body.reason).slice(0, 500) : null,
+      userId: req.user.user_id,
+    });
+    res.json({ ok: true, override, lock: await getWeekLock({ week, leagueId: req.league.id }) });
+  } catch (e) {
+    console.error("PUT /admin/week/:week/lock error:", e);
+    res.status(500).json({ error: "Failed to save week lock" });
+  }
+});
+
+/** DELETE /admin/week/:week/lock — back to the first Sunday kickoff */
+router.delete("/week/:week/lock", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const week = weekParam(req);
+    if (!week) return res.status(400).json({ error: "Invalid week" });
+    const cleared = await clearWeekLockOverride({ leagueId: req.league.id, week });
+    res.json({ ok: true, cleared, lock: await getWeekLock({ week, leagueId: req.league.id }) });
+  } catch (e) {
+    console.error("DELETE /admin/week/:week/lock error:", e);
+    res.status(500).json({ error: "Failed to clear week lock" });
+  }
+});
+
+/**
+ * PUT /admin/week/:week/extensions/:userId
+ * Body: { until: ISO, reason?, league_id? }
+ * Lets one member pick until `until` although the week is locked; games that
+ * already started stay locked for them. The week's public picks stay hidden
+ * until the extension ends.
+ */
+router.put("/week/:week/extensions/:userId", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const week = weekParam(req);
+    if (!week) return res.status(400).json({ error: "Invalid week" });
+    const userId = Number(req.params.userId);
+    if (!Number.isInteger(userId) || userId < 1) return res.status(400).json({ error: "Invalid user id" });
+    const until = parseTime(req.body?.until);
+    if (!until) return res.status(400).json({ error: "until (ISO date-time) is required" });
+    if (until <= new Date()) return res.status(400).json({ error: "until must be in the future" });
+
+    const member = await pool.query(
+      `SELECT 1 FROM league_members WHERE league_id = $1 AND user_id = $2`,
+      [req.league.id, userId]
+    );
+    if (!member.rows.length) return res.status(404).json({ error: "User is not a member of this league" });
+
+    const extension = await grantDeadlineExtension({
+      leagueId: req.league.id,
+      week,
+      userId,
+      until,
+      reason: req.body?.reason ? String(req.body.reason).slice(0, 500) : null,
+      grantedBy: req.user.user_id,
+    });
+    res.json({ ok: true, extension });
+  } catch (e) {
+    console.error("PUT /admin/week/:week/extensions/:userId error:", e);
+    res.status(500).json({ error: "Failed to grant extension" });
+  }
+});
+
+router.delete("/week/:week/extensions/:userId", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const week = weekParam(req);
+    if (!week) return res.status(400).json({ error: "Invalid week" });
+    const userId = Number(req.params.userId);
+    if (!Number.isInteger(userId) || userId < 1) return res.status(400).json({ error: "Invalid user id" });
+    const revoked = await revokeDeadlineExtension({ leagueId: req.league.id, week, userId });
+    if (!revoked) return res.status(404).json({ error: "No extension for this user and week" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("DELETE /admin/week/:week/extensions/:userId error:", e);
+    res.status(500).json({ error: "Failed to revoke extension" });
+  }
+});
+
 /* -------------------------------------------------------------------------- */
 /*                 (Optional) Legacy POST endpoints you had                   */
 /* -------------------------------------------------------------------------- */
 
-router.post("/game-of-the-week", async (req, res) => {
+router.post("/game-of-the-week", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
   try {
     const { week, home_team, away_team, game_total_points } = req.body;
     if (!week || !home_team || !away_team || game_total_points === undefined) {
       return res.status(400).json({ error: "Missing required fields" });
     }
     const result = await pool.query(
-      `INSERT INTO game_of_the_week (week, home_team, away_team, game_total_points)
-       VALUES ($1, $2, $3, $4)
-       ON CONFLICT (week) DO UPDATE
+      `INSERT INTO game_of_the_week (league_id, week, home_team, away_team, game_total_points)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (league_id, season, week) DO UPDATE
        SET home_team = EXCLUDED.home_team,
            away_team = EXCLUDED.away_team,
            game_total_points = EXCLUDED.game_total_points
        RETURNING *`,
-      [week, home_team, away_team, game_total_points]
+      [req.league.id, week, home_team, away_team, game_total_points]
     );
+    await markWeekDirtySafe(week, "gotw", req.league.id);
     res.status(201).json({ message: "Game of the Week set", data: result.rows[0] });
   } catch (error) {
     console.error("Error setting Game of the Week:", error);
@@ -340,7 +658,7 @@ router.post("/game-of-the-week", async (req, res) => {
   }
 });
 
-router.post("/player-of-the-week", async (req, res) => {
+router.post("/player-of-the-week", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
   try {
     const { week, player_name, team, player_total_yards } = req.body;
     if (!week || player_total_yards === undefined) {
@@ -348,26 +666,28 @@ router.post("/player-of-the-week", async (req, res) => {
     }
     try {
       const result = await pool.query(
-        `INSERT INTO player_of_the_week (week, player_name, team, player_total_yards)
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (week) DO UPDATE
+        `INSERT INTO player_of_the_week (league_id, week, player_name, team, player_total_yards)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (league_id, season, week) DO UPDATE
            SET player_name = EXCLUDED.player_name,
                team = EXCLUDED.team,
                player_total_yards = EXCLUDED.player_total_yards
          RETURNING *`,
-        [week, player_name ?? "TBD", team ?? "TBD", player_total_yards]
+        [req.league.id, week, player_name ?? "TBD", team ?? "TBD", player_total_yards]
       );
+      await markWeekDirtySafe(week, "potw", req.league.id);
       return res.status(201).json({ message: "Player of the Week set", data: result.rows[0] });
     } catch (err) {
       if (err && err.code === "42703") {
         const fallback = await pool.query(
-          `INSERT INTO player_of_the_week (week, player_total_yards)
-           VALUES ($1, $2)
-           ON CONFLICT (week) DO UPDATE
+          `INSERT INTO player_of_the_week (league_id, week, player_total_yards)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (league_id, season, week) DO UPDATE
              SET player_total_yards = EXCLUDED.player_total_yards
            RETURNING *`,
-          [week, player_total_yards]
+          [req.league.id, week, player_total_yards]
         );
+        await markWeekDirtySafe(week, "potw", req.league.id);
         return res.status(201).json({ message: "Player of the Week set (yards only)", data: fallback.rows[0] });
       }
       throw err;
@@ -378,4 +698,96 @@ router.post("/player-of-the-week", async (req, res) => {
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/*                                  SEASONS                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * GET /admin/seasons
+ * All seasons, newest first.
+ */
+router.get("/seasons", authenticateToken, ensureAdmin, async (_req, res) => {
+  try {
+    res.json({ current: await getCurrentSeason(), seasons: await listSeasons() });
+  } catch (error) {
+    console.error("GET /admin/seasons error:", error);
+    res.status(500).json({ error: "Failed to load seasons" });
+  }
+});
+
+/**
+ * POST /admin/seasons/rollover  { year }
+ * Archives the live season (champions recorded per league) and starts `year`.
+ * Archived games/picks/results are kept and stay readable with ?season=.
+ */
+router.post("/seasons/rollover", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const year = Number(req.body?.year);
+    const current = await getCurrentSeason();
+    if (!Number.isInteger(year) || year <= current) {
+      return res.status(400).json({ error: `year must be a season after ${current}` });
+    }
+    const result = await rolloverSeason(year);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("POST /admin/seasons/rollover error:", error);
+    res.status(500).json({ error: "Failed to roll over season" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                               PICK HEALTH                                  */
+/* -------------------------------------------------------------------------- */
+/**
+ * GET /admin/picks/orphans?season=&league_id=
+ * Picks whose team plays no game that week (typos, abbreviations stored before
+ * submissions were validated). These score nothing and drop out of the public
+ * picks page. suggested_team is the week's team the stored value most likely
+ * means, or null. league_id is optional (default: every league).
+ */
+router.get("/picks/orphans", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
+    const leagueId = req.query.league_id ? Number(req.query.league_id) : null;
+    if (leagueId !== null && !Number.isInteger(leagueId)) {
+      return res.status(400).json({ error: "Invalid league_id" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT p.id, p.league_id, p.season, p.contest, p.week, p.user_id, p.team, p.created_at,
+              COALESCE(u.first_name, u.name, 'User ' || p.user_id) AS display_name
+         FROM picks p
+         JOIN users u ON u.id = p.user_id
+        WHERE p.season = $1
+          AND ($2::int IS NULL OR p.league_id = $2::int)
+          AND p.team IS NOT NULL
+          AND NOT EXISTS (
+                SELECT 1 FROM games g
+                 WHERE g.week = p.week AND g.season = p.season
+                   AND (g.home_team = p.team OR g.away_team = p.team))
+        ORDER BY p.week, p.league_id, p.user_id`,
+      [season, leagueId]
+    );
+
+    const games = await pool.query(
+      `SELECT week, home_team, away_team FROM games WHERE season = $1`,
+      [season]
+    );
+    const teamsByWeek = new Map();
+    for (const g of games.rows) {
+      if (!teamsByWeek.has(g.week)) teamsByWeek.set(g.week, []);
+      teamsByWeek.get(g.week).push(g);
+    }
+
+    const orphans = rows.map((p) => ({
+      ...p,
+      suggested_team: matchTeam(p.team, teamsInGames(teamsByWeek.get(p.week) || [])),
+    }));
+    res.json({ season, league_id: leagueId, count: orphans.length, orphans });
+  } catch (error) {
+    console.error("GET /admin/picks/orphans error:", error);
+    res.status(500).json({ error: "Failed to load orphaned picks" });
+  }
+});
+
 module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 const jwt = require("jsonwebtoken");
 const pool = require("../db");
 const emailSvc = require("../services/email");
+const { getMemberRole } = require("../services/leagues");
 
 // Optional: use your auth middleware if available
 let authenticateToken;
@@ -38,21 +39,40 @@ function ensureJwt(req, res, next) {
   }
 }
 
-/** Ensure caller is admin */
+/** league_id from body or query (null = no league scope) */
+function requestedLeagueId(req) {
+  const raw = req.body?.league_id ?? req.query?.league_id;
+  if (raw === undefined || raw === null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+/**
+ * Ensure caller is admin.
+ *  - Global admins may target everyone, or one league via league_id.
+ *  - League admins must pass their league_id; every audience is then limited
+ *    to that league's members.
+ */
 async function ensureAdmin(req, res, next) {
   try {
     const uid = req.user?.user_id;
     if (!uid) return res.status(401).json({ error: "Unauthorized" });
 
+    const leagueId = requestedLeagueId(req);
+    if (Number.isNaN(leagueId)) return res.status(400).json({ error: "Invalid league_id" });
+
     const r = await pool.query(
       "SELECT id, email, is_admin FROM users WHERE id=$1",
       [uid]
     );
     const u = r.rows[0];
-    if (!u?.is_admin) {
+    const isLeagueAdmin =
+      !!u && leagueId !== null && (await getMemberRole(leagueId, uid)) === "admin";
+    if (!u?.is_admin && !isLeagueAdmin) {
       return res.status(403).json({ error: "Forbidden: admin only" });
     }
     req.admin = u; // { id, email, is_admin }
+    req.emailLeagueId = leagueId;
     next();
   } catch (e) {
     console.error("ensureAdmin error:", e);
@@ -87,10 +107,12 @@ function renderBodyHtml(body = "") {
  *   active   = approved=true AND deactivated=false
  *   pending  = approved=false
  *   inactive = deactivated=true
- *   admins   = is_admin=true
+ *   admins   = is_admin=true (or league admins when leagueId is set)
  *   all      = everyone
+ *
+ * leagueId narrows any bucket to members of that league.
  */
-function audienceWhere(audience, q) {
+function audienceWhere(audience, q, leagueId = null) {
   const params = [];
   let where = "TRUE";
 
@@ -110,7 +132,9 @@ function audienceWhere(audience, q) {
       where = `${deactivatedTrue}`;
       break;
     case "admins":
-      where = "is_admin = TRUE";
+      where = leagueId
+        ? "TRUE" // league admins are filtered below
+        : "is_admin = TRUE";
       break;
     case "all":
     default:
@@ -128,21 +152,39 @@ function audienceWhere(audience, q) {
     )`;
   }
 
+  if (leagueId) {
+    params.push(leagueId);
+    const idx = params.length;
+    const roleFilter = (audience || "").toLowerCase() === "admins" ? " AND role = 'admin'" : "";
+    where = `(${where}) AND id IN (
+      SELECT user_id FROM league_members WHERE league_id = $${idx}${roleFilter}
+    )`;
+  }
+
   return { where, params };
 }
 
-/** Fetch recipients from DB or custom list */
-async function listRecipients({ audience = "all", emails, q }) {
+/** Fetch recipients from DB or custom list (custom is limited to members when leagueId is set) */
+async function listRecipients({ audience = "all", emails, q, leagueId = null }) {
   if ((audience || "").toLowerCase() === "custom") {
-    return [
+    const custom = [
       ...new Set(
         (emails || [])
           .map((e) => (e || "").trim().toLowerCase())
           .filter(Boolean)
     )];
+    if (!leagueId || !custom.length) return custom;
+    const r = await pool.query(
+      `SELECT LOWER(u.email) AS email
+         FROM users u
+         JOIN league_members m ON m.user_id = u.id
+        WHERE m.league_id = $1 AND LOWER(u.email) = ANY($2::text[])`,
+      [leagueId, custom]
+    );
+    return r.rows.map((row) => row.email);
   }
 
-  const { where, params } = audienceWhere(audience, q);
+  const { where, params } = audienceWhere(audience, q, leagueId);
   const sql = `SELECT email FROM users WHERE ${where}`;
   const r = await pool.query(sql, params);
   return [
@@ -174,14 +216,15 @@ router.get("/config", ...guard, (req, res) => {
   });
 });
 
-/** GET /admin/email/recipients?audience=active&q=jack */
+/** GET /admin/email/recipients?audience=active&q=jack&league_id=2 */
 router.get("/recipients", ...guard, async (req, res) => {
   try {
     const { audience = "all", q = "" } = req.query;
-    const recipients = await listRecipients({ audience, q });
+    const recipients = await listRecipients({ audience, q, leagueId: req.emailLeagueId });
     res.json({
       ok: true,
       audience,
+      league_id: req.emailLeagueId,
       q,
       count: recipients.length,
       sample: recipients.slice(0, 10),
@@ -199,7 +242,7 @@ router.post("/preview", ...guard, async (req, res) => {
     if (!subject || !body)
       return res.status(400).json({ error: "subject and body are required" });
 
-    const recipients = await listRecipients({ audience, emails, q });
+    const recipients = await listRecipients({ audience, emails, q, leagueId: req.emailLeagueId });
     const html = emailSvc.renderBase({
       title: esc(subject),
       bodyHtml: renderBodyHtml(body),
@@ -223,7 +266,8 @@ router.post("/test", ...guard, async (req, res) => {
   try {
     const { to, subject = "Test from NFL Frenzy", body = "This is a test." } =
       req.body || {};
-    const dest = (to && String(to).trim()) || req.admin?.email;
+    // League-only admins may only test against their own inbox
+    const dest = (req.admin?.is_admin && to && String(to).trim()) || req.admin?.email;
     if (!dest) return res.status(400).json({ error: "No destination email" });
 
     const html = emailSvc.renderBase({
@@ -264,7 +308,7 @@ router.post("/broadcast", ...guard, async (req, res) => {
     if (!subject || !body)
       return res.status(400).json({ error: "subject and body are required" });
 
-    const recipients = await listRecipients({ audience, emails, q });
+    const recipients = await listRecipients({ audience, emails, q, leagueId: req.emailLeagueId });
     const html = emailSvc.renderBase({
       title: esc(subject),
       bodyHtml: renderBodyHtml(body),
@@ -293,6 +337,7 @@ router.post("/broadcast", ...guard, async (req, res) => {
     res.json({
       ok: true,
       audience,
+      league_id: req.emailLeagueId,
       recipients_count: recipients.length,
       sent_count: sent,
       email_configured: emailSvc.isConfigured(),
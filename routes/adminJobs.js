@@ -0,0 +1,91 @@
+// backend/routes/adminJobs.js
+/**
+ * Background jobs (services/scheduler.js), global admins only:
+ * - GET  /admin/jobs              state of every job on this instance
+ * - POST /admin/jobs/:name/run    run a job now (?wait=1 to wait for the result)
+ * - GET  /admin/jobs/runs         run history from job_runs, newest first
+ *                                 (?job=&status=&trigger=&before=<id>&limit=)
+ * - GET  /admin/jobs/runs/:id     one run with its per-game diffs
+ *
+ * Manual runs ignore the job's enable flag but still take its lock, so a job
+ * already running on another instance reports last_status "locked".
+ */
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middleware/authMiddleware");
+const ensureAdmin = require("../middleware/ensureAdmin");
+const { JOBS, runJob, listJobs, currentWindow } = require("../services/scheduler");
+const { TRIGGERS, STATUSES, listRuns, getRun } = require("../services/jobRuns");
+
+router.get("/", authenticateToken, ensureAdmin, async (_req, res) => {
+  try {
+    const window = await currentWindow().catch(() => null);
+    res.json({ window, jobs: listJobs() });
+  } catch (e) {
+    console.error("GET /admin/jobs error:", e);
+    res.status(500).json({ error: "Failed to load jobs" });
+  }
+});
+
+router.get("/runs", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { job, status, trigger } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(", ")}` });
+    }
+    if (trigger && !TRIGGERS.includes(trigger)) {
+      return res.status(400).json({ error: `trigger must be one of: ${TRIGGERS.join(", ")}` });
+    }
+    const before = req.query.before != null ? Number(req.query.before) : null;
+    if (before != null && !Number.isInteger(before)) {
+      return res.status(400).json({ error: "Invalid before" });
+    }
+    const runs = await listRuns({
+      job: job || null,
+      status: status || null,
+      trigger: trigger || null,
+      before,
+      limit: req.query.limit,
+    });
+    res.json({ runs, next_before: runs.length ? runs[runs.length - 1].id : null });
+  } catch (e) {
+    console.error("GET /admin/jobs/runs error:", e);
+    res.status(500).json({ error: "Failed to load job runs" });
+  }
+});
+
+router.get("/runs/:id", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: "Invalid run id" });
+    const run = await getRun(id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    res.json(run);
+  } catch (e) {
+    console.error("GET /admin/jobs/runs/:id error:", e);
+    res.status(500).json({ error: "Failed to load job run" });
+  }
+});
+
+router.post("/:name/run", authenticateToken, ensureAdmin, async (req, res) => {
+  const { name } = req.params;
+  if (!JOBS[name]) return res.status(404).json({ error: `Unknown job: ${name}` });
+
+  const job = listJobs().find((j) => j.name === name);
+  if (job.running) return res.status(409).json({ error: "Job is already running", job });
+
+  const wait = req.query.wait === "1" || req.query.wait === "true";
+  const run = runJob(name, { manual: true });
+  if (!wait) {
+    run.catch((e) => console.error(`POST /admin/jobs/${name}/run error:`, e));
+    return res.status(202).json({ ok: true, started: true, name });
+  }
+  try {
+    res.json({ ok: true, job: await run });
+  } catch (e) {
+    console.error(`POST /admin/jobs/${name}/run error:`, e);
+    res.status(500).json({ error: "Failed to run job" });
+  }
+});
+
+module.exports = router;
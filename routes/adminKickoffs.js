@@ -0,0 +1,125 @@
+// backend/routes/adminKickoffs.js
+/**
+ * Kickoff reconciliation (services/kickoffs.js), global admins only:
+ * - GET  /admin/kickoffs/preview    proposed changes, nothing written
+ *        ?season=&weeks=3,4&min_week=&sources=odds,sportsdata&threshold_min=&include_started=1
+ * - POST /admin/kickoffs/apply      apply reviewed changes
+ *        { changes: [{ game_id, kickoff, expected_current? }], reason? }
+ *        or { all: true, ...the preview options } to apply the whole plan
+ * - GET  /admin/kickoffs/changes    audit trail (?season=&week=&game_id=&before=<id>&limit=)
+ *
+ * Send expected_current as the preview's `current` so a game that moved in
+ * the meantime is skipped ("stale") rather than overwritten.
+ */
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middleware/authMiddleware");
+const ensureAdmin = require("../middleware/ensureAdmin");
+const { resolveSeason } = require("../services/seasons");
+const {
+  parseSources,
+  planKickoffs,
+  applyKickoffChanges,
+  reconcileKickoffs,
+  listKickoffChanges,
+} = require("../services/kickoffs");
+
+const truthy = (v) => v === true || v === "1" || v === "true";
+
+/** Plan options from query or body; { error } when something is invalid */
+async function planOptions(src) {
+  const season = await resolveSeason(src.season);
+  if (!season) return { error: "Invalid season" };
+
+  const opts = { season, includeStarted: truthy(src.include_started) };
+  if (src.weeks != null && src.weeks !== "") {
+    const weeks = (Array.isArray(src.weeks) ? src.weeks : String(src.weeks).split(",")).map(Number);
+    if (!weeks.every((w) => Number.isInteger(w) && w >= 1)) return { error: "Invalid weeks" };
+    opts.weeks = weeks;
+  }
+  if (src.min_week != null && src.min_week !== "") {
+    const w = Number(src.min_week);
+    if (!Number.isInteger(w) || w < 1) return { error: "Invalid min_week" };
+    opts.minWeek = w;
+  }
+  if (src.threshold_min != null && src.threshold_min !== "") {
+    const t = Number(src.threshold_min);
+    if (!Number.isFinite(t) || t < 0) return { error: "Invalid threshold_min" };
+    opts.thresholdMin = t;
+  }
+  if (src.sources) {
+    try {
+      opts.sources = parseSources(src.sources);
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+  return { opts };
+}
+
+router.get("/preview", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { opts, error } = await planOptions(req.query);
+    if (error) return res.status(400).json({ error });
+    res.json(await planKickoffs(opts));
+  } catch (e) {
+    console.error("GET /admin/kickoffs/preview error:", e);
+    res.status(500).json({ error: "Failed to build kickoff preview" });
+  }
+});
+
+router.post("/apply", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const reason = body.reason ? String(body.reason).slice(0, 500) : null;
+
+    if (truthy(body.all)) {
+      const { opts, error } = await planOptions(body);
+      if (error) return res.status(400).json({ error });
+      const { plan, result } = await reconcileKickoffs({
+        ...opts,
+        apply: true,
+        reason,
+        changedBy: req.user.user_id,
+        trigger: "admin",
+      });
+      return res.json({ ok: true, plan, ...result });
+    }
+
+    if (!Array.isArray(body.changes) || !body.changes.length) {
+      return res.status(400).json({ error: "changes must be a non-empty array (or pass all: true)" });
+    }
+    const result = await applyKickoffChanges(body.changes, {
+      source: "manual",
+      reason,
+      changedBy: req.user.user_id,
+      trigger: "admin",
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("POST /admin/kickoffs/apply error:", e);
+    res.status(500).json({ error: "Failed to apply kickoff changes" });
+  }
+});
+
+router.get("/changes", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const num = (v) => (v == null || v === "" ? null : Number(v));
+    const filters = {
+      season: num(req.query.season),
+      week: num(req.query.week),
+      gameId: num(req.query.game_id),
+      before: num(req.query.before),
+    };
+    if (Object.values(filters).some((v) => v !== null && !Number.isInteger(v))) {
+      return res.status(400).json({ error: "season, week, game_id and before must be integers" });
+    }
+    const changes = await listKickoffChanges({ ...filters, limit: req.query.limit });
+    res.json({ changes, next_before: changes.length ? changes[changes.length - 1].id : null });
+  } catch (e) {
+    console.error("GET /admin/kickoffs/changes error:", e);
+    res.status(500).json({ error: "Failed to load kickoff changes" });
+  }
+});
+
+module.exports = router;
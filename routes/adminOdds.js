@@ -0,0 +1,106 @@
+// backend/routes/adminOdds.js
+/**
+ * Odds sync on demand (services/odds.Ingestor.js), same shared-secret gate as
+ * /admin/scores (Authorization: Bearer <ODDS_ADMIN_KEY or SCORES_ADMIN_KEY>):
+ * - GET  /admin/odds/health
+ * - POST /admin/odds/fetch-now   { week?: number | "all", season?, provider?, method?, bookmakers? }
+ * - GET  /admin/odds/status?week=&season=   current lines, snapshot counts, config and last run
+ */
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const { resolveSeason } = require("../services/seasons");
+const { fetchAndIngestOdds, oddsConfig } = require("../services/odds.Ingestor");
+const { listRuns } = require("../services/jobRuns");
+
+function requireAdmin(req, res, next) {
+  const key = process.env.ODDS_ADMIN_KEY || process.env.SCORES_ADMIN_KEY;
+  const header = req.headers.authorization || "";
+  if (!key) return res.status(500).json({ error: "ODDS_ADMIN_KEY not set" });
+  if (header === `Bearer ${key}`) return next();
+  return res.status(401).json({ error: "Unauthorized" });
+}
+
+router.get("/health", (_req, res) => {
+  res.json({ ok: true, route: "/admin/odds" });
+});
+
+router.post("/fetch-now", requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const season = await resolveSeason(body.season ?? req.query.season).catch(() => null);
+  if (!season) return res.status(400).json({ error: "Invalid season" });
+
+  const rawWeek = body.week ?? req.query.week;
+  const all = rawWeek === "all";
+  const week = all || rawWeek == null || rawWeek === "current" ? null : Number(rawWeek);
+  if (week !== null && (!Number.isInteger(week) || week < 1)) {
+    return res.status(400).json({ error: "Invalid week" });
+  }
+
+  const options = {
+    provider: body.provider ?? req.query.provider,
+    method: body.method ?? req.query.method,
+    bookmakers: body.bookmakers ?? req.query.bookmakers,
+  };
+  try {
+    oddsConfig(options);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const result = await fetchAndIngestOdds({ week, all, seasonYear: season, ...options, trigger: "admin" });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("POST /admin/odds/fetch-now error:", e);
+    res.status(502).json({ error: e.message || "Failed to fetch odds" });
+  }
+});
+
+router.get("/status", requireAdmin, async (req, res) => {
+  try {
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
+    let week = Number(req.query.week);
+    if (!Number.isInteger(week) || week < 1) {
+      const { rows } = await pool.query(
+        `SELECT COALESCE(MAX(week) FILTER (WHERE kickoff <= now()), MIN(week), 1) AS wk
+           FROM games WHERE season = $1`,
+        [season]
+      );
+      week = Number(rows[0].wk);
+    }
+
+    const { rows: games } = await pool.query(
+      `SELECT g.id, g.home_team, g.away_team, g.kickoff,
+              g.line_favorite, g.line_spread, g.line_over_under, g.line_source, g.line_updated_at,
+              g.kickoff_line_frozen_at,
+              (SELECT COUNT(*)::int FROM odds_snapshots o WHERE o.game_id = g.id) AS snapshots
+         FROM games g
+        WHERE g.season = $1 AND g.week = $2
+        ORDER BY g.kickoff, g.id`,
+      [season, week]
+    );
+
+    let config;
+    try {
+      const cfg = oddsConfig();
+      config = {
+        provider: cfg.provider.name,
+        configured: cfg.provider.isConfigured(),
+        method: cfg.method,
+        bookmakers: cfg.bookmakers,
+      };
+    } catch (e) {
+      config = { error: e.message };
+    }
+    const [lastRun] = await listRuns({ job: "odds", limit: 1 });
+
+    res.json({ season, week, config, last_run: lastRun || null, games });
+  } catch (e) {
+    console.error("GET /admin/odds/status error:", e);
+    res.status(500).json({ error: "Failed to load odds status" });
+  }
+});
+
+module.exports = router;
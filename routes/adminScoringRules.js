@@ -0,0 +1,185 @@
+// backend/routes/adminScoringRules.js
+/**
+ * Scoring rules (see services/scoringRules.js for the rule keys):
+ * - GET    /admin/scoring-rules?season=                      season-wide rules (global admin)
+ * - PUT    /admin/scoring-rules          { season?, rules, force? }  partial update (global admin)
+ * - DELETE /admin/scoring-rules?season=&force=               back to built-in defaults
+ * - GET    /admin/scoring-rules/leagues/:leagueId?season=    effective rules for a league (league admin)
+ * - PUT    /admin/scoring-rules/leagues/:leagueId { season?, rules, force? }  league override
+ * - DELETE /admin/scoring-rules/leagues/:leagueId?season=&force=  drop the override
+ *
+ * Notes:
+ * - season defaults to the live season.
+ * - A league override stores only the keys sent for it; the rest follow the
+ *   season-wide rules.
+ * - Changing mode once the season has picks is refused (409 MODE_LOCKED)
+ *   unless force is set.
+ * - Saving or deleting rules flags the season's stored results for a rescore.
+ */
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const authenticateToken = require("../middleware/authMiddleware");
+const ensureAdmin = require("../middleware/ensureAdmin");
+const { resolveLeague, ensureLeagueAdmin } = require("../middleware/leagueContext");
+const { resolveSeason } = require("../services/seasons");
+const { markSeasonDirty } = require("../services/weeklyResults");
+const scoringRules = require("../services/scoringRules");
+
+/* ---------------------------------- Helpers --------------------------------- */
+async function seasonFrom(req, res) {
+  const season = await resolveSeason(req.body?.season ?? req.query.season);
+  if (!season) res.status(400).json({ error: "Invalid season" });
+  return season;
+}
+
+function meta() {
+  return {
+    defaults: scoringRules.DEFAULT_RULES,
+    modes: scoringRules.MODES,
+    tie_game_policies: scoringRules.TIE_GAME_POLICIES,
+    ats_lines: scoringRules.ATS_LINES,
+    tiebreakers: scoringRules.TIEBREAKERS,
+    auto_pick_policies: scoringRules.AUTO_PICK_POLICIES,
+  };
+}
+
+async function handleGet(req, res, leagueId) {
+  const season = await seasonFrom(req, res);
+  if (!season) return;
+  const effective = await scoringRules.getRules({ season, leagueId });
+  res.json({ ...effective, ...meta() });
+}
+
+/** Picks already made in the season (in the league, or in any league when null) */
+async function seasonHasPicks(season, leagueId) {
+  const r = await pool.query(
+    `SELECT 1 FROM picks WHERE season = $1 AND ($2::int IS NULL OR league_id = $2::int) LIMIT 1`,
+    [season, leagueId]
+  );
+  return r.rows.length > 0;
+}
+
+/**
+ * 409 body when a change of scoring mode would rescore weeks already picked,
+ * unless the admin sent force: true; null when the change may go ahead.
+ */
+async function modeChangeError({ season, leagueId, from, to, force }) {
+  if (from === to || force) return null;
+  if (!(await seasonHasPicks(season, leagueId))) return null;
+  return {
+    error: `Season ${season} already has picks; changing mode from "${from}" to "${to}" rescores every past week. Send force: true to change it anyway`,
+    code: "MODE_LOCKED",
+  };
+}
+
+async function handlePut(req, res, leagueId) {
+  const season = await seasonFrom(req, res);
+  if (!season) return;
+
+  // Partial updates: store only the keys sent on top of what this scope already
+  // stores, so the layers below (season-wide rules, defaults) keep applying
+  const stored = await scoringRules.getStoredRules({ season, leagueId });
+  const { rules, errors } = scoringRules.validateRules(req.body?.rules, stored || {});
+  if (errors) return res.status(400).json({ error: "Invalid rules", details: errors });
+
+  const current = await scoringRules.getRules({ season, leagueId });
+  const blocked = await modeChangeError({
+    season, leagueId, from: current.rules.mode, to: rules.mode ?? current.rules.mode, force: req.body?.force === true,
+  });
+  if (blocked) return res.status(409).json(blocked);
+
+  try {
+    await scoringRules.saveRules({ season, leagueId, rules, userId: req.user.user_id });
+  } catch (e) {
+    if (e.code === "23503") return res.status(400).json({ error: `Unknown season ${season}` });
+    throw e;
+  }
+  await markSeasonDirty(season, "rules", leagueId);
+
+  const effective = await scoringRules.getRules({ season, leagueId });
+  res.json({ ok: true, ...effective });
+}
+
+async function handleDelete(req, res, leagueId) {
+  const season = await seasonFrom(req, res);
+  if (!season) return;
+
+  // Dropping this scope may hand the mode back to the layer below
+  const stored = await scoringRules.getStoredRules({ season, leagueId });
+  if (stored?.mode) {
+    const current = await scoringRules.getRules({ season, leagueId });
+    const below = leagueId
+      ? (await scoringRules.getRules({ season })).rules.mode
+      : scoringRules.DEFAULT_RULES.mode;
+    const blocked = await modeChangeError({
+      season, leagueId, from: current.rules.mode, to: below, force: req.query.force === "true",
+    });
+    if (blocked) return res.status(409).json(blocked);
+  }
+  const removed = await scoringRules.deleteRules({ season, leagueId });
+  if (removed) await markSeasonDirty(season, "rules", leagueId);
+
+  const effective = await scoringRules.getRules({ season, leagueId });
+  res.json({ ok: true, removed, ...effective });
+}
+
+/* ------------------------------- Season-wide -------------------------------- */
+router.get("/", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    await handleGet(req, res, null);
+  } catch (e) {
+    console.error("GET /admin/scoring-rules error:", e);
+    res.status(500).json({ error: "Failed to load scoring rules" });
+  }
+});
+
+router.put("/", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    await handlePut(req, res, null);
+  } catch (e) {
+    console.error("PUT /admin/scoring-rules error:", e);
+    res.status(500).json({ error: "Failed to save scoring rules" });
+  }
+});
+
+router.delete("/", authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    await handleDelete(req, res, null);
+  } catch (e) {
+    console.error("DELETE /admin/scoring-rules error:", e);
+    res.status(500).json({ error: "Failed to reset scoring rules" });
+  }
+});
+
+/* ----------------------------- League overrides ----------------------------- */
+const leagueAdmin = [authenticateToken, resolveLeague(), ensureLeagueAdmin];
+
+router.get("/leagues/:leagueId", ...leagueAdmin, async (req, res) => {
+  try {
+    await handleGet(req, res, req.league.id);
+  } catch (e) {
+    console.error("GET /admin/scoring-rules/leagues/:leagueId error:", e);
+    res.status(500).json({ error: "Failed to load scoring rules" });
+  }
+});
+
+router.put("/leagues/:leagueId", ...leagueAdmin, async (req, res) => {
+  try {
+    await handlePut(req, res, req.league.id);
+  } catch (e) {
+    console.error("PUT /admin/scoring-rules/leagues/:leagueId error:", e);
+    res.status(500).json({ error: "Failed to save scoring rules" });
+  }
+});
+
+router.delete("/leagues/:leagueId", ...leagueAdmin, async (req, res) => {
+  try {
+    await handleDelete(req, res, req.league.id);
+  } catch (e) {
+    console.error("DELETE /admin/scoring-rules/leagues/:leagueId error:", e);
+    res.status(500).json({ error: "Failed to reset scoring rules" });
+  }
+});
+
+module.exports = router;
@@ -22,6 +22,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const authenticateToken = require('../middleware/authMiddleware');
+const ensureAdmin = require('../middleware/ensureAdmin');
 
 /** ---- Helpers ---- **/
 
@@ -39,22 +40,6 @@ function shapeUser(u) {
   };
 }
 
-async function ensureAdmin(req, res, next) {
-  try {
-    const userId = req.user?.user_id;
-    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
-
-    const q = await pool.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
-    if (!q.rows.length || !q.rows[0].is_admin) {
-      return res.status(403).json({ error: 'Forbidden: admin only' });
-    }
-    next();
-  } catch (e) {
-    console.error('ensureAdmin error:', e);
-    res.status(500).json({ error: 'Internal error (admin check)' });
-  }
-}
-
 async function countActiveAdmins() {
   const r = await pool.query('SELECT COUNT(*)::int AS c FROM users WHERE is_admin = true AND is_active = true');
   return r.rows[0].c || 0;
@@ -6,6 +6,7 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const pool = require('../db');
 const emailSvc = require('../services/email');
+const leagues = require('../services/leagues');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const TOKEN_TTL = process.env.TOKEN_TTL || '12h';
@@ -75,6 +76,8 @@ function shapeUser(u = {}) {
     deactivated,
     pending_approval,
     is_active,
+    pick_reminders: u.pick_reminders !== false,
+    auto_pick_strategy: u.auto_pick_strategy ?? null,
     created_at: u.created_at,
   };
 }
@@ -112,7 +115,7 @@ async function handleSignup(req, res) {
       return res.status(500).json({ error: 'Server misconfigured: JWT_SECRET missing' });
     }
 
-    let { email, password, first_name, last_name = '', name = '' } = req.body || {};
+    let { email, password, first_name, last_name = '', name = '', invite_code } = req.body || {};
     email = normalizeEmail(email);
 
     if (!email || !password || !first_name) {
@@ -122,6 +125,16 @@ async function handleSignup(req, res) {
       return res.status(400).json({ error: 'Password must be at least 8 characters' });
     }
 
+    // Optional league invite; without one the user joins the default league
+    let leagueId = null;
+    if (invite_code) {
+      const lq = await pool.query('SELECT id FROM leagues WHERE invite_code = $1', [
+        leagues.normalizeInviteCode(invite_code),
+      ]);
+      if (!lq.rows.length) return res.status(400).json({ error: 'Invalid invite code' });
+      leagueId = lq.rows[0].id;
+    }
+
     // Email uniqueness
     const existing = await pool.query(
       'SELECT id FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1',
@@ -162,6 +175,11 @@ async function handleSignup(req, res) {
       }
     }
 
+    const created = await pool.query('SELECT id FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1', [email]);
+    if (created.rows[0]) {
+      await leagues.addMember(leagueId || (await leagues.getDefaultLeagueId()), created.rows[0].id);
+    }
+
     // New accounts are pending; no token yet.
     return res.status(201).json({
       ok: true,
@@ -377,4 +395,63 @@ router.get('/me', requireJwt, async (req, res) => {
   }
 });
 
+/* ------------------------------ Preferences ------------------------------ */
+// { pick_reminders, auto_pick_strategy }
+//  - pick_reminders: missing-pick reminder emails (services/pickReminders.js)
+//  - auto_pick_strategy: favorite | home | underdog | none | null, used when the
+//    league's auto_pick_policy is "user_choice" (services/autoPicks.js)
+
+const AUTO_PICK_STRATEGIES = ['favorite', 'home', 'underdog', 'none'];
+
+function shapePreferences(row) {
+  return {
+    pick_reminders: row.pick_reminders !== false,
+    auto_pick_strategy: row.auto_pick_strategy ?? null,
+  };
+}
+
+router.get('/me/preferences', requireJwt, async (req, res) => {
+  try {
+    const q = await pool.query(
+      'SELECT pick_reminders, auto_pick_strategy FROM users WHERE id=$1',
+      [req.auth.user_id]
+    );
+    if (!q.rows[0]) return res.status(404).json({ error: 'User not found' });
+    return res.json(shapePreferences(q.rows[0]));
+  } catch (e) {
+    console.error('Error in GET /auth/me/preferences:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/me/preferences', requireJwt, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const hasReminders = body.pick_reminders !== undefined;
+    const hasStrategy = body.auto_pick_strategy !== undefined;
+    if (!hasReminders && !hasStrategy) {
+      return res.status(400).json({ error: 'Nothing to update (pick_reminders, auto_pick_strategy)' });
+    }
+    if (hasReminders && typeof body.pick_reminders !== 'boolean') {
+      return res.status(400).json({ error: 'pick_reminders must be true or false' });
+    }
+    if (hasStrategy && body.auto_pick_strategy !== null && !AUTO_PICK_STRATEGIES.includes(body.auto_pick_strategy)) {
+      return res.status(400).json({ error: `auto_pick_strategy must be null or one of: ${AUTO_PICK_STRATEGIES.join(', ')}` });
+    }
+    const q = await pool.query(
+      `UPDATE users
+          SET pick_reminders = CASE WHEN $2 THEN $3 ELSE pick_reminders END,
+              auto_pick_strategy = CASE WHEN $4 THEN $5 ELSE auto_pick_strategy END
+        WHERE id=$1
+        RETURNING pick_reminders, auto_pick_strategy`,
+      [req.auth.user_id, hasReminders, hasReminders ? body.pick_reminders : null, hasStrategy, hasStrategy ? body.auto_pick_strategy : null]
+    );
+    if (!q.rows[0]) return res.status(404).json({ error: 'User not found' });
+    return res.json(shapePreferences(q.rows[0]));
+  } catch (e) {
+    console.error('Error in PUT /auth/me/preferences:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
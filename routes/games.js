@@ -3,10 +3,13 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const { fetchAndIngest } = require("../services/score.Ingestor");
+const { resolveSeason } = require("../services/seasons");
+const { getLineHistory } = require("../services/oddsHistory");
 
 /**
- * GET /games/week/:week
- * Returns all games for a specific week.
+ * GET /games/week/:week?season=
+ * Returns all games for a specific week (default: live season).
  * Uses live line_* fields written by the odds sync job.
  * Response keeps the legacy keys "favorite" and "spread" so the frontend works unchanged.
  */
@@ -16,6 +19,10 @@ router.get("/week/:week", async (req, res, next) => {
     if (!Number.isFinite(week)) {
       return res.status(400).json({ error: "Invalid week" });
     }
+    const season = await resolveSeason(req.query.season);
+    if (!season) {
+      return res.status(400).json({ error: "Invalid season" });
+    }
 
     const { rows } = await db.query(
       `
@@ -27,16 +34,20 @@ router.get("/week/:week", async (req, res, next) => {
         kickoff,           -- correct column in your DB
         home_score,
         away_score,
+        status,
+        period,
+        clock,
+        is_final,
         line_favorite,
         line_spread,
         line_over_under,
         line_source,
         line_updated_at
       FROM games
-      WHERE week = $1
+      WHERE week = $1 AND season = $2
       ORDER BY kickoff, id;
       `,
-      [week]
+      [week, season]
     );
 
     if (!rows.length) {
@@ -52,6 +63,10 @@ router.get("/week/:week", async (req, res, next) => {
       kickoff: r.kickoff,
       home_score: r.home_score,
       away_score: r.away_score,
+      status: r.status,       // scheduled | in_progress | final | postponed | canceled
+      period: r.period,       // quarter while in progress (5 = OT)
+      clock: r.clock,
+      is_final: r.is_final,   // scores only count once this is true
 
       // legacy keys used by UI
       favorite: r.line_favorite ?? null,
@@ -69,9 +84,31 @@ router.get("/week/:week", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /games/:id/lines?bookmaker=
+ * Line history of one game from odds_snapshots, oldest first. Each snapshot is
+ * a line one bookmaker held from fetched_at to last_seen_at. opening/closing
+ * map bookmaker -> its opening line and its closing line at kickoff;
+ * game.kickoff_line_snapshot_id is the closing line ATS scoring uses.
+ */
+router.get("/:id/lines", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "Invalid game id" });
+    }
+    const history = await getLineHistory(id, { bookmaker: req.query.bookmaker || null });
+    if (!history) return res.status(404).json({ error: "Game not found" });
+    res.json(history);
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * (Deprecated) GET /games/update
- * Previously pulled odds directly. We now populate odds via the CI job (scripts/fetchOdds.js).
+ * Previously pulled odds directly. Odds now come from the odds sync
+ * (services/odds.Ingestor.js: scheduler, POST /admin/odds/fetch-now, scripts/fetchOdds.js).
  * Return 410 Gone to avoid accidental usage.
  */
 router.get("/update", (_req, res) => {
@@ -80,60 +117,31 @@ router.get("/update", (_req, res) => {
     .json({
       error: "Deprecated",
       message:
-        "Odds are synced by CI (scripts/fetchOdds.js). This endpoint is disabled.",
+        "Odds are synced by the odds job (POST /admin/odds/fetch-now). This endpoint is disabled.",
     });
 });
 
 /**
- * GET /games/update-scores
- * Keeps your existing score update pathway (TheSportsDB) for now.
- * If you’ve replaced scores elsewhere, feel free to remove this route later.
+ * GET /games/update-scores?week=&providers=
+ * Ingests scores through the shared provider chain (services/score.Ingestor.js;
+ * SCORE_PROVIDERS order with failover). week defaults to the latest week of
+ * the live season that has kicked off.
  */
 router.get("/update-scores", async (req, res) => {
-  const fetch = (await import("node-fetch")).default;
-  const apiKey = process.env.SPORTSDB_API_KEY || process.env.THESPORTSDB_API_KEY;
-
-  if (!apiKey) {
-    console.error("❌ SPORTSDB_API_KEY (or THESPORTSDB_API_KEY) is missing from env");
-    return res.status(500).json({ error: "SPORTSDB_API_KEY is not set" });
-  }
-
-  const url = `https://www.thesportsdb.com/api/v1/json/${apiKey}/eventspastleague.php?id=4391`;
-
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (!data || !data.events) {
-      console.error("❌ Invalid response from SportsDB:", data);
-      return res.status(500).json({ error: "Invalid response from SportsDB" });
-    }
-
-    let updatedCount = 0;
-
-    for (const event of data.events) {
-      const homeTeam = event.strHomeTeam;
-      const awayTeam = event.strAwayTeam;
-      const homeScore = parseInt(event.intHomeScore, 10);
-      const awayScore = parseInt(event.intAwayScore, 10);
-
-      if (Number.isNaN(homeScore) || Number.isNaN(awayScore)) {
-        continue;
-      }
-
-      const result = await db.query(
-        `
-        UPDATE games
-           SET home_score = $1, away_score = $2
-         WHERE home_team = $3 AND away_team = $4
-        `,
-        [homeScore, awayScore, homeTeam, awayTeam]
+    let week = Number(req.query.week);
+    if (!Number.isFinite(week) || week < 1) {
+      const { rows } = await db.query(
+        `SELECT COALESCE(MAX(week), 1) AS wk FROM games WHERE season = current_season() AND kickoff <= now()`
       );
-
-      if (result.rowCount > 0) updatedCount++;
+      week = Number(rows[0].wk);
     }
 
-    return res.status(200).json({ message: `${updatedCount} games updated with final scores.` });
+    const result = await fetchAndIngest({ week, providers: req.query.providers, trigger: "api" });
+    return res.status(200).json({
+      message: `${result.updated} games updated with scores (week ${week}, via ${result.provider}).`,
+      ...result,
+    });
   } catch (error) {
     console.error("Error updating scores:", error);
     return res.status(500).json({ error: "Failed to update scores" });
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
+const { resolveLeague } = require('../middleware/leagueContext');
 
 /** Helpers */
 async function tableExists(table) {
@@ -24,10 +25,13 @@ function firstExisting(cols, candidates) {
   return candidates.find(c => cols.includes(c)) || null;
 }
 
-async function fetchRow(table, weekCol, weekVal) {
+async function fetchRow(table, weekCol, weekVal, leagueId = null, liveSeason = false) {
+  // League/season-scoped tables carry league_id/season; older schemas don't
+  const byLeague = leagueId != null;
+  const bySeason = liveSeason ? ' AND season = current_season()' : '';
   const q = await pool.query(
-    `SELECT * FROM ${table} WHERE ${weekCol} = $1 ORDER BY id DESC LIMIT 1`,
-    [weekVal]
+    `SELECT * FROM ${table} WHERE ${weekCol} = $1${byLeague ? ' AND league_id = $2' : ''}${bySeason} ORDER BY id DESC LIMIT 1`,
+    byLeague ? [weekVal, leagueId] : [weekVal]
   );
   return q.rows[0] || null;
 }
@@ -38,14 +42,14 @@ router.get('/highlights/ping', (_req, res) => {
 });
 
 /**
- * GET /games/highlights/:week
+ * GET /games/highlights/:week?league_id=
  * Returns { week, gotw, potw }
  *  - gotw: game of the week (teams, start_time, any points/multiplier/tiebreaker available)
  *  - potw: player of the week (player, team, stat, value)
  * Tries to adapt to different column names by introspecting the schema.
  * Add ?debug=1 to see detected columns and raw rows.
  */
-router.get('/highlights/:week', async (req, res) => {
+router.get('/highlights/:week', resolveLeague(), async (req, res) => {
   const week = Math.max(1, parseInt(req.params.week, 10) || 1);
   const debug = String(req.query.debug || '') === '1';
 
@@ -61,7 +65,7 @@ router.get('/highlights/:week', async (req, res) => {
       // Which column holds 'week'?
       const weekCol = firstExisting(gc, ['week', 'wk']);
       if (weekCol) {
-        const row = await fetchRow('game_of_the_week', weekCol, week);
+        const row = await fetchRow('game_of_the_week', weekCol, week, gc.includes('league_id') ? req.league.id : null, gc.includes('season'));
         dbg.gotwRaw = row;
 
         if (row) {
@@ -122,7 +126,7 @@ router.get('/highlights/:week', async (req, res) => {
 
       const weekCol = firstExisting(pc, ['week', 'wk']);
       if (weekCol) {
-        const row = await fetchRow('player_of_the_week', weekCol, week);
+        const row = await fetchRow('player_of_the_week', weekCol, week, pc.includes('league_id') ? req.league.id : null, pc.includes('season'));
         dbg.potwRaw = row;
 
         if (row) {
@@ -0,0 +1,141 @@
+// backend/routes/leagues.js
+/**
+ * Leagues (pools):
+ * - GET    /leagues/mine                               leagues the caller belongs to
+ * - POST   /leagues                  { name }          create; caller becomes league admin
+ * - POST   /leagues/join             { invite_code }   join by invite code
+ * - GET    /leagues/:leagueId                          league + members (members only)
+ * - POST   /leagues/:leagueId/invite-code              rotate invite code (league admin)
+ * - PUT    /leagues/:leagueId/members/:userId/role { role }   (league admin)
+ * - DELETE /leagues/:leagueId/members/:userId          league admin, or the member leaving
+ *
+ * Notes:
+ * - A league always keeps at least one admin.
+ * - Invite codes are only shown to league admins.
+ */
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middleware/authMiddleware");
+const { resolveLeague, ensureLeagueAdmin, isGlobalAdmin } = require("../middleware/leagueContext");
+const leagues = require("../services/leagues");
+
+const ROLES = new Set(["member", "admin"]);
+
+/* ---------------------------------- Mine ---------------------------------- */
+router.get("/mine", authenticateToken, async (req, res) => {
+  try {
+    const rows = await leagues.listLeaguesForUser(req.user.user_id);
+    res.json({ leagues: rows });
+  } catch (err) {
+    console.error("GET /leagues/mine error:", err);
+    res.status(500).json({ error: "Failed to load leagues" });
+  }
+});
+
+/* --------------------------------- Create --------------------------------- */
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    if (!name) return res.status(400).json({ error: "name is required" });
+    if (name.length > 80) return res.status(400).json({ error: "name is too long (max 80)" });
+
+    const league = await leagues.createLeague({ name, userId: req.user.user_id });
+    res.status(201).json({ league: { ...league, role: "admin" } });
+  } catch (err) {
+    console.error("POST /leagues error:", err);
+    res.status(500).json({ error: "Failed to create league" });
+  }
+});
+
+/* ---------------------------------- Join ---------------------------------- */
+router.post("/join", authenticateToken, async (req, res) => {
+  try {
+    const code = req.body?.invite_code;
+    if (!code) return res.status(400).json({ error: "invite_code is required" });
+
+    const league = await leagues.joinByInviteCode(code, req.user.user_id);
+    if (!league) return res.status(404).json({ error: "Invalid invite code" });
+
+    const role = await leagues.getMemberRole(league.id, req.user.user_id);
+    res.json({ ok: true, league: { ...league, role } });
+  } catch (err) {
+    console.error("POST /leagues/join error:", err);
+    res.status(500).json({ error: "Failed to join league" });
+  }
+});
+
+/* --------------------------------- Details -------------------------------- */
+router.get("/:leagueId", authenticateToken, resolveLeague({ requireMember: true }), async (req, res) => {
+  try {
+    const league = await leagues.getLeague(req.league.id);
+    const members = await leagues.listMembers(req.league.id);
+    const canManage = req.league.role === "admin" || (await isGlobalAdmin(req.user.user_id));
+    if (!canManage) delete league.invite_code;
+    res.json({
+      league: { ...league, role: req.league.role },
+      members: members.map((m) => ({ ...m, email: canManage ? m.email : undefined })),
+    });
+  } catch (err) {
+    console.error("GET /leagues/:leagueId error:", err);
+    res.status(500).json({ error: "Failed to load league" });
+  }
+});
+
+/* ------------------------------ Invite code ------------------------------- */
+router.post("/:leagueId/invite-code", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const invite_code = await leagues.regenerateInviteCode(req.league.id);
+    res.json({ ok: true, league_id: req.league.id, invite_code });
+  } catch (err) {
+    console.error("POST /leagues/:leagueId/invite-code error:", err);
+    res.status(500).json({ error: "Failed to regenerate invite code" });
+  }
+});
+
+/* ---------------------------------- Roles --------------------------------- */
+router.put("/:leagueId/members/:userId/role", authenticateToken, resolveLeague(), ensureLeagueAdmin, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const role = String(req.body?.role || "").toLowerCase();
+    if (!Number.isInteger(userId)) return res.status(400).json({ error: "Invalid user id" });
+    if (!ROLES.has(role)) return res.status(400).json({ error: "role must be 'member' or 'admin'" });
+
+    const current = await leagues.getMemberRole(req.league.id, userId);
+    if (!current) return res.status(404).json({ error: "Not a member of this league" });
+    if (current === "admin" && role === "member" && (await leagues.countLeagueAdmins(req.league.id)) <= 1) {
+      return res.status(400).json({ error: "Cannot demote the last league admin" });
+    }
+
+    const member = await leagues.setMemberRole(req.league.id, userId, role);
+    res.json({ ok: true, member });
+  } catch (err) {
+    console.error("PUT /leagues/:leagueId/members/:userId/role error:", err);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
+
+/* --------------------------------- Remove --------------------------------- */
+router.delete("/:leagueId/members/:userId", authenticateToken, resolveLeague(), async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    if (!Number.isInteger(userId)) return res.status(400).json({ error: "Invalid user id" });
+
+    const isSelf = userId === Number(req.user.user_id);
+    const canManage = req.league.role === "admin" || (await isGlobalAdmin(req.user.user_id));
+    if (!isSelf && !canManage) return res.status(403).json({ error: "Forbidden: league admin only" });
+
+    const current = await leagues.getMemberRole(req.league.id, userId);
+    if (!current) return res.status(404).json({ error: "Not a member of this league" });
+    if (current === "admin" && (await leagues.countLeagueAdmins(req.league.id)) <= 1) {
+      return res.status(400).json({ error: "Cannot remove the last league admin" });
+    }
+
+    await leagues.removeMember(req.league.id, userId);
+    res.json({ ok: true, league_id: req.league.id, user_id: userId });
+  } catch (err) {
+    console.error("DELETE /leagues/:leagueId/members/:userId error:", err);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// backend/routes/live.js
+/**
+ * Live scores over Server-Sent Events (services/liveScores.js):
+ * - GET /live/week/:week?league_id=&season=
+ *   event "games":     { season, week, games: [{ id, home_score, away_score, status, period, clock, ... }] }
+ *   event "standings": the /leaderboard/week/:week payload for the league
+ * Both are sent on connect and again whenever the ingestor writes new scores,
+ * so clients can drop their polling of /public/games and /leaderboard.
+ * Same access as the leaderboard: public for the default league, members only
+ * (Authorization header) for others. EventSource reconnects on its own.
+ */
+const express = require("express");
+const router = express.Router();
+const { resolveLeague, ensureLeagueReader } = require("../middleware/leagueContext");
+const { resolveSeason } = require("../services/seasons");
+const { subscribe } = require("../services/liveScores");
+
+router.get("/week/:week", resolveLeague(), ensureLeagueReader, async (req, res) => {
+  try {
+    const week = Number(req.params.week);
+    if (!Number.isInteger(week) || week < 1) return res.status(400).json({ error: "Invalid week" });
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
+
+    await subscribe(res, { leagueId: req.league.id, season, week });
+  } catch (e) {
+    console.error("GET /live/week/:week error:", e);
+    // Once the stream is open the status is already sent; closing lets EventSource retry
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Failed to open live stream" });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,30 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateToken = require("../middleware/authMiddleware"); // attaches req.user = { user_id, ... }
+const {
+  checkPickLock,
+  checkPredictionLock,
+  lockErrorBody,
+  getWeekLock,
+  getWeekUnlockUTC,
+} = require("../services/pickLocks");
+const { loadWeekInputs, scoreWeek, validateConfidencePicks } = require("../services/scoring");
+const { markWeekDirtySafe } = require("../services/weeklyResults");
+const { resolveLeague, ensureLeagueReader } = require("../middleware/leagueContext");
+const { resolveSeason, getCurrentSeason } = require("../services/seasons");
+const { CONTESTS, checkSurvivorPick } = require("../services/survivor");
+const { getRules } = require("../services/scoringRules");
+const { matchTeam, teamsInGames } = require("../services/teams");
+const { latestSnapshotId } = require("../services/oddsHistory");
+const {
+  pickState,
+  predictionsChanged,
+  upsertPick,
+  recordPickVersion,
+  recordRejectedPick,
+  listUserPickHistory,
+} = require("../services/pickHistory");
+const { finalizedWeekError } = require("../services/weekFinalization");
 
 /* ============================
    Helpers
@@ -13,6 +37,13 @@ function getRequestedUserId(req) {
   return Number.isFinite(n) ? n : null;
 }
 
+/** ?contest= / body.contest: "pickem" (default) or "survivor"; null if invalid */
+function getContest(req) {
+  const raw = req.body?.contest ?? req.query.contest;
+  if (raw === undefined || raw === null || raw === "") return "pickem";
+  return CONTESTS.includes(raw) ? raw : null;
+}
+
 function ensureSelf(req, res, next) {
   const requested = getRequestedUserId(req);
   const tokenUserId = req.user?.user_id;
@@ -26,86 +57,371 @@ function ensureSelf(req, res, next) {
   next();
 }
 
-// Optional: double points toggle for certain weeks
-function weekMultiplier(week) {
-  return (week === 13 || week === 17) ? 2 : 1;
-}
-
-/**
- * Compute the Sunday 11:00 AM America/Phoenix unlock moment for a given week.
- * Approach:
- * - Find the earliest SUNDAY game for that week using games.start_time (stored in UTC).
- * - Use that date's Y-M-D, then set unlock to 18:00:00 UTC (which is 11:00 AM AZ; AZ is UTC-7 year-round).
- * - If no Sunday game is found, we consider it unlocked (return null).
- */
-async function getWeekUnlockUTC(week) {
-  const r = await pool.query(
-    `SELECT start_time
-     FROM games
-     WHERE week = $1 AND EXTRACT(DOW FROM start_time) = 0
-     ORDER BY start_time ASC
-     LIMIT 1`,
-    [week]
-  );
-  if (!r.rows.length) return null;
-  const sundayUTC = new Date(r.rows[0].start_time);
-  const unlockUTC = new Date(Date.UTC(sundayUTC.getUTCFullYear(), sundayUTC.getUTCMonth(), sundayUTC.getUTCDate(), 18, 0, 0)); // 18:00 UTC = 11:00 AM AZ
-  return unlockUTC;
+/** 400 body for a team that plays no game in the week */
+function invalidTeamBody(raw, week, games) {
+  return {
+    error: games.length
+      ? `"${raw}" does not play in week ${week}`
+      : `No games scheduled for week ${week}`,
+    code: "INVALID_TEAM",
+    valid_teams: teamsInGames(games),
+  };
 }
 
 /* ============================
    Submit / Upsert a Pick (Protected)
    - POST /picks/submit  (primary)
    - POST /picks/        (back-compat)
+   Rejected with 423 PICK_LOCKED once the picked game (or the
+   previously picked game) has kicked off — see services/pickLocks.js.
+   GOTW/POTW predictions can't change once the game of the week has kicked off.
+   Picks are per league (body.league_id / x-league-id; default league otherwise)
+   and always go to the live season.
+   body.contest = "survivor" makes it the week's survivor pick instead (no
+   GOTW/POTW; 409 once eliminated or when the team was used in another week).
+   team may be a full name, abbreviation or nickname ("KC", "Chiefs"); it is
+   stored as the name used in games (400 INVALID_TEAM with valid_teams otherwise).
+   Every change (and every locked-out attempt) is kept in pick_versions
+   (services/pickHistory.js). 409 while the week is finalized
+   (services/weekFinalization.js), even during an unlock or extension.
 ============================ */
 async function submitPickHandler(req, res) {
+  let client;
   try {
-    const { team, potw_prediction, gotw_prediction, week } = req.body;
+    const { team: rawTeam, potw_prediction, gotw_prediction, week } = req.body;
     const user_id = req.user?.user_id;
 
     if (!user_id) return res.status(401).json({ error: "Unauthorized" });
     if (!Number.isFinite(Number(week)) || Number(week) < 1) {
       return res.status(400).json({ error: "Invalid or missing week" });
     }
-    if (!team || typeof team !== "string") {
+    if (!rawTeam || typeof rawTeam !== "string") {
       return res.status(400).json({ error: "team is required" });
     }
 
+    const contest = getContest(req);
+    if (!contest) return res.status(400).json({ error: `contest must be one of: ${CONTESTS.join(", ")}` });
+    const survivor = contest === "survivor";
+
     const w = Number(week);
-    const potw = (potw_prediction === "" || potw_prediction === undefined) ? null : Number(potw_prediction);
-    const gotw = (gotw_prediction === "" || gotw_prediction === undefined) ? null : Number(gotw_prediction);
-
-    const result = await pool.query(
-      `INSERT INTO picks (user_id, week, team, potw_prediction, gotw_prediction)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (user_id, week)
-       DO UPDATE SET team = EXCLUDED.team,
-                     potw_prediction = EXCLUDED.potw_prediction,
-                     gotw_prediction = EXCLUDED.gotw_prediction
-       RETURNING id, user_id, week, team, potw_prediction, gotw_prediction`,
-      [user_id, w, team, potw, gotw]
+    const potw = (survivor || potw_prediction === "" || potw_prediction === undefined) ? null : Number(potw_prediction);
+    const gotw = (survivor || gotw_prediction === "" || gotw_prediction === undefined) ? null : Number(gotw_prediction);
+
+    const leagueId = req.league.id;
+    if (!survivor) {
+      const { rules } = await getRules({ leagueId });
+      if (rules.mode === "confidence") {
+        return res.status(400).json({ error: "This league uses confidence picks; submit them to /picks/confidence" });
+      }
+      const finalized = await finalizedWeekError(leagueId, await getCurrentSeason(), w);
+      if (finalized) return res.status(finalized.status).json({ error: finalized.error });
+    }
+
+    const games = (await pool.query(
+      `SELECT id, home_team, away_team, line_favorite, line_spread, line_source FROM games
+        WHERE week = $1 AND season = current_season()`,
+      [w]
+    )).rows;
+    const team = matchTeam(rawTeam, teamsInGames(games));
+    if (!team) return res.status(400).json(invalidTeamBody(rawTeam, w, games));
+    const game = games.find((g) => g.home_team === team || g.away_team === team);
+
+    const existing = await pool.query(
+      `SELECT id, team, potw_prediction, gotw_prediction, is_auto FROM picks
+        WHERE league_id = $1 AND user_id = $2 AND week = $3 AND season = current_season() AND contest = $4`,
+      [leagueId, user_id, w, contest]
     );
+    const previous = pickState(existing.rows[0]);
+    const attempted = pickState({ team, potw_prediction: potw, gotw_prediction: gotw });
+    const lock = await checkPickLock({
+      week: w,
+      team,
+      previousTeam: previous?.team ?? null,
+      leagueId,
+      userId: user_id,
+    });
+    if (lock.locked) {
+      await recordRejectedPick({
+        pickId: existing.rows[0]?.id ?? null,
+        leagueId, contest, userId: user_id, week: w,
+        ip: req.ip, reason: `PICK_LOCKED: ${lock.reason}`, previous, state: attempted,
+      });
+      return res.status(423).json(lockErrorBody(lock));
+    }
+    if (!survivor && predictionsChanged(previous, attempted)) {
+      const predLock = await checkPredictionLock({ week: w, leagueId, userId: user_id });
+      if (predLock.locked) {
+        await recordRejectedPick({
+          pickId: existing.rows[0]?.id ?? null,
+          leagueId, contest, userId: user_id, week: w,
+          ip: req.ip, reason: `PICK_LOCKED: ${predLock.reason}`, previous, state: attempted,
+        });
+        return res.status(423).json(lockErrorBody(predLock));
+      }
+    }
+
+    if (survivor) {
+      const season = await getCurrentSeason();
+      const denied = await checkSurvivorPick({ leagueId, season, userId: user_id, week: w, team });
+      if (denied) return res.status(denied.status).json({ error: denied.error, code: denied.code });
+    }
+
+    // Spread at pick time (ATS scoring can use it) and the history row it came
+    // from; kept while the team is unchanged
+    const lineFav = game.line_favorite ?? null;
+    const lineSpread = game.line_spread ?? null;
+    const lineSnapshotId = lineSpread === null ? null : await latestSnapshotId(pool, game.id, game.line_source);
+
+    client = await pool.pool.connect();
+    await client.query("BEGIN");
+    const saved = await upsertPick(client, {
+      leagueId,
+      userId: user_id,
+      week: w,
+      team,
+      contest,
+      gotwPrediction: gotw,
+      potwPrediction: potw,
+      lineFavorite: lineFav,
+      lineSpread,
+      lineSnapshotId,
+    });
+    await recordPickVersion(client, {
+      pickId: saved.id,
+      leagueId,
+      season: saved.season,
+      contest,
+      userId: user_id,
+      week: w,
+      ip: req.ip,
+      previous,
+      state: pickState(saved),
+    });
+    await client.query("COMMIT");
+    if (!survivor) await markWeekDirtySafe(w, "pick", leagueId);
 
-    return res.status(200).json(result.rows[0]);
+    return res.status(200).json(saved);
   } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    // Two concurrent survivor submits can both pass the reuse check
+    if (err.code === "23505" && err.constraint === "picks_survivor_team_once") {
+      return res.status(409).json({ error: "Team already used in another week", code: "SURVIVOR_TEAM_USED" });
+    }
     console.error("Error submitting pick:", err);
     return res.status(500).json({ error: "Failed to submit pick" });
+  } finally {
+    if (client) client.release();
   }
 }
-router.post("/submit", authenticateToken, submitPickHandler);
-router.post("/", authenticateToken, submitPickHandler);
+router.post("/submit", authenticateToken, resolveLeague({ requireMember: true }), submitPickHandler);
+router.post("/", authenticateToken, resolveLeague({ requireMember: true }), submitPickHandler);
+
+/* ============================
+   Confidence Picks (Protected) — leagues whose scoring rules use mode "confidence"
+   POST /picks/confidence
+   { week, picks: [{ game_id, team, confidence }], gotw_prediction?, potw_prediction? }
+   - one entry for every game of the week, confidence values 1..N each used once
+   - teams are matched like in /picks/submit (abbreviations, nicknames)
+   - entries for games that have kicked off must be resubmitted unchanged
+     (423 PICK_LOCKED otherwise); with PICK_LOCK_POLICY=week the whole
+     week locks at the first Sunday kickoff
+   - GOTW/POTW predictions lock at the game of the week's kickoff
+   - admin week lock overrides and deadline extensions apply as in
+     services/pickLocks.js
+   - versions (and refused late changes) go to pick_versions like /picks/submit
+   - 409 while the week is finalized, like /picks/submit
+============================ */
+router.post("/confidence", authenticateToken, resolveLeague({ requireMember: true }), async (req, res) => {
+  const user_id = req.user?.user_id;
+  const { week, picks: entries, potw_prediction, gotw_prediction } = req.body;
+  if (!Number.isFinite(Number(week)) || Number(week) < 1) {
+    return res.status(400).json({ error: "Invalid or missing week" });
+  }
+  const w = Number(week);
+  const leagueId = req.league.id;
+  const potw = (potw_prediction === "" || potw_prediction === undefined) ? null : Number(potw_prediction);
+  const gotw = (gotw_prediction === "" || gotw_prediction === undefined) ? null : Number(gotw_prediction);
+
+  let client;
+  try {
+    const { rules } = await getRules({ leagueId });
+    if (rules.mode !== "confidence") {
+      return res.status(400).json({ error: "This league does not use confidence picks" });
+    }
+    const finalized = await finalizedWeekError(leagueId, await getCurrentSeason(), w);
+    if (finalized) return res.status(finalized.status).json({ error: finalized.error });
+
+    const games = (await pool.query(
+      `SELECT id, home_team, away_team, kickoff FROM games
+        WHERE week = $1 AND season = current_season()
+        ORDER BY id`,
+      [w]
+    )).rows;
+    if (!games.length) return res.status(400).json({ error: `No games for week ${w}` });
+
+    const invalid = validateConfidencePicks(entries, games);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const existing = (await pool.query(
+      `SELECT game_id, team, confidence FROM confidence_picks
+        WHERE league_id = $1 AND season = current_season() AND user_id = $2 AND week = $3`,
+      [leagueId, user_id, w]
+    )).rows;
+    const entryRow = (await pool.query(
+      `SELECT id, team, potw_prediction, gotw_prediction FROM picks
+        WHERE league_id = $1 AND season = current_season() AND user_id = $2 AND week = $3 AND contest = 'pickem'`,
+      [leagueId, user_id, w]
+    )).rows[0];
+    const previous = entryRow || existing.length ? pickState(entryRow || {}, existing) : null;
+    const attempted = pickState({ team: null, potw_prediction: potw, gotw_prediction: gotw }, entries);
+    const rejected = (reason) =>
+      recordRejectedPick({
+        pickId: entryRow?.id ?? null,
+        leagueId, contest: "pickem", userId: user_id, week: w,
+        ip: req.ip, reason: `PICK_LOCKED: ${reason}`, previous, state: attempted,
+      });
+
+    // Locks (admin overrides and the user's extension included)
+    const now = new Date();
+    const weekLock = await getWeekLock({ week: w, leagueId, userId: user_id, now });
+    const { policy } = weekLock;
+    if (weekLock.locked) {
+      await rejected(weekLock.reason);
+      return res.status(423).json(lockErrorBody(weekLock));
+    }
+    if (predictionsChanged(previous, attempted)) {
+      const predLock = await checkPredictionLock({ week: w, leagueId, userId: user_id, now });
+      if (predLock.locked) {
+        await rejected(predLock.reason);
+        return res.status(423).json(lockErrorBody(predLock));
+      }
+    }
+    const existingByGame = new Map(existing.map((c) => [c.game_id, c]));
+    const perGame = policy === "game" || weekLock.extended_until || weekLock.override === "unlocked";
+    const started = new Set(
+      perGame
+        ? games.filter((g) => g.kickoff && now >= new Date(g.kickoff)).map((g) => g.id)
+        : []
+    );
+    for (const e of entries) {
+      const gameId = Number(e.game_id);
+      if (!started.has(gameId)) continue;
+      const prev = existingByGame.get(gameId);
+      if (!prev || prev.team !== e.team || prev.confidence !== Number(e.confidence)) {
+        const g = games.find((x) => x.id === gameId);
+        await rejected("game_started");
+        return res.status(423).json({
+          ...lockErrorBody({ locked: true, policy, reason: "game_started", lock_at: new Date(g.kickoff) }),
+          game_id: gameId,
+        });
+      }
+    }
+
+    client = await pool.pool.connect();
+    await client.query("BEGIN");
+    // Weekly entry row carries the GOTW/POTW predictions
+    const entry = (await client.query(
+      `INSERT INTO picks (league_id, user_id, week, team, potw_prediction, gotw_prediction, contest)
+       VALUES ($1, $2, $3, NULL, $4, $5, 'pickem')
+       ON CONFLICT (league_id, season, contest, user_id, week)
+       DO UPDATE SET team = NULL,
+                     potw_prediction = EXCLUDED.potw_prediction,
+                     gotw_prediction = EXCLUDED.gotw_prediction
+       RETURNING id, season`,
+      [leagueId, user_id, w, potw, gotw]
+    )).rows[0];
+    await client.query(
+      `DELETE FROM confidence_picks
+        WHERE league_id = $1 AND season = current_season() AND user_id = $2 AND week = $3
+          AND NOT (game_id = ANY($4::int[]))`,
+      [leagueId, user_id, w, [...started]]
+    );
+    for (const e of entries) {
+      if (started.has(Number(e.game_id))) continue;
+      await client.query(
+        `INSERT INTO confidence_picks (league_id, user_id, week, game_id, team, confidence)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [leagueId, user_id, w, Number(e.game_id), e.team, Number(e.confidence)]
+      );
+    }
+    const version = await recordPickVersion(client, {
+      pickId: entry.id,
+      leagueId,
+      season: entry.season,
+      userId: user_id,
+      week: w,
+      ip: req.ip,
+      previous,
+      state: attempted,
+    });
+    if (version) await client.query(`UPDATE picks SET submitted_at = now() WHERE id = $1`, [entry.id]);
+    await client.query("COMMIT");
+    await markWeekDirtySafe(w, "pick", leagueId);
+
+    const saved = await pool.query(
+      `SELECT game_id, team, confidence FROM confidence_picks
+        WHERE league_id = $1 AND season = current_season() AND user_id = $2 AND week = $3
+        ORDER BY confidence DESC`,
+      [leagueId, user_id, w]
+    );
+    return res.json({ league_id: leagueId, week: w, potw_prediction: potw, gotw_prediction: gotw, picks: saved.rows });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error submitting confidence picks:", err);
+    return res.status(500).json({ error: "Failed to submit confidence picks" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/* ============================
+   My Pick History (Protected)
+   GET /picks/history?league_id=&season=&week=&contest=
+   - every version of the caller's picks, newest first, including changes
+     made for them (source admin / auto) and submits refused after lock
+============================ */
+router.get("/history", authenticateToken, resolveLeague(), async (req, res) => {
+  try {
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
+    const week = req.query.week ? Number(req.query.week) : null;
+    if (week !== null && (!Number.isInteger(week) || week < 1)) {
+      return res.status(400).json({ error: "Invalid week" });
+    }
+    const contest = req.query.contest ? getContest(req) : null;
+    if (req.query.contest && !contest) return res.status(400).json({ error: "Invalid contest" });
+
+    const versions = await listUserPickHistory({
+      leagueId: req.league.id,
+      season,
+      userId: req.user.user_id,
+      week,
+      contest,
+      limit: req.query.limit,
+    });
+    return res.json({ league_id: req.league.id, season, week, contest, versions });
+  } catch (err) {
+    console.error("Error fetching pick history:", err);
+    return res.status(500).json({ error: "Failed to fetch pick history" });
+  }
+});
 
 /* ============================
    Private Picks (Protected)
+   Optional ?season= (default: live season) and ?contest= (default: pickem)
 ============================ */
-router.get("/season/private", authenticateToken, ensureSelf, async (req, res) => {
+router.get("/season/private", authenticateToken, ensureSelf, resolveLeague(), async (req, res) => {
   try {
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
+    const contest = getContest(req);
+    if (!contest) return res.status(400).json({ error: "Invalid contest" });
     const { rows } = await pool.query(
       `SELECT week, team, potw_prediction, gotw_prediction
        FROM picks
-       WHERE user_id = $1
+       WHERE user_id = $1 AND league_id = $2 AND season = $3 AND contest = $4
        ORDER BY week ASC`,
-      [req.requested_user_id]
+      [req.requested_user_id, req.league.id, season, contest]
     );
     return res.json(rows);
   } catch (err) {
@@ -114,17 +430,44 @@ router.get("/season/private", authenticateToken, ensureSelf, async (req, res) =>
   }
 });
 
-router.get("/week/:week/private", authenticateToken, ensureSelf, async (req, res) => {
+router.get("/week/:week/confidence/private", authenticateToken, ensureSelf, resolveLeague(), async (req, res) => {
   const week = Number(req.params.week);
   if (!Number.isFinite(week)) {
     return res.status(400).json({ error: "Invalid week" });
   }
   try {
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
+    const { rows } = await pool.query(
+      `SELECT c.game_id, c.team, c.confidence, g.home_team, g.away_team
+       FROM confidence_picks c
+       JOIN games g ON g.id = c.game_id
+       WHERE c.week = $1 AND c.user_id = $2 AND c.league_id = $3 AND c.season = $4
+       ORDER BY c.confidence DESC`,
+      [week, req.requested_user_id, req.league.id, season]
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error("Error fetching confidence picks:", err);
+    return res.status(500).json({ error: "Failed to fetch confidence picks" });
+  }
+});
+
+router.get("/week/:week/private", authenticateToken, ensureSelf, resolveLeague(), async (req, res) => {
+  const week = Number(req.params.week);
+  if (!Number.isFinite(week)) {
+    return res.status(400).json({ error: "Invalid week" });
+  }
+  try {
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
+    const contest = getContest(req);
+    if (!contest) return res.status(400).json({ error: "Invalid contest" });
     const { rows } = await pool.query(
       `SELECT week, team, potw_prediction, gotw_prediction
        FROM picks
-       WHERE week = $1 AND user_id = $2`,
-      [week, req.requested_user_id]
+       WHERE week = $1 AND user_id = $2 AND league_id = $3 AND season = $4 AND contest = $5`,
+      [week, req.requested_user_id, req.league.id, season, contest]
     );
     return res.json(rows);
   } catch (err) {
@@ -135,9 +478,12 @@ router.get("/week/:week/private", authenticateToken, ensureSelf, async (req, res
 
 /* ============================
    Public Picks (Unlocked Sunday 11:00 AM AZ)
-   GET /picks/week/:week/public
+   GET /picks/week/:week/public?league_id=&season=
+   (default league public; other leagues members only)
+   With PICK_LOCK_POLICY=game each pick shows only once its game has kicked
+   off; until then it is listed with hidden: true and no team.
 ============================ */
-router.get("/week/:week/public", async (req, res) => {
+router.get("/week/:week/public", resolveLeague(), ensureLeagueReader, async (req, res) => {
   const week = Number(req.params.week);
   const QA_MODE = process.env.QA_MODE === "true";
 
@@ -146,130 +492,89 @@ router.get("/week/:week/public", async (req, res) => {
   }
 
   try {
-    // Gate public view until Sunday 11:00 AM AZ for that week
-    const unlockUTC = await getWeekUnlockUTC(week);
-    if (unlockUTC) {
-      const nowUTC = new Date();
-      if (nowUTC < unlockUTC) {
-        return res.json({
-          qa_mode: QA_MODE,
-          locked: true,
-          unlock_at_iso: unlockUTC.toISOString(),
-          picks: []
-        });
-      }
-    }
-
-    // Pull all data to compute correctness, fav/dog, GOTW/POTW points
-    const { rows } = await pool.query(
-      `SELECT 
-          p.week, p.team, p.potw_prediction, p.gotw_prediction,
-          u.first_name,
-          g.home_team, g.away_team, g.home_score, g.away_score,
-          g.favorite, g.spread,
-          gotw.home_team AS gotw_home, gotw.away_team AS gotw_away, gotw.game_total_points,
-          potw.player_total_yards
-       FROM picks p
-       JOIN users u ON p.user_id = u.id
-       JOIN games g ON p.week = g.week AND (p.team = g.home_team OR p.team = g.away_team)
-       LEFT JOIN game_of_the_week gotw ON gotw.week = p.week
-       LEFT JOIN player_of_the_week potw ON potw.week = p.week
-       WHERE p.week = $1`,
-      [week]
-    );
+    const season = await resolveSeason(req.query.season);
+    if (!season) return res.status(400).json({ error: "Invalid season" });
 
-    if (!rows.length) {
-      return res.json({ qa_mode: QA_MODE, locked: false, picks: [] });
-    }
-
-    // GOTW actual total if available
-    let gotwActualTotal = null;
-    if (rows[0].gotw_home && rows[0].gotw_away) {
-      const gotwGame = rows.find(r => r.home_team === r.gotw_home && r.away_team === r.gotw_away);
-      if (gotwGame && gotwGame.home_score != null && gotwGame.away_score != null) {
-        gotwActualTotal = gotwGame.home_score + gotwGame.away_score;
-      }
-    }
-
-    // POTW actual yards (for tiebreakers + exact bonus)
-    const potwActualYards = rows[0].player_total_yards ?? null;
-
-    // Rank GOTW (closest to actual total; tie → closest POTW yards)
-    const gotwRanksByName = {};
-    if (gotwActualTotal !== null) {
-      const gotwPicks = rows.map(r => ({
-        first_name: r.first_name,
-        diff: Math.abs((r.gotw_prediction ?? Number.POSITIVE_INFINITY) - gotwActualTotal),
-        potw_diff: (potwActualYards != null && r.potw_prediction != null)
-          ? Math.abs(r.potw_prediction - potwActualYards)
-          : Number.POSITIVE_INFINITY
-      }));
-      gotwPicks.sort((a, b) => (a.diff - b.diff) || (a.potw_diff - b.potw_diff));
-      let rank = 1;
-      gotwPicks.forEach((p, i) => {
-        if (i > 0) {
-          const prev = gotwPicks[i - 1];
-          if (!(p.diff === prev.diff && p.potw_diff === prev.potw_diff)) rank = i + 1;
-        }
-        gotwRanksByName[p.first_name] = rank; // 1-based
+    // Gate public view until Sunday 11:00 AM AZ for that week (or the admin
+    // lock time / last open deadline extension, see services/pickLocks.js)
+    const reveal = await getWeekUnlockUTC(week, season, req.league.id);
+    if (reveal.hidden) {
+      return res.json({
+        qa_mode: QA_MODE,
+        locked: true,
+        unlock_at_iso: reveal.unlock_at ? reveal.unlock_at.toISOString() : null,
+        reason: reveal.reason,
+        picks: []
       });
     }
 
-    // Compute points per pick
-    const mult = weekMultiplier(week);
-    let picksWithPoints = rows.map(r => {
-      // winner?
-      let isCorrectPick = false;
-      if (r.home_score != null && r.away_score != null && r.home_score !== r.away_score) {
-        const winner = r.home_score > r.away_score ? r.home_team : r.away_team;
-        isCorrectPick = (r.team === winner);
-      }
+    // Points come from the shared engine so they match /leaderboard exactly
+    const input = await loadWeekInputs(week, req.league.id, season);
+    const table = scoreWeek(input);
 
-      // favorite vs dog?
-      const isFavorite = r.favorite ? (r.team === r.favorite) : null;
-
-      // base pick points
-      let basePickPoints = 0;
-      if (isCorrectPick) basePickPoints = (isFavorite === true) ? 1 : 2;
-
-      // GOTW points
-      const rank = gotwRanksByName[r.first_name] || null;
-      let gotwPoints = 0;
-      if (rank === 1) gotwPoints = 3;
-      else if (rank === 2) gotwPoints = 2;
-      else if (rank === 3) gotwPoints = 1;
-
-      // POTW exact +3
-      const potwExact = (potwActualYards != null && r.potw_prediction != null)
-        ? (Number(r.potw_prediction) === Number(potwActualYards))
-        : false;
-
-      const totalPoints = mult * (basePickPoints + gotwPoints + (potwExact ? 3 : 0));
-
-      return {
-        ...r,
-        is_favorite: isFavorite,          // true/false/null
-        is_correct_pick: isCorrectPick,   // boolean
-        gotw_rank: rank,                  // 1/2/3/null
-        potw_exact: potwExact,            // boolean
-        total_points: totalPoints
-      };
-    });
+    // Under the "game" lock policy a pick can still change until its game
+    // kicks off, so it stays hidden until then (confidence picks per game;
+    // their GOTW/POTW predictions once every game has started)
+    const now = new Date();
+    const started = new Set(
+      input.games.filter(g => !reveal.per_game || (g.kickoff && now >= new Date(g.kickoff))).map(g => g.id)
+    );
+    const allStarted = input.games.every(g => started.has(g.id));
+    const pickStarted = (p) => {
+      if (p.confidence_picks) return allStarted;
+      const g = input.games.find(x => x.home_team === p.team || x.away_team === p.team);
+      return !!g && started.has(g.id);
+    };
 
-    // Weekly winner (max points; tie → closest POTW)
-    const maxPts = Math.max(...picksWithPoints.map(p => p.total_points));
-    let top = picksWithPoints.filter(p => p.total_points === maxPts);
-    if (top.length > 1) {
-      top.sort((a, b) => {
-        const aDiff = (potwActualYards != null && a.potw_prediction != null) ? Math.abs(a.potw_prediction - potwActualYards) : Number.POSITIVE_INFINITY;
-        const bDiff = (potwActualYards != null && b.potw_prediction != null) ? Math.abs(b.potw_prediction - potwActualYards) : Number.POSITIVE_INFINITY;
-        return aDiff - bDiff;
-      });
-    }
-    const winnerNames = top.length ? [top[0].first_name] : [];
-    picksWithPoints = picksWithPoints.map(p => ({ ...p, is_weekly_winner: winnerNames.includes(p.first_name) }));
+    const picksWithPoints = table.picks.map(p => pickStarted(p) ? {
+      week: p.week,
+      team: p.team,
+      potw_prediction: p.potw_prediction,
+      gotw_prediction: p.gotw_prediction,
+      first_name: p.first_name || p.name,
+      home_team: p.home_team,
+      away_team: p.away_team,
+      home_score: p.home_score,
+      away_score: p.away_score,
+      game_status: p.game_status,          // "scheduled" | "in_progress" | "final" | "postponed" | "canceled"
+      favorite: p.favorite,
+      spread: p.spread,
+      gotw_home: input.gotw ? input.gotw.home_team : null,
+      gotw_away: input.gotw ? input.gotw.away_team : null,
+      game_total_points: table.gotw_actual,
+      player_total_yards: table.potw_actual,
+      is_favorite: p.is_favorite,          // true/false/null
+      is_correct_pick: p.is_correct_pick,  // boolean
+      is_tie_game: p.is_tie_game,          // boolean (see scoring rules tie_game_policy)
+      is_void_game: p.is_void_game,        // boolean: postponed/canceled (void_game_policy)
+      is_auto: p.is_auto,                  // boolean: auto-pick for a missed deadline (auto_pick_points_factor)
+      ats_spread: p.ats_spread,            // picked team's handicap, e.g. -3.5 / null
+      ats_line_source: p.ats_line_source,  // "pick" | "kickoff" | "opening" | "current" | null
+      ats_line_snapshot_id: p.ats_line_snapshot_id, // odds_snapshots row of that line / null
+      ats_margin: p.ats_margin,            // margin vs the line / null until final
+      ats_result: p.ats_result,            // "cover" | "push" | "loss" | null
+      confidence_picks: p.confidence_picks && p.confidence_picks.filter(c => started.has(c.game_id)), // confidence mode: [{ game_id, team, confidence, points, ... }], started games only
+      gotw_rank: p.gotw_rank,              // 1..n/null
+      potw_exact: p.potw_exact,            // boolean
+      factor: p.factor,
+      base_points: p.base_points,
+      gotw_points: p.gotw_points,
+      potw_points: p.potw_points,
+      total_points: p.total_points,
+      is_weekly_winner: p.is_weekly_winner,
+      hidden: false
+    } : {
+      // Not revealed yet: who picked, but not what
+      week: p.week,
+      first_name: p.first_name || p.name,
+      team: null,
+      potw_prediction: null,
+      gotw_prediction: null,
+      confidence_picks: p.confidence_picks && p.confidence_picks.filter(c => started.has(c.game_id)),
+      hidden: true
+    });
 
-    return res.json({ qa_mode: QA_MODE, locked: false, picks: picksWithPoints });
+    return res.json({ qa_mode: QA_MODE, locked: false, league_id: req.league.id, season, scoring_mode: table.rules.mode, picks: picksWithPoints });
   } catch (err) {
     console.error("Error fetching public picks:", err);
     return res.status(500).json({ error: "Failed to fetch public picks" });
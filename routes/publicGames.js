@@ -23,7 +23,8 @@ router.get("/games", async (req, res) => {
     // If no week provided, use current (highest week with kickoff <= now()).
     const currentWeekSql = `
       SELECT COALESCE(MAX(week) FILTER (WHERE kickoff <= now()), MIN(week)) AS current_week
-      FROM games;
+      FROM games
+      WHERE season = current_season();
     `;
 
     const targetWeek =
@@ -34,10 +35,10 @@ router.get("/games", async (req, res) => {
     const { rows } = await client.query(
       `
       SELECT id, week, kickoff,
-             home_team, away_team,
+             home_team, away_team, status, period, clock,
              line_favorite, line_spread, line_over_under, line_source, line_updated_at
       FROM games
-      WHERE week = $1
+      WHERE week = $1 AND season = current_season()
       ORDER BY id
       `,
       [targetWeek]
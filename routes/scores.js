@@ -22,22 +22,28 @@ router.get("/health", (_req, res) => {
   res.json({ ok: true, route: "/admin/scores" });
 });
 
-// POST /admin/scores/fetch-now  { week?: number | "current", seasonYear?: number }
+// POST /admin/scores/fetch-now  { week?: number | "current", seasonYear?: number, providers?: "espn,fixture" }
+// providers overrides the SCORE_PROVIDERS failover order for this call.
 router.post("/fetch-now", requireAdmin, async (req, res) => {
   try {
-    let { week, seasonYear } = req.body || {};
+    let { week, seasonYear, providers } = req.body || {};
 
     // Derive a reasonable default week if not provided
     if (!week || week === "current") {
       const { rows } = await pool.query(
-        `SELECT COALESCE(MAX(week),1) AS wk FROM games WHERE kickoff IS NOT NULL`
+        `SELECT COALESCE(MAX(week),1) AS wk FROM games WHERE kickoff IS NOT NULL AND season = current_season()`
       );
       week = Number(rows?.[0]?.wk || 1);
     } else {
       week = Number(week);
     }
 
-    const result = await fetchAndIngest({ week, seasonYear });
+    const result = await fetchAndIngest({
+      week,
+      seasonYear,
+      providers: providers ?? req.query.providers,
+      trigger: "admin",
+    });
     res.json({ ok: true, week, ...result });
   } catch (e) {
     console.error("fetch-now error:", e);
@@ -50,9 +56,9 @@ router.get("/status", requireAdmin, async (req, res) => {
   try {
     const week = Number(req.query.week || 1);
     const { rows } = await pool.query(
-      `SELECT id, home_team, away_team, home_score, away_score
+      `SELECT id, home_team, away_team, home_score, away_score, status, period, clock
          FROM games
-        WHERE week = $1
+        WHERE week = $1 AND season = current_season()
         ORDER BY id`,
       [week]
     );
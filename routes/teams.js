@@ -0,0 +1,51 @@
+// backend/routes/teams.js
+/**
+ * Public teams registry (services/teams.js):
+ * - GET /teams?conference=AFC&division=North   all teams (optionally filtered)
+ * - GET /teams/:team                           one team by abbreviation, name or alias
+ */
+const express = require("express");
+const router = express.Router();
+const { loadTeams, findTeam } = require("../services/teams");
+
+function present(t) {
+  return {
+    abbr: t.abbr,
+    name: t.name,
+    conference: t.conference,
+    division: t.division,
+    primary_color: t.primary_color,
+    secondary_color: t.secondary_color,
+    aliases: t.aliases || [],
+  };
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const conference = req.query.conference ? String(req.query.conference).toUpperCase() : null;
+    const division = req.query.division ? String(req.query.division).toLowerCase() : null;
+    const teams = (await loadTeams())
+      .filter((t) => !conference || t.conference === conference)
+      .filter((t) => !division || t.division.toLowerCase() === division)
+      .map(present)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ teams });
+  } catch (err) {
+    console.error("GET /teams error:", err);
+    res.status(500).json({ error: "Failed to load teams" });
+  }
+});
+
+router.get("/:team", async (req, res) => {
+  try {
+    await loadTeams();
+    const team = findTeam(req.params.team);
+    if (!team) return res.status(404).json({ error: "Unknown team" });
+    res.json(present(team));
+  } catch (err) {
+    console.error("GET /teams/:team error:", err);
+    res.status(500).json({ error: "Failed to load team" });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const bcrypt = require('bcryptjs');
+const leagues = require('../services/leagues');
 
 // POST /users - Create a new user
 router.post('/', async (req, res) => {
@@ -14,6 +15,8 @@ router.post('/', async (req, res) => {
       'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING *',
       [name, email, hashedPassword]
     );
+    // Same as /auth/signup: every account belongs to the default league
+    await leagues.addMember(await leagues.getDefaultLeagueId(), result.rows[0].id);
 
     const { password: _, ...userWithoutPassword } = result.rows[0];
     res.status(201).json(userWithoutPassword);
@@ -0,0 +1,106 @@
+// scripts/reconcileKickoffs.js
+/* eslint-disable no-console */
+// CLI for kickoff reconciliation (services/kickoffs.js); the server runs the
+// same service from the scheduler and /admin/kickoffs.
+//
+//   node scripts/reconcileKickoffs.js [--apply] [--weeks 3,4 | --minWeek N]
+//        [--sources odds,sportsdata] [--threshold MIN] [--include-started]
+//
+// Env: RW_DB (required); APPLY=1, MIN_WEEK, KICKOFF_SOURCES, DIFF_MINUTES as
+// fallbacks for the flags; plus whatever the sources need (ODDS_API_KEY,
+// SPORTSDATA_API_KEY, ...). Without --apply it only prints the plan.
+require("dotenv").config();
+const { Client } = require("pg");
+const { reconcileKickoffs } = require("../services/kickoffs");
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const has = (flag) => args.includes(flag);
+  const val = (flag) => {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const out = {};
+  if (has("--apply")) out.apply = true;
+  if (has("--include-started")) out.includeStarted = true;
+  if (val("--weeks") || val("--week")) out.weeks = String(val("--weeks") || val("--week")).split(",").map(Number);
+  if (val("--minWeek") !== undefined) out.minWeek = Number(val("--minWeek"));
+  if (val("--sources")) out.sources = val("--sources");
+  if (val("--threshold") !== undefined) out.thresholdMin = Number(val("--threshold"));
+  return out;
+}
+
+/**
+ * Run the reconciler with `defaults` (the legacy kickoff scripts pass theirs),
+ * overridden by env and then by command-line flags.
+ */
+async function runCli(defaults = {}) {
+  const { RW_DB } = process.env;
+  if (!RW_DB) {
+    console.error("FATAL: RW_DB not set.");
+    process.exit(1);
+  }
+
+  const fromEnv = {};
+  if (process.env.APPLY === "1") fromEnv.apply = true;
+  if (process.env.MIN_WEEK) fromEnv.minWeek = Number(process.env.MIN_WEEK);
+  if (process.env.DIFF_MINUTES) fromEnv.thresholdMin = Number(process.env.DIFF_MINUTES);
+  const opts = { apply: false, ...defaults, ...fromEnv, ...parseArgs(process.argv) };
+
+  const client = new Client({ connectionString: RW_DB, ssl: { rejectUnauthorized: false } });
+  await client.connect();
+
+  try {
+    const { plan, result } = await reconcileKickoffs({
+      ...opts,
+      trigger: "cli",
+      db: client,
+    });
+
+    console.log(
+      `kickoffs:${opts.apply ? "apply" : "preview"} season=${plan.season} weeks=${plan.weeks.join(",") || "-"} ` +
+        `threshold=${plan.threshold_min}m sources=${plan.sources
+          .map((s) => `${s.name}${s.configured ? `(${s.games})` : "(not configured)"}`)
+          .join(",")}`
+    );
+    for (const s of plan.sources) {
+      for (const e of s.errors) console.warn(`  ${s.name}${e.week ? ` week ${e.week}` : ""}: ${e.error}`);
+    }
+    if (plan.changes.length) {
+      console.table(
+        plan.changes.map((c) => ({
+          id: c.game_id,
+          w: c.week,
+          match: `${c.away_team} @ ${c.home_team}`,
+          db: c.current,
+          to: c.proposed,
+          deltaMin: c.delta_minutes ?? "null→set",
+          source: c.source,
+          conflict: c.conflict ? "yes" : "",
+        }))
+      );
+    }
+    if (plan.skipped.length) console.log(`Skipped (already started): ${plan.skipped.length}`);
+    if (plan.unmatched.length) console.log(`No source time: ${plan.unmatched.length}`);
+
+    if (result) {
+      for (const l of result.week_locks) {
+        if (l.before !== l.after) console.log(`Week ${l.week} lock moved: ${l.before} -> ${l.after}`);
+      }
+      console.log(`Updated rows: ${result.applied.length}` + (result.skipped.length ? ` (skipped ${result.skipped.length})` : ""));
+    } else {
+      console.log(`Dry run only. Rows that would be updated: ${plan.changes.length}`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  runCli().catch((e) => {
+    console.error("Fatal:", e);
+    process.exit(2);
+  });
+}
+
+module.exports = { runCli };
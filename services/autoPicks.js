@@ -0,0 +1,287 @@
+// backend/services/autoPicks.js
+// Default picks for members who miss a week's lock, in leagues whose scoring
+// rules set auto_pick_policy (services/scoringRules.js). Runs as the
+// "autopicks" job.
+
+const db = require("../db");
+const { getRules } = require("./scoringRules");
+const { getWeekLock } = require("./pickLocks");
+const { latestSnapshotId } = require("./oddsHistory");
+const { pickState, recordPickVersion } = require("./pickHistory");
+const { markWeekDirtySafe } = require("./weeklyResults");
+const { finalizedWeekError } = require("./weekFinalization");
+
+const STRATEGIES = ["favorite", "home", "underdog"];
+const LOOKBACK_DAYS = 7; // league-weeks due this recently are still processed after downtime
+
+/* -----------------------------------------------------------------------------
+ * Choosing a team
+ * --------------------------------------------------------------------------- */
+/**
+ * Games of the week that kick off at or after the lock and aren't void. Only
+ * these are picked from, so under the "game" lock policy a member can still
+ * replace an auto-pick until its game starts.
+ */
+function eligibleGames(games, lockAt) {
+  return games
+    .filter((g) => g.kickoff && new Date(g.kickoff) >= lockAt)
+    .filter((g) => !["postponed", "canceled"].includes(g.status))
+    .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff) || a.id - b.id);
+}
+
+/**
+ * { game, team } for a strategy, or null when no game qualifies. Without any
+ * lines, "favorite" and "underdog" fall back to the home team of the first game.
+ */
+function chooseTeam(games, strategy) {
+  if (!games.length) return null;
+  const lined = games
+    .filter((g) => g.line_favorite && g.line_spread !== null && g.line_spread !== undefined)
+    .sort((a, b) => Math.abs(Number(b.line_spread)) - Math.abs(Number(a.line_spread)));
+  if (strategy !== "home" && lined.length) {
+    const g = lined[0];
+    const dog = g.line_favorite === g.home_team ? g.away_team : g.home_team;
+    return { game: g, team: strategy === "underdog" ? dog : g.line_favorite };
+  }
+  return { game: games[0], team: games[0].home_team };
+}
+
+/**
+ * Strategy for one member: the league policy ("favorite" | "home"), or for
+ * "user_choice" the member's users.auto_pick_strategy (NULL = favorite,
+ * "none" = no auto-pick).
+ */
+function strategyFor(policy, userStrategy) {
+  if (policy !== "user_choice") return policy;
+  if (userStrategy === "none") return null;
+  return STRATEGIES.includes(userStrategy) ? userStrategy : "favorite";
+}
+
+/* -----------------------------------------------------------------------------
+ * Running
+ * --------------------------------------------------------------------------- */
+/** Weeks of the live season: [{ season, week, sunday_lock }] (first Sunday kickoff, or null) */
+async function seasonWeeks() {
+  const { rows } = await db.query(
+    `SELECT season, week, MIN(kickoff) FILTER (WHERE EXTRACT(DOW FROM kickoff) = 0) AS sunday_lock
+       FROM games
+      WHERE season = current_season()
+      GROUP BY season, week
+      ORDER BY week`
+  );
+  return rows.map((r) => ({
+    season: Number(r.season),
+    week: Number(r.week),
+    sunday_lock: r.sunday_lock ? new Date(r.sunday_lock) : null,
+  }));
+}
+
+/**
+ * Leagues with no auto_pick_weeks row for the season-week whose lock may have
+ * passed (an admin override, or the first Sunday kickoff) and became due in
+ * the last LOOKBACK_DAYS, counting from the last deadline extension when that
+ * ends later. autoPickLeagueWeek makes the exact call.
+ */
+async function pendingLeagues(season, week, sundayLock) {
+  const { rows } = await db.query(
+    `SELECT l.id
+       FROM leagues l
+       LEFT JOIN week_lock_overrides o ON o.league_id = l.id AND o.season = $1 AND o.week = $2
+      WHERE NOT EXISTS (
+              SELECT 1 FROM auto_pick_weeks a
+               WHERE a.league_id = l.id AND a.season = $1 AND a.week = $2)
+        AND (o.league_id IS NOT NULL OR $3::timestamptz <= now())
+        AND GREATEST(o.lock_at, o.updated_at, $3::timestamptz, (
+              SELECT MAX(e.extended_until) FROM pick_deadline_extensions e
+               WHERE e.league_id = l.id AND e.season = $1 AND e.week = $2))
+            > now() - make_interval(days => $4)
+      ORDER BY l.id`,
+    [season, week, sundayLock, LOOKBACK_DAYS]
+  );
+  return rows.map((r) => r.id);
+}
+
+/**
+ * The league-week's lock per getWeekLock (admin overrides included), else
+ * the first Sunday kickoff: { lock_at, ready_at } once it has passed and no
+ * deadline extension is open (ready_at: the later of the two), otherwise
+ * { waiting: { reason, until } }. A week locked by an admin or moved earlier
+ * is due then; one unlocked or moved later waits.
+ */
+async function leagueWeekLock({ leagueId, season, week, sundayLock, now }) {
+  const weekLock = await getWeekLock({ week, leagueId, now });
+  if (weekLock.override && !weekLock.locked) {
+    const reason = weekLock.override === "unlocked" ? "week_unlocked" : "lock_moved";
+    return { waiting: { reason, until: weekLock.lock_at } };
+  }
+  const lockAt = weekLock.locked ? weekLock.lock_at : weekLock.lock_at || sundayLock;
+  if (!lockAt || now < lockAt) return { waiting: { reason: "week_open", until: lockAt } };
+
+  const { rows } = await db.query(
+    `SELECT MAX(extended_until) AS until
+       FROM pick_deadline_extensions
+      WHERE league_id = $1 AND season = $2 AND week = $3`,
+    [leagueId, season, week]
+  );
+  const extendedUntil = rows[0]?.until ? new Date(rows[0].until) : null;
+  if (extendedUntil && now < extendedUntil) return { waiting: { reason: "deadline_extension", until: extendedUntil } };
+  return { lock_at: lockAt, ready_at: extendedUntil && extendedUntil > lockAt ? extendedUntil : lockAt };
+}
+
+/**
+ * Auto-pick one league-week: a pickem pick for each active member without
+ * one, flagged picks.is_auto (scored at base points x auto_pick_points_factor)
+ * and logged in pick_versions with source "auto". Confidence leagues are
+ * skipped (they need a value for every game).
+ * Resolves to { league_id, policy, created: [...] } plus waiting: { reason, until }
+ * while it isn't due yet or skipped: reason when it never will be (policy off,
+ * finalized, due too long ago). Only a league-week that runs is claimed in
+ * auto_pick_weeks, so turning the policy on later still covers recent weeks.
+ */
+async function autoPickLeagueWeek({ leagueId, season, week, sundayLock, games, run = null, now = new Date() }) {
+  const { rules } = await getRules({ season, leagueId });
+  const policy = rules.mode === "confidence" ? "off" : rules.auto_pick_policy || "off";
+  const out = { league_id: leagueId, policy, created: [] };
+  if (policy === "off") return { ...out, skipped: "policy_off" };
+
+  const lock = await leagueWeekLock({ leagueId, season, week, sundayLock, now });
+  if (lock.waiting) return { ...out, waiting: lock.waiting };
+  if (lock.ready_at.getTime() < now.getTime() - LOOKBACK_DAYS * 24 * 3600 * 1000) return { ...out, skipped: "too_old" };
+  if (await finalizedWeekError(leagueId, season, week)) return { ...out, skipped: "week_finalized" };
+  const lockAt = lock.lock_at;
+
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Claim the league-week; a concurrent run (other instance) gets nothing back
+    const claimed = await client.query(
+      `INSERT INTO auto_pick_weeks (league_id, season, week, policy)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (league_id, season, week) DO NOTHING
+       RETURNING league_id`,
+      [leagueId, season, week, policy]
+    );
+    if (!claimed.rows.length) {
+      await client.query("COMMIT");
+      return out;
+    }
+
+    const { rows: members } = await client.query(
+      `SELECT u.id AS user_id, u.auto_pick_strategy
+         FROM league_members m
+         JOIN users u ON u.id = m.user_id
+        WHERE m.league_id = $1
+          AND COALESCE(u.approved, TRUE) = TRUE
+          AND COALESCE(u.deactivated, FALSE) = FALSE
+          AND NOT EXISTS (
+            SELECT 1 FROM picks p
+             WHERE p.league_id = m.league_id AND p.season = $2 AND p.week = $3
+               AND p.user_id = m.user_id AND p.contest = 'pickem')
+        ORDER BY u.id`,
+      [leagueId, season, week]
+    );
+    if (run) run.examined += members.length;
+
+    const eligible = eligibleGames(games, lockAt);
+    const snapshotIds = new Map();
+    for (const m of members) {
+      const strategy = strategyFor(policy, m.auto_pick_strategy);
+      const choice = strategy ? chooseTeam(eligible, strategy) : null;
+      if (!choice) continue;
+      const { game, team } = choice;
+      if (game.line_spread !== null && !snapshotIds.has(game.id)) {
+        snapshotIds.set(game.id, await latestSnapshotId(client, game.id, game.line_source));
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO picks (league_id, season, user_id, week, team, contest, is_auto,
+                            line_favorite_at_pick, line_spread_at_pick, line_snapshot_id_at_pick)
+         VALUES ($1, $2, $3, $4, $5, 'pickem', true, $6, $7, $8)
+         ON CONFLICT (league_id, season, contest, user_id, week) DO NOTHING
+         RETURNING id, team, potw_prediction, gotw_prediction, is_auto`,
+        [
+          leagueId, season, m.user_id, week, team,
+          game.line_favorite ?? null, game.line_spread ?? null, snapshotIds.get(game.id) ?? null,
+        ]
+      );
+      if (!rows[0]) continue; // the user picked in the meantime
+      await recordPickVersion(client, {
+        pickId: rows[0].id,
+        leagueId,
+        season,
+        userId: m.user_id,
+        week,
+        source: "auto",
+        reason: `auto_pick: ${strategy}`,
+        state: pickState(rows[0]),
+      });
+      out.created.push({ user_id: m.user_id, team, strategy });
+    }
+
+    await client.query(
+      `UPDATE auto_pick_weeks SET created = $4 WHERE league_id = $1 AND season = $2 AND week = $3`,
+      [leagueId, season, week, out.created.length]
+    );
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  if (out.created.length) {
+    await markWeekDirtySafe(week, "auto_pick", leagueId, season);
+    if (run) {
+      run.changed += out.created.length;
+      for (const c of out.created) run.diffs.push({ league_id: leagueId, week, ...c });
+    }
+  }
+  return out;
+}
+
+/**
+ * Auto-pick every league-week whose lock has passed and that hasn't been
+ * processed yet. `run` is the job_runs tracker (examined = members without a
+ * pick, changed = picks created).
+ */
+async function runAutoPicks({ run = null } = {}) {
+  const weeks = [];
+  for (const { season, week, sunday_lock: sundayLock } of await seasonWeeks()) {
+    const leagueIds = await pendingLeagues(season, week, sundayLock);
+    if (!leagueIds.length) continue;
+    const { rows: games } = await db.query(
+      `SELECT id, home_team, away_team, kickoff, status, line_favorite, line_spread, line_source
+         FROM games
+        WHERE season = $1 AND week = $2`,
+      [season, week]
+    );
+    const leagues = [];
+    for (const leagueId of leagueIds) {
+      try {
+        const r = await autoPickLeagueWeek({ leagueId, season, week, sundayLock, games, run });
+        leagues.push({
+          league_id: leagueId,
+          policy: r.policy,
+          created: r.created.length,
+          waiting: r.waiting,
+          skipped: r.skipped,
+        });
+      } catch (e) {
+        console.error(`[autopicks] league ${leagueId} week ${week} failed:`, e.message);
+        leagues.push({ league_id: leagueId, error: e.message });
+      }
+    }
+    weeks.push({ season, week, leagues });
+  }
+  return { weeks };
+}
+
+module.exports = {
+  STRATEGIES,
+  eligibleGames,
+  chooseTeam,
+  strategyFor,
+  runAutoPicks,
+  autoPickLeagueWeek,
+};
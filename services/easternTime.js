@@ -0,0 +1,45 @@
+// backend/services/easternTime.js
+// Feeds that publish kickoffs as naive US Eastern wall-clock times (SportsDataIO
+// "DateTime") go through here, so every source shares one DST conversion.
+const ZONE = "America/New_York";
+
+const fmt = new Intl.DateTimeFormat("en-US", {
+  timeZone: ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+/** Offset of New York from UTC at `ms`, in minutes (-240 in summer, -300 in winter) */
+function easternOffsetMinutes(ms) {
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * "2025-11-09T13:00:00" read as Eastern time -> UTC ISO string, or null.
+ * A trailing "Z" or offset is ignored: the feeds that use this stamp Eastern
+ * times with a misleading zone.
+ */
+function easternLocalToUtcIso(localStr) {
+  if (!localStr || typeof localStr !== "string") return null;
+  const m = localStr
+    .trim()
+    .replace(/([zZ]|[+-]\d\d:?\d\d)$/, "")
+    .match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s = "0"] = m;
+  const naive = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  // Two passes settle the offset on DST-change days
+  let utc = naive - easternOffsetMinutes(naive) * 60000;
+  utc = naive - easternOffsetMinutes(utc) * 60000;
+  const out = new Date(utc);
+  return Number.isNaN(out.getTime()) ? null : out.toISOString();
+}
+
+module.exports = { easternOffsetMinutes, easternLocalToUtcIso };
@@ -54,7 +54,7 @@ function getTransporter() {
 }
 
 function escapeHtml(str = "") {
-  return String(str)
+  return String(str ?? "")
     .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
 }
 
@@ -225,6 +225,7 @@ async function sendBroadcastEmail(recipients, subject, { html, text }) {
 
 module.exports = {
   isConfigured,
+  escapeHtml,
   renderBase,
   send,
   isSmtpConfigured,
@@ -0,0 +1,69 @@
+// backend/services/espnProvider.js
+// ESPN public scoreboard (no key needed).
+const fetchFn = global.fetch || require("node-fetch");
+const { teamName } = require("./teams");
+const { normalizeStatus, statusFor } = require("./gameStatus");
+
+const name = "espn";
+const seasonType = () => Number(process.env.ESPN_SEASON_TYPE || 2); // 2 = regular season
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Fetch a week's games from ESPN and normalize to:
+ * {
+ *   week, home_team, away_team, home_score, away_score, kickoff, completed,
+ *   status, period, clock
+ * }
+ * Scores are null until the game has started; period/clock only while it's on.
+ */
+async function fetchWeekScores({ week, seasonYear }) {
+  const url =
+    `https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard` +
+    `?year=${seasonYear}&week=${week}&seasontype=${seasonType()}`;
+  const r = await fetchFn(url);
+  if (!r.ok) throw new Error(`ESPN ${r.status} ${r.statusText}`);
+  const data = await r.json();
+
+  const out = [];
+  for (const ev of data?.events || []) {
+    const comp = ev?.competitions?.[0];
+    if (!comp) continue;
+
+    const [c1, c2] = comp.competitors || [];
+    if (!c1 || !c2) continue;
+    const home = c1.homeAway === "home" ? c1 : c2;
+    const away = c1.homeAway === "home" ? c2 : c1;
+
+    const hName = home?.team?.displayName || home?.team?.name || home?.team?.location;
+    const aName = away?.team?.displayName || away?.team?.name || away?.team?.location;
+    if (!hName || !aName) continue;
+
+    const st = comp?.status?.type || {};
+    // STATUS_POSTPONED / STATUS_CANCELED come with state "post", so the name wins
+    const status = normalizeStatus(st.name) || statusFor({ status: st.state, completed: !!st.completed });
+    const completed = status === "final";
+    const started = completed || status === "in_progress";
+
+    const score = (c) => (started && c?.score != null && Number.isFinite(Number(c.score)) ? Number(c.score) : null);
+    const date = comp.date || ev.date;
+
+    out.push({
+      week: Number(ev?.week?.number) || Number(week),
+      home_team: teamName(home?.team?.abbreviation) || teamName(hName) || hName,
+      away_team: teamName(away?.team?.abbreviation) || teamName(aName) || aName,
+      home_score: score(home),
+      away_score: score(away),
+      kickoff: date ? new Date(date).toISOString() : null,
+      completed,
+      status,
+      period: status === "in_progress" && Number(comp.status?.period) ? Number(comp.status.period) : null,
+      clock: status === "in_progress" ? comp.status?.displayClock || null : null,
+    });
+  }
+  return out;
+}
+
+module.exports = { name, isConfigured, fetchWeekScores };
@@ -0,0 +1,68 @@
+// backend/services/fixtureProvider.js
+// Local JSON fixtures, for running ingestion offline or in staging.
+// Files live in SCORES_FIXTURE_DIR (default: backend/fixtures/scores) and are
+// named <season>-week<week>.json, e.g. 2025-week3.json. Each file holds an
+// array (or { games: [...] }) of:
+//   { home_team, away_team, home_score, away_score, kickoff?, completed?,
+//     status?, period?, clock? }
+// status is any services/gameStatus.js value; without it, completed (or both
+// scores being set) means final.
+// Team names may be abbreviations or any spelling the teams registry knows.
+const fs = require("fs/promises");
+const path = require("path");
+const { teamName } = require("./teams");
+const { statusFor } = require("./gameStatus");
+
+const name = "fixture";
+
+function fixtureDir() {
+  return process.env.SCORES_FIXTURE_DIR || path.join(__dirname, "..", "fixtures", "scores");
+}
+
+function isConfigured() {
+  return true;
+}
+
+function toScore(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function fetchWeekScores({ week, seasonYear }) {
+  const file = path.join(fixtureDir(), `${seasonYear}-week${Number(week)}.json`);
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") throw new Error(`No fixture file ${file}`);
+    throw e;
+  }
+  const data = JSON.parse(raw);
+  const games = Array.isArray(data) ? data : data?.games || [];
+
+  return games.map((g) => {
+    const home_score = toScore(g.home_score);
+    const away_score = toScore(g.away_score);
+    const status = statusFor({
+      status: g.status,
+      completed: g.completed ?? (home_score !== null && away_score !== null),
+      home_score,
+      away_score,
+    });
+    return {
+      week: Number(g.week) || Number(week),
+      home_team: teamName(g.home_team) || g.home_team,
+      away_team: teamName(g.away_team) || g.away_team,
+      home_score,
+      away_score,
+      kickoff: g.kickoff ? new Date(g.kickoff).toISOString() : null,
+      completed: status === "final",
+      status,
+      period: status === "in_progress" ? toScore(g.period) : null,
+      clock: status === "in_progress" && g.clock ? String(g.clock) : null,
+    };
+  });
+}
+
+module.exports = { name, isConfigured, fetchWeekScores };
@@ -0,0 +1,85 @@
+// backend/services/gameStatus.js
+// Game lifecycle stored in games.status:
+//   scheduled -> in_progress -> final
+//   scheduled | in_progress -> postponed | canceled
+// Only "final" games are scored. Postponed and canceled games void the picks
+// on them (rules.void_game_policy, services/scoringRules.js).
+// No DB access here: the score providers use it to normalize their feeds.
+
+const GAME_STATUSES = ["scheduled", "in_progress", "final", "postponed", "canceled"];
+const VOID_STATUSES = ["postponed", "canceled"];
+
+// Provider wording -> status (ESPN STATUS_* names, SportsDataIO Status values)
+const ALIASES = {
+  pre: "scheduled",
+  scheduled: "scheduled",
+  status_scheduled: "scheduled",
+  delayed: "scheduled",
+  status_delayed: "scheduled",
+  in: "in_progress",
+  inprogress: "in_progress",
+  in_progress: "in_progress",
+  live: "in_progress",
+  halftime: "in_progress",
+  status_in_progress: "in_progress",
+  status_halftime: "in_progress",
+  status_end_period: "in_progress",
+  suspended: "in_progress",
+  status_suspended: "in_progress",
+  post: "final",
+  final: "final",
+  "f/ot": "final",
+  final_ot: "final",
+  status_final: "final",
+  status_final_ot: "final",
+  postponed: "postponed",
+  status_postponed: "postponed",
+  canceled: "canceled",
+  cancelled: "canceled",
+  status_canceled: "canceled",
+  status_cancelled: "canceled",
+  forfeit: "canceled",
+  status_forfeit: "canceled",
+};
+
+/** Status for a provider value, or null if it isn't recognised */
+function normalizeStatus(raw) {
+  if (raw === null || raw === undefined) return null;
+  const key = String(raw).trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return ALIASES[key] || null;
+}
+
+/**
+ * Status for a normalized provider game: its own status when recognised,
+ * else derived from `completed` and whether scores are in.
+ */
+function statusFor({ status, completed, home_score, away_score } = {}) {
+  const s = normalizeStatus(status);
+  if (s) return s;
+  if (completed) return "final";
+  return home_score != null && away_score != null ? "in_progress" : "scheduled";
+}
+
+/**
+ * True when a game's result counts. Rows selected without `status` (older
+ * callers) fall back to "both scores are in".
+ */
+function isFinal(g) {
+  if (!g) return false;
+  if (g.status === undefined) return g.home_score != null && g.away_score != null;
+  return g.status === "final";
+}
+
+/** True for postponed / canceled games */
+function isVoid(g) {
+  return !!g && VOID_STATUSES.includes(g.status);
+}
+
+module.exports = {
+  GAME_STATUSES,
+  VOID_STATUSES,
+  normalizeStatus,
+  statusFor,
+  isFinal,
+  isVoid,
+};
@@ -0,0 +1,150 @@
+// backend/services/jobRuns.js
+// History of data-sync runs (scores ingest, odds, kickoffs) in `job_runs`.
+//
+// A run is tracked in memory while it works and written at the end:
+//   const run = await startRun("scores", "admin");
+//   run.examined += 16; run.changed += 2; run.diffs.push({ game_id, before, after });
+//   await saveRun(run); await finishRun(run);
+// or simply: await recordRun("scores", "admin", async (run) => { ... });
+//
+// Scripts pass their own pg client as `db`. Recording never fails the job
+// itself: DB errors are logged and the run keeps going untracked.
+
+const TRIGGERS = ["scheduler", "admin", "api", "cli"];
+const STATUSES = ["running", "ok", "error"];
+const MAX_DIFFS = 1000; // per run, keeps a runaway sync from writing a huge row
+
+function defaultDb() {
+  return require("../db"); // lazy: scripts use their own client
+}
+
+function newRun(id, job, trigger) {
+  return { id, job, trigger, examined: 0, changed: 0, diffs: [], meta: {} };
+}
+
+/** Insert a "running" row; resolves to the run tracker (id null if it couldn't be written) */
+async function startRun(job, trigger = "api", { meta = {}, db = defaultDb() } = {}) {
+  const run = newRun(null, job, TRIGGERS.includes(trigger) ? trigger : "api");
+  Object.assign(run.meta, meta);
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO job_runs (job, trigger, status, meta)
+       VALUES ($1, $2, 'running', $3::jsonb)
+       RETURNING id`,
+      [job, run.trigger, JSON.stringify(run.meta)]
+    );
+    run.id = Number(rows[0].id);
+  } catch (e) {
+    console.warn(`[jobRuns] could not record start of ${job}: ${e.message}`);
+  }
+  return run;
+}
+
+/** Write counts, diffs and meta collected so far (meta is merged) */
+async function saveRun(run, { db = defaultDb() } = {}) {
+  if (!run?.id) return;
+  const diffs = run.diffs.slice(0, MAX_DIFFS);
+  const meta = { ...run.meta };
+  if (run.diffs.length > MAX_DIFFS) meta.diffs_truncated = run.diffs.length - MAX_DIFFS;
+  try {
+    await db.query(
+      `UPDATE job_runs
+          SET rows_examined = $2,
+              rows_changed  = $3,
+              diffs         = $4::jsonb,
+              meta          = meta || $5::jsonb
+        WHERE id = $1`,
+      [run.id, run.examined, run.changed, JSON.stringify(diffs), JSON.stringify(meta)]
+    );
+  } catch (e) {
+    console.warn(`[jobRuns] could not save run ${run.id}: ${e.message}`);
+  }
+}
+
+/** Close a run: status "error" when `error` is given, "ok" otherwise */
+async function finishRun(run, { error = null, meta = {}, db = defaultDb() } = {}) {
+  if (!run?.id) return;
+  const message = error ? String(error.message || error) : null;
+  try {
+    await db.query(
+      `UPDATE job_runs
+          SET status      = $2,
+              error       = $3,
+              finished_at = now(),
+              meta        = meta || $4::jsonb
+        WHERE id = $1`,
+      [run.id, message ? "error" : "ok", message, JSON.stringify(meta)]
+    );
+  } catch (e) {
+    console.warn(`[jobRuns] could not finish run ${run.id}: ${e.message}`);
+  }
+}
+
+/**
+ * Start a run, call fn(run), then save and finish it. fn's result (or error)
+ * passes through unchanged.
+ */
+async function recordRun(job, trigger, fn, { meta = {}, db = defaultDb() } = {}) {
+  const run = await startRun(job, trigger, { meta, db });
+  try {
+    const result = await fn(run);
+    await saveRun(run, { db });
+    await finishRun(run, { db });
+    return result;
+  } catch (e) {
+    await saveRun(run, { db });
+    await finishRun(run, { error: e, meta: e.attempts ? { attempts: e.attempts } : {}, db });
+    throw e;
+  }
+}
+
+/* -----------------------------------------------------------------------------
+ * Browsing
+ * --------------------------------------------------------------------------- */
+/**
+ * Newest first, without the diffs (diff_count instead).
+ * Filters: job, status, trigger; `before` (run id) pages back.
+ */
+async function listRuns({ job = null, status = null, trigger = null, before = null, limit = 50 } = {}) {
+  const db = defaultDb();
+  const { rows } = await db.query(
+    `SELECT id, job, trigger, status, started_at, finished_at,
+            EXTRACT(EPOCH FROM (finished_at - started_at))::float AS duration_s,
+            rows_examined, rows_changed, jsonb_array_length(diffs) AS diff_count,
+            error, meta
+       FROM job_runs
+      WHERE ($1::text IS NULL OR job = $1)
+        AND ($2::text IS NULL OR status = $2)
+        AND ($3::text IS NULL OR trigger = $3)
+        AND ($4::bigint IS NULL OR id < $4)
+      ORDER BY id DESC
+      LIMIT $5`,
+    [job, status, trigger, before, Math.min(Math.max(Number(limit) || 50, 1), 200)]
+  );
+  return rows;
+}
+
+/** One run with its per-game diffs, or null */
+async function getRun(id) {
+  const db = defaultDb();
+  const { rows } = await db.query(
+    `SELECT id, job, trigger, status, started_at, finished_at,
+            EXTRACT(EPOCH FROM (finished_at - started_at))::float AS duration_s,
+            rows_examined, rows_changed, diffs, error, meta
+       FROM job_runs
+      WHERE id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  TRIGGERS,
+  STATUSES,
+  startRun,
+  saveRun,
+  finishRun,
+  recordRun,
+  listRuns,
+  getRun,
+};
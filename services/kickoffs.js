@@ -0,0 +1,524 @@
+// backend/services/kickoffs.js
+// Kickoff reconciliation: compare games.kickoff with one or more sources,
+// produce a reviewable plan, and apply (all or part of) it with an audit row
+// per change in kickoff_changes.
+const { getOddsProvider } = require("./odds.ProviderFactory");
+const { PROVIDERS: SCORE_PROVIDERS } = require("./scores.ProviderFactory");
+const { teamKey, loadTeams } = require("./teams");
+const { recordRun } = require("./jobRuns");
+const { notifyGamesChanged } = require("./liveScores");
+const { markWeekDirtySafe } = require("./weeklyResults");
+
+const KICKOFF_SOURCES = ["odds", ...Object.keys(SCORE_PROVIDERS)];
+const DEFAULT_SOURCES = ["odds", "sportsdata"];
+const HOUR = 3600 * 1000;
+
+function defaultDb() {
+  return require("../db"); // lazy: scripts use their own client
+}
+
+/**
+ * Source names in precedence order: `raw` (list or comma string), else
+ * KICKOFF_SOURCES (default "odds,sportsdata"). "odds" is the odds provider's
+ * commence times (ODDS_PROVIDER); any other name is a score provider
+ * (services/scores.ProviderFactory.js).
+ */
+function parseSources(raw) {
+  const list = (Array.isArray(raw) ? raw : String(raw || "").split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+  const names = list.length
+    ? list
+    : String(process.env.KICKOFF_SOURCES || DEFAULT_SOURCES.join(","))
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean);
+  const unknown = names.filter((n) => !KICKOFF_SOURCES.includes(n));
+  if (unknown.length) {
+    throw new Error(`Unknown kickoff source(s): ${unknown.join(", ")} (known: ${KICKOFF_SOURCES.join(", ")})`);
+  }
+  return [...new Set(names)];
+}
+
+/* -----------------------------------------------------------------------------
+ * Sources: { name, isConfigured(), fetchWeek({ week, seasonYear, from, to }) }
+ * fetchWeek resolves to [{ home_team, away_team, kickoff }] for that week.
+ * --------------------------------------------------------------------------- */
+function getSource(name) {
+  if (name === "odds") {
+    return {
+      name,
+      isConfigured: () => getOddsProvider().isConfigured(),
+      fetchWeek: async (args) =>
+        (await getOddsProvider().fetchWeekOdds(args)).map(({ home_team, away_team, kickoff }) => ({
+          home_team,
+          away_team,
+          kickoff,
+        })),
+    };
+  }
+  const provider = SCORE_PROVIDERS[name];
+  return {
+    name,
+    isConfigured: () => provider.isConfigured(),
+    fetchWeek: async ({ week, seasonYear }) =>
+      (await provider.fetchWeekScores({ week, seasonYear }))
+        .filter((g) => Number(g.week) === Number(week))
+        .map(({ home_team, away_team, kickoff }) => ({ home_team, away_team, kickoff })),
+  };
+}
+
+/** Names of the sources (default: KICKOFF_SOURCES) that can run here */
+function configuredSources(raw = null) {
+  return parseSources(raw).filter((n) => {
+    try {
+      return getSource(n).isConfigured();
+    } catch {
+      return false;
+    }
+  });
+}
+
+const matchKey = (home, away) => `${teamKey(home)}__${teamKey(away)}`;
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+const minutesBetween = (a, b) => Math.round((new Date(b).getTime() - new Date(a).getTime()) / 60000);
+
+/* -----------------------------------------------------------------------------
+ * Locks
+ * --------------------------------------------------------------------------- */
+/** First Sunday kickoff per week (the "week" lock policy), as ISO strings */
+async function weekLocks(db, season, weeks) {
+  const { rows } = await db.query(
+    `SELECT week, MIN(kickoff) FILTER (WHERE EXTRACT(DOW FROM kickoff) = 0) AS lock_at
+       FROM games
+      WHERE season = $1 AND week = ANY($2::int[])
+      GROUP BY week`,
+    [season, weeks]
+  );
+  return new Map(rows.map((r) => [Number(r.week), iso(r.lock_at)]));
+}
+
+/** Same, computed from in-memory games (for a plan that hasn't been applied) */
+function weekLocksFrom(games) {
+  const out = new Map();
+  for (const g of games) {
+    if (!g.kickoff) continue;
+    const k = new Date(g.kickoff);
+    if (k.getUTCDay() !== 0) continue;
+    const cur = out.get(g.week);
+    if (!cur || k < new Date(cur)) out.set(g.week, k.toISOString());
+  }
+  return out;
+}
+
+/* -----------------------------------------------------------------------------
+ * Plan
+ * --------------------------------------------------------------------------- */
+/**
+ * Compare kickoffs with the sources. The first source with a time for a game
+ * wins; other sources that disagree by the threshold or more mark the change
+ * as a conflict. Options:
+ *   season (default live), weeks (list) or minWeek (default: current week on),
+ *   sources (list or comma string), thresholdMin (default 1),
+ *   includeStarted (also propose changes for games that already kicked off)
+ * Resolves to
+ *   { season, weeks, threshold_min, sources: [report], changes, skipped, unmatched, week_locks }
+ * where each change is
+ *   { game_id, week, home_team, away_team, current, proposed, delta_minutes,
+ *     source, candidates: { source: iso }, conflict }
+ */
+async function planKickoffs({
+  season = null,
+  weeks = null,
+  minWeek = null,
+  sources = null,
+  thresholdMin = 1,
+  includeStarted = false,
+  db = null,
+} = {}) {
+  const conn = db || defaultDb();
+  const names = parseSources(sources);
+  const threshold = Math.max(Number(thresholdMin) || 0, 0);
+  await loadTeams(db);
+
+  const s = await conn.query(
+    `SELECT COALESCE($1::int, current_season()) AS season,
+            (SELECT COALESCE(MAX(week) FILTER (WHERE kickoff <= now()), MIN(week), 1)
+               FROM games WHERE season = COALESCE($1::int, current_season())) AS current_week`,
+    [season]
+  );
+  const yr = Number(s.rows[0].season);
+  const lower = minWeek != null ? Number(minWeek) : Number(s.rows[0].current_week);
+
+  const { rows: games } = await conn.query(
+    `SELECT id, week, home_team, away_team, kickoff
+       FROM games
+      WHERE season = $1
+        AND ($2::int[] IS NULL OR week = ANY($2::int[]))
+        AND ($2::int[] IS NOT NULL OR week >= $3)
+      ORDER BY week, kickoff, id`,
+    [yr, weeks && weeks.length ? weeks.map(Number) : null, lower]
+  );
+  const weekList = [...new Set(games.map((g) => Number(g.week)))];
+
+  // candidates[game_id][source] = iso
+  const candidates = new Map(games.map((g) => [g.id, {}]));
+  const reports = [];
+  for (const name of names) {
+    const src = getSource(name);
+    const report = { name, configured: false, games: 0, errors: [] };
+    reports.push(report);
+    try {
+      report.configured = !!src.isConfigured();
+    } catch (e) {
+      report.errors.push({ error: e.message });
+    }
+    if (!report.configured) continue;
+
+    for (const week of weekList) {
+      const wk = games.filter((g) => Number(g.week) === week);
+      const times = wk.map((g) => new Date(g.kickoff).getTime()).filter(Number.isFinite);
+      const from = times.length ? Math.min(...times) - 36 * HOUR : Date.now();
+      const to = times.length ? Math.max(...times) + 36 * HOUR : Date.now() + 7 * 24 * HOUR;
+      let items;
+      try {
+        items = await src.fetchWeek({ week, seasonYear: yr, from, to });
+      } catch (e) {
+        report.errors.push({ week, error: e.message });
+        continue;
+      }
+      const byKey = new Map();
+      for (const it of items || []) {
+        const k = iso(it.kickoff);
+        if (!k || Number.isNaN(new Date(k).getTime())) continue;
+        byKey.set(matchKey(it.home_team, it.away_team), k);
+        byKey.set(matchKey(it.away_team, it.home_team), k);
+      }
+      for (const g of wk) {
+        const hit = byKey.get(matchKey(g.home_team, g.away_team));
+        if (hit) {
+          candidates.get(g.id)[name] = hit;
+          report.games++;
+        }
+      }
+    }
+  }
+
+  const now = Date.now();
+  const changes = [];
+  const skipped = [];
+  const unmatched = [];
+  for (const g of games) {
+    const cands = candidates.get(g.id);
+    const source = names.find((n) => cands[n]);
+    const label = { game_id: g.id, week: Number(g.week), home_team: g.home_team, away_team: g.away_team };
+    if (!source) {
+      unmatched.push(label);
+      continue;
+    }
+    const current = iso(g.kickoff);
+    const proposed = cands[source];
+    const delta = current ? minutesBetween(current, proposed) : null;
+    if (current && Math.abs(delta) < Math.max(threshold, 1)) continue;
+
+    const conflict = Object.entries(cands).some(
+      ([n, t]) => n !== source && Math.abs(minutesBetween(proposed, t)) >= Math.max(threshold, 1)
+    );
+    const change = { ...label, current, proposed, delta_minutes: delta, source, candidates: cands, conflict };
+    if (!includeStarted && current && new Date(current).getTime() <= now) {
+      skipped.push({ ...change, reason: "started" });
+      continue;
+    }
+    changes.push(change);
+  }
+
+  // Week lock (first Sunday kickoff) before and after the plan
+  const before = weekLocksFrom(games);
+  const after = weekLocksFrom(
+    games.map((g) => {
+      const c = changes.find((x) => x.game_id === g.id);
+      return c ? { ...g, kickoff: c.proposed } : g;
+    })
+  );
+  const week_locks = [...new Set(changes.map((c) => c.week))].map((w) => ({
+    week: w,
+    before: before.get(w) || null,
+    after: after.get(w) || null,
+  }));
+
+  return {
+    season: yr,
+    weeks: weekList,
+    threshold_min: threshold,
+    sources: reports,
+    changes,
+    skipped,
+    unmatched,
+    week_locks,
+  };
+}
+
+/* -----------------------------------------------------------------------------
+ * Apply
+ * --------------------------------------------------------------------------- */
+async function hasStartTimeColumn(db) {
+  const { rows } = await db.query(
+    `SELECT 1 FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'games' AND column_name = 'start_time'`
+  );
+  return rows.length > 0;
+}
+
+/** Picks whose lock depends on this game's kickoff */
+async function picksOnGame(db, game) {
+  const { rows } = await db.query(
+    `SELECT
+       (SELECT COUNT(*)::int FROM picks
+         WHERE season = $1 AND week = $2 AND team IN ($3, $4)) AS picks,
+       (SELECT COUNT(*)::int FROM confidence_picks WHERE game_id = $5) AS confidence_picks`,
+    [game.season, game.week, game.home_team, game.away_team, game.id]
+  );
+  return rows[0];
+}
+
+/**
+ * Apply one change in its own transaction and recalculate what derived from
+ * the old kickoff: a game moved back into the future loses its frozen kickoff
+ * line and closing snapshot (they re-freeze at the new kickoff), and
+ * games.start_time follows kickoff where that column exists.
+ */
+async function applyOne(conn, change, ctx) {
+  const client = conn.pool ? await conn.pool.connect() : conn;
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT id, season, week, home_team, away_team, kickoff FROM games WHERE id = $1 FOR UPDATE`,
+      [change.game_id]
+    );
+    const g = rows[0];
+    if (!g) {
+      await client.query("ROLLBACK");
+      return { skipped: { game_id: change.game_id, reason: "not_found" } };
+    }
+    const oldIso = iso(g.kickoff);
+    const newIso = iso(change.kickoff);
+    if (change.expected_current !== undefined && iso(change.expected_current) !== oldIso) {
+      await client.query("ROLLBACK");
+      return { skipped: { game_id: g.id, reason: "stale", current: oldIso, expected: iso(change.expected_current) } };
+    }
+    if (oldIso === newIso) {
+      await client.query("ROLLBACK");
+      return { skipped: { game_id: g.id, reason: "unchanged", current: oldIso } };
+    }
+
+    await client.query(
+      `UPDATE games SET kickoff = $2${ctx.startTime ? ", start_time = $2" : ""} WHERE id = $1`,
+      [g.id, newIso]
+    );
+    // Moved (back) into the future: the kickoff line re-freezes at the new time
+    if (new Date(newIso).getTime() > Date.now()) {
+      await client.query(
+        `UPDATE games
+            SET kickoff_line_favorite = NULL, kickoff_line_spread = NULL,
+                kickoff_line_frozen_at = NULL, kickoff_line_snapshot_id = NULL
+          WHERE id = $1 AND kickoff_line_frozen_at IS NOT NULL`,
+        [g.id]
+      );
+      await client.query(`UPDATE odds_snapshots SET is_closing = false WHERE game_id = $1 AND is_closing`, [g.id]);
+    }
+    const delta = oldIso ? minutesBetween(oldIso, newIso) : null;
+    const audit = await client.query(
+      `INSERT INTO kickoff_changes
+         (game_id, season, week, old_kickoff, new_kickoff, delta_minutes, source, reason, changed_by, job_run_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [g.id, g.season, g.week, oldIso, newIso, delta, change.source || ctx.source, ctx.reason, ctx.changedBy, ctx.runId]
+    );
+    await client.query("COMMIT");
+
+    return {
+      applied: {
+        change_id: Number(audit.rows[0].id),
+        game_id: g.id,
+        season: g.season,
+        week: Number(g.week),
+        home_team: g.home_team,
+        away_team: g.away_team,
+        old_kickoff: oldIso,
+        new_kickoff: newIso,
+        delta_minutes: delta,
+        source: change.source || ctx.source,
+        // Per-game lock policy: picks on this game lock at its kickoff
+        locks: { game_lock_before: oldIso, game_lock_after: newIso, ...(await picksOnGame(conn, g)) },
+      },
+    };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    if (client !== conn) client.release();
+  }
+}
+
+/**
+ * Apply reviewed changes: [{ game_id, kickoff, expected_current?, source? }].
+ * expected_current (the kickoff the reviewer saw) makes a change skip as
+ * "stale" if the game moved since. Each change commits on its own.
+ * Options: source (default "manual"), reason, changedBy (user id), trigger,
+ * run, db (scripts pass their own pg client). Pick locks follow games.kickoff
+ * (services/pickLocks.js), so week_locks reports each changed week's lock
+ * before and after; the weeks are also flagged for a rescore.
+ * Resolves to { applied, skipped, week_locks, run_id }.
+ */
+async function applyKickoffChanges(changes, {
+  source = "manual",
+  reason = null,
+  changedBy = null,
+  trigger = "admin",
+  run = null,
+  db = null,
+} = {}) {
+  const conn = db || defaultDb();
+
+  const work = async (r) => {
+    const applied = [];
+    const skipped = [];
+    const list = Array.isArray(changes) ? changes : [];
+
+    const valid = [];
+    for (const c of list) {
+      const id = Number(c?.game_id);
+      const t = c?.kickoff ? new Date(c.kickoff) : null;
+      if (!Number.isInteger(id) || !t || Number.isNaN(t.getTime())) {
+        skipped.push({ game_id: c?.game_id ?? null, reason: "invalid" });
+      } else valid.push({ ...c, game_id: id });
+    }
+    if (!valid.length) return { applied, skipped, week_locks: [], run_id: r.id };
+
+    const { rows: prior } = await conn.query(
+      `SELECT DISTINCT season, week FROM games WHERE id = ANY($1::int[])`,
+      [valid.map((c) => c.game_id)]
+    );
+    const seasons = [...new Set(prior.map((p) => Number(p.season)))];
+    const locksBefore = new Map();
+    for (const yr of seasons) {
+      const wks = prior.filter((p) => Number(p.season) === yr).map((p) => Number(p.week));
+      locksBefore.set(yr, await weekLocks(conn, yr, wks));
+    }
+
+    const ctx = { source, reason, changedBy, runId: r.id, startTime: await hasStartTimeColumn(conn) };
+    for (const c of valid) {
+      r.examined++;
+      const out = await applyOne(conn, c, ctx);
+      if (out.skipped) {
+        skipped.push(out.skipped);
+        continue;
+      }
+      const a = out.applied;
+      applied.push(a);
+      r.changed++;
+      r.diffs.push({
+        game_id: a.game_id,
+        week: a.week,
+        home_team: a.home_team,
+        away_team: a.away_team,
+        source: a.source,
+        before: { kickoff: a.old_kickoff },
+        after: { kickoff: a.new_kickoff },
+      });
+    }
+
+    // Recalculate week locks, flag the changed weeks for a rescore and push them live
+    const week_locks = [];
+    for (const yr of seasons) {
+      const wks = [...new Set(applied.filter((a) => a.season === yr).map((a) => a.week))];
+      if (!wks.length) continue;
+      const after = await weekLocks(conn, yr, wks);
+      for (const w of wks) {
+        week_locks.push({ season: yr, week: w, before: locksBefore.get(yr).get(w) || null, after: after.get(w) || null });
+      }
+      for (const w of wks) await markWeekDirtySafe(w, "kickoff", null, yr, conn);
+      for (const w of wks) {
+        const gameIds = applied.filter((a) => a.season === yr && a.week === w).map((a) => a.game_id);
+        await notifyGamesChanged({ season: yr, week: w, gameIds, reason: "kickoff", db: conn });
+      }
+    }
+    Object.assign(r.meta, { applied: applied.length, skipped: skipped.length, source });
+    return { applied, skipped, week_locks, run_id: r.id };
+  };
+
+  if (run) return work(run);
+  return recordRun("kickoffs", trigger, work, { db: conn });
+}
+
+/**
+ * Plan and (when `apply`) apply every proposed change in one go — the
+ * scheduler and CLI path. `skipConflicts` holds back changes the sources
+ * disagree on, for review in /admin/kickoffs. Resolves to
+ * { plan, result|null, held }.
+ */
+async function reconcileKickoffs({
+  apply = false,
+  skipConflicts = false,
+  trigger = "api",
+  run = null,
+  reason = null,
+  changedBy = null,
+  db = null,
+  ...planOptions
+} = {}) {
+  const plan = await planKickoffs({ ...planOptions, db });
+  const held = skipConflicts ? plan.changes.filter((c) => c.conflict) : [];
+  if (!apply) return { plan, result: null, held };
+  const result = await applyKickoffChanges(
+    plan.changes.filter((c) => !held.includes(c)).map((c) => ({
+      game_id: c.game_id,
+      kickoff: c.proposed,
+      expected_current: c.current,
+      source: c.source,
+    })),
+    {
+      source: "reconcile",
+      reason: reason || `reconcile (${plan.sources.map((s) => s.name).join(",")})`,
+      changedBy,
+      trigger,
+      run,
+      db,
+    }
+  );
+  return { plan, result, held };
+}
+
+/* -----------------------------------------------------------------------------
+ * Audit
+ * --------------------------------------------------------------------------- */
+/** Kickoff changes, newest first. Filters: season, week, game_id; `before` (id) pages back. */
+async function listKickoffChanges({ season = null, week = null, gameId = null, before = null, limit = 50 } = {}) {
+  const db = defaultDb();
+  const { rows } = await db.query(
+    `SELECT k.id, k.game_id, k.season, k.week, g.home_team, g.away_team,
+            k.old_kickoff, k.new_kickoff, k.delta_minutes, k.source, k.reason,
+            k.changed_by, u.email AS changed_by_email, k.job_run_id, k.changed_at
+       FROM kickoff_changes k
+       JOIN games g ON g.id = k.game_id
+       LEFT JOIN users u ON u.id = k.changed_by
+      WHERE ($1::int IS NULL OR k.season = $1)
+        AND ($2::int IS NULL OR k.week = $2)
+        AND ($3::int IS NULL OR k.game_id = $3)
+        AND ($4::bigint IS NULL OR k.id < $4)
+      ORDER BY k.id DESC
+      LIMIT $5`,
+    [season, week, gameId, before, Math.min(Math.max(Number(limit) || 50, 1), 200)]
+  );
+  return rows;
+}
+
+module.exports = {
+  KICKOFF_SOURCES,
+  parseSources,
+  configuredSources,
+  planKickoffs,
+  applyKickoffChanges,
+  reconcileKickoffs,
+  listKickoffChanges,
+};
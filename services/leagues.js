@@ -0,0 +1,189 @@
+// backend/services/leagues.js
+// Leagues (pools): membership, invite codes and per-league admins.
+// Users that predate leagues live in the default league (see db/schema.js).
+const crypto = require("crypto");
+const pool = require("../db");
+
+// No 0/O/1/I so codes survive being read aloud or texted
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let out = "";
+  for (const b of bytes) out += CODE_ALPHABET[b % CODE_ALPHABET.length];
+  return out;
+}
+
+function normalizeInviteCode(raw) {
+  return String(raw || "").trim().toUpperCase();
+}
+
+let DEFAULT_LEAGUE_ID = null; // cache
+
+async function getDefaultLeagueId() {
+  if (DEFAULT_LEAGUE_ID) return DEFAULT_LEAGUE_ID;
+  const r = await pool.query(`SELECT id FROM leagues WHERE is_default LIMIT 1`);
+  if (!r.rows.length) throw new Error("No default league (schema not initialized?)");
+  DEFAULT_LEAGUE_ID = r.rows[0].id;
+  return DEFAULT_LEAGUE_ID;
+}
+
+async function getLeague(id) {
+  const r = await pool.query(
+    `SELECT id, name, invite_code, is_default, created_by, created_at
+       FROM leagues
+      WHERE id = $1`,
+    [id]
+  );
+  return r.rows[0] || null;
+}
+
+/** 'admin' | 'member' | null */
+async function getMemberRole(leagueId, userId) {
+  const r = await pool.query(
+    `SELECT role FROM league_members WHERE league_id = $1 AND user_id = $2`,
+    [leagueId, userId]
+  );
+  return r.rows[0]?.role || null;
+}
+
+async function listLeaguesForUser(userId) {
+  const r = await pool.query(
+    `SELECT l.id, l.name, l.is_default, m.role, m.joined_at,
+            (SELECT COUNT(*)::int FROM league_members x WHERE x.league_id = l.id) AS member_count
+       FROM league_members m
+       JOIN leagues l ON l.id = m.league_id
+      WHERE m.user_id = $1
+      ORDER BY l.is_default DESC, l.name ASC`,
+    [userId]
+  );
+  return r.rows;
+}
+
+async function listMembers(leagueId) {
+  const r = await pool.query(
+    `SELECT u.id AS user_id, u.first_name, u.last_name, u.name, u.email, m.role, m.joined_at
+       FROM league_members m
+       JOIN users u ON u.id = m.user_id
+      WHERE m.league_id = $1
+      ORDER BY m.role ASC, u.first_name ASC NULLS LAST, u.id ASC`,
+    [leagueId]
+  );
+  return r.rows;
+}
+
+/** Create a league; the creator becomes its first admin */
+async function createLeague({ name, userId }) {
+  const client = await pool.pool.connect();
+  try {
+    await client.query("BEGIN");
+    let league = null;
+    // Retry on the (unlikely) invite code collision
+    for (let attempt = 0; attempt < 5 && !league; attempt++) {
+      const r = await client.query(
+        `INSERT INTO leagues (name, invite_code, created_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (invite_code) DO NOTHING
+         RETURNING id, name, invite_code, is_default, created_by, created_at`,
+        [name, generateInviteCode(), userId]
+      );
+      league = r.rows[0] || null;
+    }
+    if (!league) throw new Error("Could not allocate an invite code");
+    await client.query(
+      `INSERT INTO league_members (league_id, user_id, role) VALUES ($1, $2, 'admin')`,
+      [league.id, userId]
+    );
+    await client.query("COMMIT");
+    return league;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/** Join by invite code. Returns the league, or null when the code is unknown. */
+async function joinByInviteCode(code, userId) {
+  const r = await pool.query(
+    `SELECT id, name, is_default FROM leagues WHERE invite_code = $1`,
+    [normalizeInviteCode(code)]
+  );
+  const league = r.rows[0];
+  if (!league) return null;
+  await pool.query(
+    `INSERT INTO league_members (league_id, user_id) VALUES ($1, $2)
+     ON CONFLICT (league_id, user_id) DO NOTHING`,
+    [league.id, userId]
+  );
+  return league;
+}
+
+async function addMember(leagueId, userId, role = "member") {
+  await pool.query(
+    `INSERT INTO league_members (league_id, user_id, role) VALUES ($1, $2, $3)
+     ON CONFLICT (league_id, user_id) DO NOTHING`,
+    [leagueId, userId, role]
+  );
+}
+
+async function countLeagueAdmins(leagueId) {
+  const r = await pool.query(
+    `SELECT COUNT(*)::int AS c FROM league_members WHERE league_id = $1 AND role = 'admin'`,
+    [leagueId]
+  );
+  return r.rows[0].c || 0;
+}
+
+async function setMemberRole(leagueId, userId, role) {
+  const r = await pool.query(
+    `UPDATE league_members SET role = $3
+      WHERE league_id = $1 AND user_id = $2
+    RETURNING league_id, user_id, role`,
+    [leagueId, userId, role]
+  );
+  return r.rows[0] || null;
+}
+
+async function removeMember(leagueId, userId) {
+  const r = await pool.query(
+    `DELETE FROM league_members WHERE league_id = $1 AND user_id = $2`,
+    [leagueId, userId]
+  );
+  return r.rowCount > 0;
+}
+
+async function regenerateInviteCode(leagueId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const r = await pool.query(
+        `UPDATE leagues SET invite_code = $2 WHERE id = $1 RETURNING invite_code`,
+        [leagueId, generateInviteCode()]
+      );
+      return r.rows[0]?.invite_code || null;
+    } catch (e) {
+      if (e && e.code === "23505") continue; // unique violation → try another code
+      throw e;
+    }
+  }
+  throw new Error("Could not allocate an invite code");
+}
+
+module.exports = {
+  generateInviteCode,
+  normalizeInviteCode,
+  getDefaultLeagueId,
+  getLeague,
+  getMemberRole,
+  listLeaguesForUser,
+  listMembers,
+  createLeague,
+  joinByInviteCode,
+  addMember,
+  countLeagueAdmins,
+  setMemberRole,
+  removeMember,
+  regenerateInviteCode,
+};
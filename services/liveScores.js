@@ -0,0 +1,268 @@
+// backend/services/liveScores.js
+// Live score push for GET /live/week/:week (Server-Sent Events).
+//
+// Writers (services/score.Ingestor.js, services/kickoffs.js) call
+// notifyGamesChanged() after they commit; it sends a Postgres NOTIFY so every
+// API instance hears about it, not just the one that ran the job. Each
+// instance LISTENs while it has subscribers and pushes to the streams of that
+// season-week:
+//   event: games      { season, week, games: [...] }   changed games (all on connect)
+//   event: standings  { season, week, league_id, rows, ... }   same shape as /leaderboard/week/:week
+// A comment line every 25s keeps proxies from closing idle streams.
+//
+// Env: LIVE_MAX_CLIENTS (default 500) caps open streams per instance.
+
+const { Client } = require("pg");
+
+const CHANNEL = "live_scores";
+const HEARTBEAT_MS = 25 * 1000;
+const DEBOUNCE_MS = 1000; // coalesce a burst of per-game writes into one push
+const RETRY_MS = 5 * 1000;
+
+function defaultDb() {
+  return require("../db"); // lazy: scripts pass their own client
+}
+
+/* -----------------------------------------------------------------------------
+ * Publishing
+ * --------------------------------------------------------------------------- */
+/**
+ * Tell listeners that games of a season-week changed. `reason` is informative
+ * ("scores", "kickoff"). Never throws: a missed push only delays the UI until
+ * the next change.
+ */
+async function notifyGamesChanged({ season, week, gameIds = [], reason = null, db = null }) {
+  const payload = JSON.stringify({
+    season: Number(season),
+    week: Number(week),
+    game_ids: gameIds.slice(0, 200).map(Number), // NOTIFY payloads are capped at 8000 bytes
+    reason,
+  });
+  try {
+    await (db || defaultDb()).query("SELECT pg_notify($1, $2)", [CHANNEL, payload]);
+  } catch (e) {
+    console.warn(`[live] could not notify week ${week}: ${e.message}`);
+  }
+}
+
+/* -----------------------------------------------------------------------------
+ * Subscribers
+ * --------------------------------------------------------------------------- */
+// "season|week" -> Set of { res, leagueId }
+const subscribers = new Map();
+let clientCount = 0;
+let heartbeat = null;
+
+const weekKey = (season, week) => `${season}|${week}`;
+
+function maxClients() {
+  return Number(process.env.LIVE_MAX_CLIENTS) || 500;
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/** Games of a week as /games/week/:week reports their live fields (all when ids is null) */
+async function loadGames(season, week, ids = null) {
+  const { rows } = await defaultDb().query(
+    `SELECT id, week, home_team, away_team, kickoff, home_score, away_score,
+            status, period, clock, is_final
+       FROM games
+      WHERE season = $1 AND week = $2
+        AND ($3::int[] IS NULL OR id = ANY($3::int[]))
+      ORDER BY kickoff, id`,
+    [season, week, ids]
+  );
+  return rows;
+}
+
+async function loadStandings(season, week, leagueId) {
+  const { getWeekTable } = require("./weeklyResults"); // lazy: scoring pulls in the pool
+  const t = await getWeekTable(week, leagueId, season);
+  return {
+    week: t.week,
+    league_id: t.league_id,
+    season: t.season,
+    factor: t.factor,
+    gotw_actual: t.gotw_actual,
+    potw_actual: t.potw_actual,
+    podium: t.podium,
+    potw_exact: t.potw_exact,
+    weekly_winner_user_id: t.weekly_winner_user_id,
+    computed_at: t.computed_at,
+    finalized_at: t.finalized_at,
+    rows: t.rows,
+  };
+}
+
+/**
+ * Open an SSE stream on `res` for one league-season-week and send the current
+ * games and standings. Returns false (and sends 503) when the instance is full.
+ */
+async function subscribe(res, { leagueId, season, week }) {
+  if (clientCount >= maxClients()) {
+    res.status(503).json({ error: "Too many live connections, try again later" });
+    return false;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx-style proxies: don't buffer the stream
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const key = weekKey(season, week);
+  const sub = { res, leagueId };
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(sub);
+  clientCount += 1;
+  startHeartbeat();
+  ensureListening();
+
+  res.on("close", () => {
+    const set = subscribers.get(key);
+    if (set && set.delete(sub)) {
+      clientCount -= 1;
+      if (!set.size) subscribers.delete(key);
+    }
+    if (!clientCount) {
+      stopHeartbeat();
+      stopListening();
+    }
+  });
+
+  const [games, standings] = await Promise.all([
+    loadGames(season, week),
+    loadStandings(season, week, leagueId),
+  ]);
+  send(res, "games", { season, week, games });
+  send(res, "standings", standings);
+  return true;
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    for (const set of subscribers.values()) {
+      for (const { res } of set) res.write(": ping\n\n");
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeat);
+  heartbeat = null;
+}
+
+/* -----------------------------------------------------------------------------
+ * LISTEN + fan-out
+ * --------------------------------------------------------------------------- */
+let listener = null;  // dedicated pg.Client while LISTENing
+let connecting = null;
+const pending = new Map(); // "season|week" -> { timer, ids: Set | null }
+
+/**
+ * LISTEN on a connection of its own (same settings as the pool) so a long-lived
+ * subscription never takes a slot from the shared pool. Reconnects after
+ * errors while anyone is subscribed.
+ */
+function ensureListening() {
+  if (listener || connecting) return;
+  connecting = (async () => {
+    const client = new Client(defaultDb().pool.options);
+    client.on("notification", (msg) => onNotification(msg.payload));
+    client.on("error", (e) => {
+      console.warn(`[live] listener error: ${e.message}`);
+      dropListener(client);
+    });
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (e) {
+      client.end().catch(() => {});
+      throw e;
+    }
+    listener = client;
+  })()
+    .catch((e) => {
+      console.warn(`[live] could not LISTEN: ${e.message}`);
+      setTimeout(() => clientCount && ensureListening(), RETRY_MS).unref();
+    })
+    .finally(() => {
+      connecting = null;
+    });
+}
+
+function stopListening() {
+  const client = listener;
+  if (!client) return;
+  listener = null;
+  client.end().catch(() => {});
+}
+
+function dropListener(client) {
+  if (listener !== client) return; // already stopped and closed
+  listener = null;
+  client.end().catch(() => {});
+  if (clientCount) setTimeout(() => ensureListening(), RETRY_MS).unref();
+}
+
+function onNotification(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  const key = weekKey(msg.season, msg.week);
+  if (!subscribers.has(key)) return;
+
+  // Collect ids until the debounce fires; an empty list means "reload all"
+  const entry = pending.get(key) || { timer: null, ids: new Set() };
+  if (!msg.game_ids?.length) entry.ids = null;
+  else if (entry.ids) for (const id of msg.game_ids) entry.ids.add(id);
+  if (!entry.timer) {
+    entry.timer = setTimeout(() => {
+      pending.delete(key);
+      push(msg.season, msg.week, entry.ids ? [...entry.ids] : null).catch((e) =>
+        console.warn(`[live] push for week ${msg.week} failed: ${e.message}`)
+      );
+    }, DEBOUNCE_MS);
+    entry.timer.unref();
+  }
+  pending.set(key, entry);
+}
+
+/** Send changed games to every stream of the week and standings once per league */
+async function push(season, week, ids) {
+  const set = subscribers.get(weekKey(season, week));
+  if (!set?.size) return;
+
+  const games = await loadGames(season, week, ids);
+  const leagues = new Map();
+  for (const sub of set) {
+    if (leagues.has(sub.leagueId)) continue;
+    leagues.set(
+      sub.leagueId,
+      loadStandings(season, week, sub.leagueId).catch((e) => {
+        console.warn(`[live] standings for league ${sub.leagueId} week ${week} failed: ${e.message}`);
+        return null;
+      })
+    );
+  }
+  for (const sub of set) {
+    send(sub.res, "games", { season, week, games });
+    const standings = await leagues.get(sub.leagueId);
+    if (standings) send(sub.res, "standings", standings);
+  }
+}
+
+module.exports = {
+  CHANNEL,
+  notifyGamesChanged,
+  subscribe,
+};
@@ -0,0 +1,343 @@
+// backend/services/odds.Ingestor.js
+// Odds sync: fetch lines for a season's weeks, pick one line per game and
+// write it to games.line_*, keeping every bookmaker's line in the history
+// (services/oddsHistory.js). Used by POST /admin/odds/fetch-now, the scheduler
+// and scripts/fetchOdds.js (which passes its own pg client as `db`).
+//
+// Line selection (ODDS_LINE_METHOD or `method`):
+//   "preferred"  first bookmaker found in BOOKMAKERS order (default)
+//   "consensus"  mean of every bookmaker's line, rounded to the half point
+//   "median"     median of every bookmaker's line, rounded to the half point
+// Consensus and median lines are also kept in the history under bookmaker
+// "consensus" / "median", so line_source always names a snapshot series.
+const { getOddsProvider } = require("./odds.ProviderFactory");
+const { teamKey, loadTeams } = require("./teams");
+const { recordSnapshots, freezeKickoffLines, markClosingLines } = require("./oddsHistory");
+const { recordRun } = require("./jobRuns");
+const { markWeekDirtySafe } = require("./weeklyResults");
+
+const LINE_METHODS = ["preferred", "consensus", "median"];
+const DEFAULT_BOOKMAKERS = ["caesars", "draftkings", "fanduel", "betmgm"];
+
+function defaultDb() {
+  return require("../db"); // lazy: scripts use their own client
+}
+
+function parseList(raw) {
+  if (!raw) return null;
+  const list = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+/** Options resolved from arguments and env (shared with GET /admin/odds/status) */
+function oddsConfig({ provider = null, method = null, bookmakers = null } = {}) {
+  const m = String(method || process.env.ODDS_LINE_METHOD || "preferred").trim().toLowerCase();
+  if (!LINE_METHODS.includes(m)) {
+    throw new Error(`Unknown line method: ${m} (known: ${LINE_METHODS.join(", ")})`);
+  }
+  const p = getOddsProvider(provider);
+  return {
+    provider: p,
+    method: m,
+    bookmakers: parseList(bookmakers) || parseList(process.env.BOOKMAKERS) || DEFAULT_BOOKMAKERS,
+  };
+}
+
+/* -----------------------------------------------------------------------------
+ * Line selection
+ * --------------------------------------------------------------------------- */
+const toNum = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+const halfPoint = (n) => Math.round(n * 2) / 2;
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Home team's handicap for a book (-3 = home favored by 3), or null when the
+ * book has no spread or names a team that isn't in this game.
+ */
+function homeHandicap(book, home, away) {
+  const spread = toNum(book.spread);
+  if (spread === null) return null;
+  if (spread === 0) return 0;
+  const fav = teamKey(book.favorite);
+  if (fav && fav === teamKey(home)) return -spread;
+  if (fav && fav === teamKey(away)) return spread;
+  return null;
+}
+
+/**
+ * One line for a game from its bookmakers:
+ *   { favorite, spread, over_under, source, books_used }
+ * favorite uses the game's own spelling (home_team/away_team). Returns null
+ * when no bookmaker quotes anything usable.
+ */
+function selectLine(books, { home_team, away_team }, { method = "preferred", bookmakers = DEFAULT_BOOKMAKERS } = {}) {
+  const list = (books || []).filter(Boolean);
+  const favoriteFor = (h) => (h < 0 ? home_team : h > 0 ? away_team : null);
+
+  if (method === "preferred") {
+    const chosen = bookmakers
+      .map((pref) =>
+        list.find((b) => {
+          const k = String(b.bookmaker || "").toLowerCase();
+          const t = String(b.title || "").toLowerCase();
+          return k === pref || t.includes(pref);
+        })
+      )
+      .find(Boolean);
+    if (!chosen) return null;
+    const h = homeHandicap(chosen, home_team, away_team);
+    const ou = toNum(chosen.over_under);
+    if (h === null && ou === null) return null;
+    return {
+      favorite: h === null ? null : favoriteFor(h),
+      spread: h === null ? null : Math.abs(h),
+      over_under: ou,
+      source: chosen.bookmaker,
+      books_used: 1,
+    };
+  }
+
+  const agg = method === "median" ? median : mean;
+  const handicaps = list.map((b) => homeHandicap(b, home_team, away_team)).filter((h) => h !== null);
+  const totals = list.map((b) => toNum(b.over_under)).filter((t) => t !== null);
+  if (!handicaps.length && !totals.length) return null;
+  const h = handicaps.length ? halfPoint(agg(handicaps)) : null;
+  return {
+    favorite: h === null ? null : favoriteFor(h),
+    spread: h === null ? null : Math.abs(h),
+    over_under: totals.length ? halfPoint(agg(totals)) : null,
+    source: method,
+    books_used: Math.max(handicaps.length, totals.length),
+  };
+}
+
+/* -----------------------------------------------------------------------------
+ * DB helpers
+ * --------------------------------------------------------------------------- */
+async function currentWeek(db, season) {
+  const { rows } = await db.query(
+    `SELECT COALESCE(MAX(week) FILTER (WHERE kickoff <= now()), MIN(week)) AS current_week
+       FROM games
+      WHERE season = $1`,
+    [season]
+  );
+  return Number(rows[0].current_week || 1);
+}
+
+async function weeksFrom(db, season, lowerBoundWeek) {
+  const { rows } = await db.query(
+    `SELECT DISTINCT week FROM games WHERE season = $1 AND week >= $2 ORDER BY week`,
+    [season, lowerBoundWeek]
+  );
+  return rows.map((r) => Number(r.week));
+}
+
+async function gamesForWeek(db, season, week) {
+  const { rows } = await db.query(
+    `SELECT id, week, home_team, away_team, kickoff, line_favorite, line_spread, line_over_under
+       FROM games
+      WHERE season = $1 AND week = $2
+      ORDER BY kickoff, id`,
+    [season, week]
+  );
+  return rows;
+}
+
+/**
+ * Write a game's line. Unless allowPast, games that kicked off or sit below
+ * minWeek are left alone. Returns the number of rows written (0/1).
+ */
+async function updateGameLine(db, gameId, line, { minWeek, allowPast }) {
+  const { rowCount } = await db.query(
+    `UPDATE games
+        SET line_favorite   = $1,
+            line_spread     = $2,
+            line_over_under = $3,
+            line_source     = $4,
+            line_updated_at = now(),
+            favorite        = COALESCE($1, favorite),
+            spread          = COALESCE($2, spread)
+      WHERE id = $5
+        AND ($6::boolean OR (week >= $7 AND kickoff > now()))`,
+    [line.favorite, line.spread, line.over_under, line.source, gameId, allowPast, minWeek]
+  );
+  return rowCount;
+}
+
+function lineDiff(g, line) {
+  const before = { favorite: g.line_favorite, spread: toNum(g.line_spread), over_under: toNum(g.line_over_under) };
+  const after = { favorite: line.favorite, spread: toNum(line.spread), over_under: toNum(line.over_under) };
+  const same =
+    before.favorite === after.favorite && before.spread === after.spread && before.over_under === after.over_under;
+  return same
+    ? null
+    : { game_id: g.id, week: g.week, home_team: g.home_team, away_team: g.away_team, source: line.source, before, after };
+}
+
+/* -----------------------------------------------------------------------------
+ * Sync
+ * --------------------------------------------------------------------------- */
+async function ingestWeek(db, cfg, { season, week, minWeek, allowPast }, run) {
+  const summary = { week, games: [], updated: 0, missing: 0, unmatched: 0, snapshots: 0, frozen: 0, closed: 0 };
+  const games = await gamesForWeek(db, season, week);
+
+  // Before any line update, so games that started keep the line they kicked off with
+  summary.frozen = await freezeKickoffLines(db, week, season);
+  summary.closed = await markClosingLines(db, week, season);
+  if (!games.length) return summary;
+  run.examined += games.length;
+
+  // Query window around this week's kickoffs
+  const times = games.map((g) => new Date(g.kickoff).getTime()).filter(Number.isFinite);
+  const from = times.length ? Math.min(...times) - 36 * 3600 * 1000 : Date.now();
+  const to = times.length ? Math.max(...times) + 36 * 3600 * 1000 : Date.now() + 7 * 24 * 3600 * 1000;
+
+  let events;
+  try {
+    events = await cfg.provider.fetchWeekOdds({ week, seasonYear: season, from, to });
+  } catch (e) {
+    summary.error = e.message;
+    console.warn(`[odds] ${cfg.provider.name} failed for week ${week}: ${e.message}`);
+    return summary;
+  }
+
+  const byKey = new Map();
+  for (const ev of events || []) {
+    byKey.set(`${teamKey(ev.home_team)}__${teamKey(ev.away_team)}`, ev);
+    byKey.set(`${teamKey(ev.away_team)}__${teamKey(ev.home_team)}`, ev);
+  }
+
+  let changed = 0;
+  for (const g of games) {
+    const row = { id: g.id, match: `${g.home_team} vs ${g.away_team}`, line: null, source: null, status: null };
+    summary.games.push(row);
+
+    const ev = byKey.get(`${teamKey(g.home_team)}__${teamKey(g.away_team)}`);
+    if (!ev) {
+      summary.unmatched++;
+      row.status = "unmatched";
+      continue;
+    }
+
+    const line = selectLine(ev.books, g, cfg);
+    const started = !(new Date(g.kickoff).getTime() > Date.now());
+    // Lines quoted after kickoff are live lines, not part of the pregame history
+    if (!started) {
+      const history = [...(ev.books || [])];
+      if (line && cfg.method !== "preferred") {
+        history.push({ bookmaker: line.source, favorite: line.favorite, spread: line.spread, over_under: line.over_under });
+      }
+      summary.snapshots += await recordSnapshots(db, g.id, history);
+    }
+
+    if (!line) {
+      summary.missing++;
+      row.status = "missing";
+      continue;
+    }
+    row.line = (line.favorite ? `${line.favorite} -${line.spread ?? 0}` : "Pick/Even") +
+      (line.over_under != null ? ` (O/U ${line.over_under})` : "");
+    row.source = line.books_used > 1 ? `${line.source} (${line.books_used} books)` : line.source;
+
+    const written = await updateGameLine(db, g.id, line, { minWeek, allowPast });
+    if (!written) {
+      row.status = "skipped (started)";
+      continue;
+    }
+    row.status = "updated";
+    summary.updated++;
+    const diff = lineDiff(g, line);
+    if (diff) {
+      changed++;
+      run.changed++;
+      run.diffs.push(diff);
+    }
+  }
+
+  if (changed) await markWeekDirtySafe(week, "odds", null, season, db);
+  return summary;
+}
+
+/**
+ * Sync odds for one or more weeks of a season (default: the live season).
+ *   week        only this week
+ *   all         every week from max(minWeek, current week) on
+ *   (neither)   just max(minWeek, current week)
+ * provider / method / bookmakers override ODDS_PROVIDER / ODDS_LINE_METHOD /
+ * BOOKMAKERS. Recorded in job_runs as job "odds" (see score.Ingestor.js for
+ * `trigger` and `run`). Resolves to
+ *   { season, provider, method, weeks: [per-week summary], updated, snapshots, run_id }.
+ */
+async function fetchAndIngestOdds({
+  week = null,
+  all = false,
+  seasonYear = null,
+  provider = null,
+  method = null,
+  bookmakers = null,
+  minWeek = 0,
+  allowPast = false,
+  trigger = "api",
+  run = null,
+  db = null,
+} = {}) {
+  const conn = db || defaultDb();
+  const cfg = oddsConfig({ provider, method, bookmakers });
+  if (!cfg.provider.isConfigured()) throw new Error(`Odds provider ${cfg.provider.name} is not configured`);
+
+  const work = async (r) => {
+    await loadTeams(db);
+    const { rows } = await conn.query(`SELECT COALESCE($1::int, current_season()) AS season`, [seasonYear]);
+    const season = Number(rows[0].season);
+    const current = await currentWeek(conn, season);
+    const min = Number(minWeek) || 0;
+
+    let weeks;
+    if (week) weeks = [Number(week)];
+    else if (all) weeks = await weeksFrom(conn, season, min || current);
+    else weeks = [Math.max(min || 1, current)];
+    weeks = weeks.filter((w) => w >= min);
+
+    const summaries = [];
+    for (const w of weeks) {
+      summaries.push(await ingestWeek(conn, cfg, { season, week: w, minWeek: min, allowPast: !!allowPast }, r));
+    }
+    const result = {
+      season,
+      current_week: current,
+      provider: cfg.provider.name,
+      method: cfg.method,
+      weeks: summaries,
+      updated: summaries.reduce((n, s) => n + s.updated, 0),
+      snapshots: summaries.reduce((n, s) => n + s.snapshots, 0),
+      run_id: r.id,
+    };
+    Object.assign(r.meta, {
+      season,
+      provider: result.provider,
+      method: result.method,
+      weeks: summaries.map(({ games, ...s }) => s),
+    });
+    return result;
+  };
+
+  if (run) return work(run);
+  return recordRun("odds", trigger, work, { db: conn });
+}
+
+module.exports = {
+  LINE_METHODS,
+  oddsConfig,
+  selectLine,
+  fetchAndIngestOdds,
+};
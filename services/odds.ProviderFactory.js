@@ -0,0 +1,31 @@
+// backend/services/odds.ProviderFactory.js
+const theOddsApiProvider = require("./theOddsApiProvider");
+const oddsFixtureProvider = require("./oddsFixtureProvider");
+
+/**
+ * Odds providers share one interface:
+ *   { name, isConfigured(), fetchWeekOdds({ week, seasonYear, from, to }) }
+ * from/to bound the week's kickoffs (the API queries by time window; the
+ * fixture provider reads by season and week). fetchWeekOdds resolves to:
+ *   { home_team, away_team, kickoff, books: [{ bookmaker, title, favorite, spread, over_under }] }
+ *
+ * ODDS_PROVIDER picks one (default "theoddsapi"; "fixture" reads local JSON,
+ * see services/oddsFixtureProvider.js).
+ */
+const PROVIDERS = {
+  [theOddsApiProvider.name]: theOddsApiProvider,
+  [oddsFixtureProvider.name]: oddsFixtureProvider,
+};
+const DEFAULT_PROVIDER = "theoddsapi";
+
+/** The provider to use; `name` overrides ODDS_PROVIDER. Unknown names throw. */
+function getOddsProvider(name = null) {
+  const key = String(name || process.env.ODDS_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    throw new Error(`Unknown odds provider: ${key} (known: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return provider;
+}
+
+module.exports = { PROVIDERS, getOddsProvider };
@@ -0,0 +1,54 @@
+// backend/services/oddsFixtureProvider.js
+// Local JSON odds fixtures, for running the odds sync offline or in tests.
+// Files live in ODDS_FIXTURE_DIR (default: backend/fixtures/odds) and are
+// named <season>-week<week>.json, e.g. 2025-week3.json. Each file holds an
+// array (or { games: [...] }) of:
+//   { home_team, away_team, kickoff?, books: [{ bookmaker, favorite, spread, over_under }] }
+// Team names may be abbreviations or any spelling the teams registry knows.
+const fs = require("fs/promises");
+const path = require("path");
+const { teamName } = require("./teams");
+
+const name = "fixture";
+
+function fixtureDir() {
+  return process.env.ODDS_FIXTURE_DIR || path.join(__dirname, "..", "fixtures", "odds");
+}
+
+function isConfigured() {
+  return true;
+}
+
+function toNum(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function fetchWeekOdds({ week, seasonYear }) {
+  const file = path.join(fixtureDir(), `${seasonYear}-week${Number(week)}.json`);
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") throw new Error(`No odds fixture file ${file}`);
+    throw e;
+  }
+  const data = JSON.parse(raw);
+  const games = Array.isArray(data) ? data : data?.games || [];
+
+  return games.map((g) => ({
+    home_team: teamName(g.home_team) || g.home_team,
+    away_team: teamName(g.away_team) || g.away_team,
+    kickoff: g.kickoff ? new Date(g.kickoff).toISOString() : null,
+    books: (g.books || []).map((b) => ({
+      bookmaker: b.bookmaker || "Unknown",
+      title: b.title || null,
+      favorite: b.favorite ? teamName(b.favorite) || b.favorite : null,
+      spread: toNum(b.spread) === null ? null : Math.abs(toNum(b.spread)),
+      over_under: toNum(b.over_under),
+    })),
+  }));
+}
+
+module.exports = { name, isConfigured, fetchWeekOdds };
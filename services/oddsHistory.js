@@ -0,0 +1,186 @@
+// backend/services/oddsHistory.js
+// Line history per game and bookmaker (odds_snapshots).
+//
+// A snapshot is one line a bookmaker held for a stretch of time: fetched_at is
+// when it was first seen, last_seen_at the latest fetch that still returned it.
+// A new row is written only when the line moves, so the rows read as the line's
+// movement. Markers:
+//   is_opening  first snapshot of a (game, bookmaker)
+//   is_closing  last snapshot before kickoff, set once the game has started
+// games.kickoff_line_snapshot_id points at the closing snapshot of the game's
+// line_source bookmaker, which is the line ATS scoring freezes at kickoff.
+//
+// Write helpers take a `db` (pool or a script's pg client).
+
+function defaultDb() {
+  return require("../db"); // lazy: scripts use their own client
+}
+
+const toNum = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+
+/**
+ * Record the lines fetched for one game: [{ bookmaker, favorite, spread, over_under }].
+ * Unchanged lines only bump last_seen_at. Returns the number of new snapshots.
+ */
+async function recordSnapshots(db, gameId, lines) {
+  let inserted = 0;
+  for (const l of lines || []) {
+    if (!l?.bookmaker) continue;
+    const favorite = l.favorite || null;
+    const spread = toNum(l.spread);
+    const overUnder = toNum(l.over_under);
+    if (favorite === null && spread === null && overUnder === null) continue;
+
+    const { rowCount } = await db.query(
+      `WITH last AS (
+         SELECT id, favorite, spread, over_under
+           FROM odds_snapshots
+          WHERE game_id = $1 AND bookmaker = $2
+          ORDER BY fetched_at DESC, id DESC
+          LIMIT 1
+       ), touched AS (
+         UPDATE odds_snapshots s
+            SET last_seen_at = now()
+           FROM last
+          WHERE s.id = last.id
+            AND last.favorite   IS NOT DISTINCT FROM $3::text
+            AND last.spread     IS NOT DISTINCT FROM $4::numeric
+            AND last.over_under IS NOT DISTINCT FROM $5::numeric
+         RETURNING s.id
+       )
+       INSERT INTO odds_snapshots (game_id, bookmaker, favorite, spread, over_under, is_opening)
+       SELECT $1, $2, $3::text, $4::numeric, $5::numeric, NOT EXISTS (SELECT 1 FROM last)
+        WHERE NOT EXISTS (SELECT 1 FROM touched)`,
+      [gameId, l.bookmaker, favorite, spread, overUnder]
+    );
+    inserted += rowCount;
+  }
+  return inserted;
+}
+
+/**
+ * Freeze the current line of a week's games that have kicked off (first writer
+ * wins), so ATS scoring (rules.ats_line = "kickoff") keeps the line the game
+ * started with. Called by the odds and scores jobs, never on reads.
+ * Returns the number of games frozen.
+ */
+async function freezeKickoffLines(db, week, season = null) {
+  const { rowCount } = await db.query(
+    `UPDATE games
+        SET kickoff_line_favorite  = line_favorite,
+            kickoff_line_spread    = line_spread,
+            kickoff_line_frozen_at = now()
+      WHERE week = $1 AND season = COALESCE($2::int, current_season())
+        AND kickoff <= now()
+        AND kickoff_line_frozen_at IS NULL`,
+    [week, season]
+  );
+  return rowCount;
+}
+
+/**
+ * Mark closing lines for a week's started games (once per game and bookmaker)
+ * and link each game to the closing snapshot of its line_source.
+ * Returns the number of snapshots newly marked.
+ */
+async function markClosingLines(db, week, season = null) {
+  const { rowCount } = await db.query(
+    `UPDATE odds_snapshots s
+        SET is_closing = true
+       FROM (
+         SELECT DISTINCT ON (o.game_id, o.bookmaker) o.id
+           FROM odds_snapshots o
+           JOIN games g ON g.id = o.game_id
+          WHERE g.week = $1 AND g.season = COALESCE($2::int, current_season())
+            AND g.kickoff <= now()
+            AND o.fetched_at <= g.kickoff
+            AND NOT EXISTS (
+              SELECT 1 FROM odds_snapshots c
+               WHERE c.game_id = o.game_id AND c.bookmaker = o.bookmaker AND c.is_closing
+            )
+          ORDER BY o.game_id, o.bookmaker, o.fetched_at DESC, o.id DESC
+       ) last
+      WHERE s.id = last.id`,
+    [week, season]
+  );
+  await db.query(
+    `UPDATE games g
+        SET kickoff_line_snapshot_id = c.id
+       FROM odds_snapshots c
+      WHERE c.game_id = g.id AND c.is_closing AND c.bookmaker = g.line_source
+        AND g.week = $1 AND g.season = COALESCE($2::int, current_season())
+        AND g.kickoff_line_snapshot_id IS NULL`,
+    [week, season]
+  );
+  return rowCount;
+}
+
+/** Latest snapshot id for a game (its line_source bookmaker when given), or null */
+async function latestSnapshotId(db, gameId, bookmaker = null) {
+  const { rows } = await db.query(
+    `SELECT id FROM odds_snapshots
+      WHERE game_id = $1 AND ($2::text IS NULL OR bookmaker = $2)
+      ORDER BY fetched_at DESC, id DESC
+      LIMIT 1`,
+    [gameId, bookmaker]
+  );
+  return rows[0] ? Number(rows[0].id) : null;
+}
+
+/* -----------------------------------------------------------------------------
+ * Reading
+ * --------------------------------------------------------------------------- */
+function present(r) {
+  return {
+    id: Number(r.id),
+    bookmaker: r.bookmaker,
+    favorite: r.favorite,
+    spread: toNum(r.spread),
+    over_under: toNum(r.over_under),
+    fetched_at: r.fetched_at,
+    last_seen_at: r.last_seen_at,
+    is_opening: r.is_opening,
+    is_closing: r.is_closing,
+  };
+}
+
+/**
+ * Line history of one game: { game, snapshots, opening, closing } or null.
+ * opening/closing map bookmaker -> snapshot; `bookmaker` filters to one book.
+ */
+async function getLineHistory(gameId, { bookmaker = null } = {}) {
+  const db = defaultDb();
+  const game = await db.query(
+    `SELECT id, season, week, home_team, away_team, kickoff,
+            line_favorite, line_spread, line_over_under, line_source, line_updated_at,
+            kickoff_line_favorite, kickoff_line_spread, kickoff_line_frozen_at, kickoff_line_snapshot_id
+       FROM games
+      WHERE id = $1`,
+    [gameId]
+  );
+  if (!game.rows.length) return null;
+
+  const { rows } = await db.query(
+    `SELECT id, bookmaker, favorite, spread, over_under, fetched_at, last_seen_at, is_opening, is_closing
+       FROM odds_snapshots
+      WHERE game_id = $1 AND ($2::text IS NULL OR lower(bookmaker) = lower($2))
+      ORDER BY fetched_at, id`,
+    [gameId, bookmaker]
+  );
+  const snapshots = rows.map(present);
+  const opening = {};
+  const closing = {};
+  for (const s of snapshots) {
+    if (s.is_opening) opening[s.bookmaker] = s;
+    if (s.is_closing) closing[s.bookmaker] = s;
+  }
+  return { game: game.rows[0], snapshots, opening, closing };
+}
+
+module.exports = {
+  recordSnapshots,
+  freezeKickoffLines,
+  markClosingLines,
+  latestSnapshotId,
+  getLineHistory,
+};
@@ -0,0 +1,192 @@
+// backend/services/pickHistory.js
+// Version history of picks (pick_versions). Every create or change of a
+// weekly pick — straight/survivor picks and confidence entries — is stored
+// with who made it (source user | admin | auto, actor_id), the client IP and
+// the state before and after. Submissions refused because the pick was locked
+// are stored too (action "rejected"), so admins can see late attempts; admin
+// edits made past the lock (services/proxyPicks.js) have lock_override set.
+// Resubmitting an identical pick records nothing. upsertPick stores the pick
+// itself for user and admin submits.
+
+const ACTIONS = ["create", "update", "rejected"];
+const SOURCES = ["user", "admin", "auto"];
+
+function defaultDb() {
+  return require("../db");
+}
+
+/** Comparable state of a pick: { team, potw_prediction, gotw_prediction[, is_auto][, confidence_picks] } */
+function pickState(row, confidencePicks = undefined) {
+  if (!row) return null;
+  const num = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+  const state = {
+    team: row.team ?? null,
+    potw_prediction: num(row.potw_prediction),
+    gotw_prediction: num(row.gotw_prediction),
+  };
+  if (row.is_auto) state.is_auto = true; // so taking over an auto-pick is a change
+  if (confidencePicks !== undefined) {
+    state.confidence_picks = [...(confidencePicks || [])]
+      .map((c) => ({ game_id: Number(c.game_id), team: c.team, confidence: Number(c.confidence) }))
+      .sort((a, b) => a.game_id - b.game_id);
+  }
+  return state;
+}
+
+function sameState(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Whether `state` changes the GOTW/POTW predictions of `previous` (pickState values) */
+function predictionsChanged(previous, state) {
+  return (previous?.gotw_prediction ?? null) !== (state?.gotw_prediction ?? null) ||
+    (previous?.potw_prediction ?? null) !== (state?.potw_prediction ?? null);
+}
+
+/**
+ * Create or replace a user's weekly pick (user and admin submits share it).
+ * submitted_at only moves when the pick changes or replaces an auto-pick; the
+ * line at pick time is kept while the team is unchanged. season = null means
+ * the live season. Resolves to the stored row.
+ */
+async function upsertPick(conn, {
+  leagueId,
+  season = null,
+  userId,
+  week,
+  team,
+  contest = "pickem",
+  gotwPrediction = null,
+  potwPrediction = null,
+  lineFavorite = null,
+  lineSpread = null,
+  lineSnapshotId = null,
+}) {
+  const { rows } = await (conn || defaultDb()).query(
+    `INSERT INTO picks (league_id, season, user_id, week, team, potw_prediction, gotw_prediction,
+                        line_favorite_at_pick, line_spread_at_pick, line_snapshot_id_at_pick, contest)
+     VALUES ($1, COALESCE($2::int, current_season()), $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (league_id, season, contest, user_id, week)
+     DO UPDATE SET team = EXCLUDED.team,
+                   potw_prediction = EXCLUDED.potw_prediction,
+                   gotw_prediction = EXCLUDED.gotw_prediction,
+                   submitted_at = CASE WHEN picks.is_auto
+                                         OR (picks.team, picks.potw_prediction, picks.gotw_prediction)
+                                            IS DISTINCT FROM (EXCLUDED.team, EXCLUDED.potw_prediction, EXCLUDED.gotw_prediction)
+                                       THEN now() ELSE picks.submitted_at END,
+                   is_auto = false,
+                   line_favorite_at_pick = CASE WHEN picks.team IS DISTINCT FROM EXCLUDED.team
+                                                THEN EXCLUDED.line_favorite_at_pick
+                                                ELSE picks.line_favorite_at_pick END,
+                   line_spread_at_pick   = CASE WHEN picks.team IS DISTINCT FROM EXCLUDED.team
+                                                THEN EXCLUDED.line_spread_at_pick
+                                                ELSE picks.line_spread_at_pick END,
+                   line_snapshot_id_at_pick = CASE WHEN picks.team IS DISTINCT FROM EXCLUDED.team
+                                                   THEN EXCLUDED.line_snapshot_id_at_pick
+                                                   ELSE picks.line_snapshot_id_at_pick END
+     RETURNING id, league_id, season, contest, user_id, week, team, potw_prediction, gotw_prediction,
+               line_favorite_at_pick, line_spread_at_pick, line_snapshot_id_at_pick, submitted_at`,
+    [leagueId, season, userId, week, team, potwPrediction, gotwPrediction, lineFavorite, lineSpread, lineSnapshotId, contest]
+  );
+  return rows[0];
+}
+
+/**
+ * Record one version. `previous`/`state` are pickState() values; nothing is
+ * written (resolves to null) when an accepted submit changed nothing.
+ * `conn` is the pool or the client of the caller's transaction.
+ */
+async function recordPickVersion(conn, {
+  pickId = null,
+  leagueId,
+  season = null,
+  contest = "pickem",
+  userId,
+  week,
+  action = null,
+  source = "user",
+  actorId = null,
+  ip = null,
+  reason = null,
+  lockOverride = false,
+  previous = null,
+  state,
+}) {
+  const act = action || (previous ? "update" : "create");
+  if (act !== "rejected" && previous && sameState(previous, state)) return null;
+
+  const { rows } = await (conn || defaultDb()).query(
+    `INSERT INTO pick_versions
+       (pick_id, league_id, season, contest, user_id, week, action, source, actor_id,
+        team, state, previous, client_ip, reason, lock_override)
+     VALUES ($1, $2, COALESCE($3::int, current_season()), $4, $5, $6, $7, $8, $9,
+             $10, $11::jsonb, $12::jsonb, $13, $14, $15)
+     RETURNING id, created_at`,
+    [
+      pickId, leagueId, season, contest, userId, Number(week), act,
+      SOURCES.includes(source) ? source : "user", actorId ?? (source === "user" ? userId : null),
+      state?.team ?? null, JSON.stringify(state), previous ? JSON.stringify(previous) : null,
+      ip ? String(ip).slice(0, 64) : null, reason, !!lockOverride,
+    ]
+  );
+  return rows[0];
+}
+
+/** Same as recordPickVersion for refused submits; never throws */
+async function recordRejectedPick(entry) {
+  try {
+    return await recordPickVersion(null, { ...entry, action: "rejected" });
+  } catch (e) {
+    console.warn(`[pickHistory] could not record rejected pick: ${e.message}`);
+    return null;
+  }
+}
+
+const SELECT_VERSIONS = `
+  SELECT v.id, v.pick_id, v.league_id, v.season, v.contest, v.user_id,
+         COALESCE(u.first_name, u.name, 'User ' || v.user_id) AS display_name,
+         v.week, v.action, v.source, v.actor_id,
+         COALESCE(a.first_name, a.name) AS actor_name,
+         v.team, v.state, v.previous, v.client_ip, v.reason, v.lock_override, v.created_at
+    FROM pick_versions v
+    JOIN users u ON u.id = v.user_id
+    LEFT JOIN users a ON a.id = v.actor_id`;
+
+/** One user's versions in a league-season, newest first (optional week / contest) */
+async function listUserPickHistory({ leagueId, season, userId, week = null, contest = null, limit = 200 }) {
+  const { rows } = await defaultDb().query(
+    `${SELECT_VERSIONS}
+      WHERE v.league_id = $1 AND v.season = $2 AND v.user_id = $3
+        AND ($4::int IS NULL OR v.week = $4)
+        AND ($5::text IS NULL OR v.contest = $5)
+      ORDER BY v.id DESC
+      LIMIT $6`,
+    [leagueId, season, userId, week, contest, Math.min(Math.max(Number(limit) || 200, 1), 500)]
+  );
+  return rows;
+}
+
+/** Every version of a league-week (admin review), oldest first */
+async function listWeekPickEdits({ leagueId, season, week, userId = null, includeRejected = true }) {
+  const { rows } = await defaultDb().query(
+    `${SELECT_VERSIONS}
+      WHERE v.league_id = $1 AND v.season = $2 AND v.week = $3
+        AND ($4::int IS NULL OR v.user_id = $4)
+        AND ($5::boolean OR v.action <> 'rejected')
+      ORDER BY v.id`,
+    [leagueId, season, week, userId, includeRejected]
+  );
+  return rows;
+}
+
+module.exports = {
+  ACTIONS,
+  SOURCES,
+  pickState,
+  predictionsChanged,
+  upsertPick,
+  recordPickVersion,
+  recordRejectedPick,
+  listUserPickHistory,
+  listWeekPickEdits,
+};
@@ -0,0 +1,381 @@
+// backend/services/pickLocks.js
+const pool = require("../db");
+
+/**
+ * Pick lock policies (env PICK_LOCK_POLICY):
+ *  - "game" (default): a pick locks at the kickoff of the picked game. Changing
+ *    an existing pick also requires the previously picked game not to have started.
+ *  - "week": every pick for the week locks at the first Sunday kickoff.
+ *
+ * League admins can override a week of the live season (week_lock_overrides):
+ *  - mode "locked" locks every pick right away; "unlocked" reopens the week
+ *    deadline until lock_at, when the whole week locks (games that already
+ *    started stay locked)
+ *  - lock_at moves the week lock ("week" policy: replaces the first Sunday
+ *    kickoff; "game" policy: a week-wide cutoff on top of the kickoffs)
+ * and grant one user a later deadline (pick_deadline_extensions): until then
+ * the week lock doesn't apply to them, but games that already started do.
+ */
+const LOCK_POLICIES = ["game", "week"];
+
+function getLockPolicy() {
+  const raw = String(process.env.PICK_LOCK_POLICY || "game").trim().toLowerCase();
+  return LOCK_POLICIES.includes(raw) ? raw : "game";
+}
+
+/* -------------------------------------------------------------------------- */
+/*                  Detect the real kickoff column in `games`                  */
+/* -------------------------------------------------------------------------- */
+
+const CANDIDATE_KICKOFF_COLS = ["kickoff", "start_time", "kickoff_time"];
+let KICKOFF_COL = null; // cache
+
+async function detectKickoffColumn() {
+  if (KICKOFF_COL) return KICKOFF_COL;
+  const q = `
+    SELECT column_name
+      FROM information_schema.columns
+     WHERE table_schema = 'public'
+       AND table_name = 'games'
+       AND column_name = ANY($1::text[])
+  `;
+  const r = await pool.query(q, [CANDIDATE_KICKOFF_COLS]);
+  // Preserve our preference order: kickoff > start_time > kickoff_time
+  for (const cand of CANDIDATE_KICKOFF_COLS) {
+    if (r.rows.some(row => row.column_name === cand)) {
+      KICKOFF_COL = cand;
+      break;
+    }
+  }
+  if (!KICKOFF_COL) {
+    throw new Error(
+      "No suitable kickoff column found on games. Expected one of: " +
+      CANDIDATE_KICKOFF_COLS.join(", ")
+    );
+  }
+  return KICKOFF_COL;
+}
+
+/** Earliest SUNDAY kickoff (UTC) for a week — uses the detected column */
+async function firstSundayKickoffUTC(week) {
+  const col = await detectKickoffColumn();
+  // Safe: `col` is picked from a known whitelist, not user input
+  const sql = `
+    SELECT ${col} AS ko
+      FROM games
+     WHERE week = $1
+       AND season = current_season()
+       AND EXTRACT(DOW FROM ${col}) = 0
+     ORDER BY ${col} ASC
+     LIMIT 1
+  `;
+  const r = await pool.query(sql, [week]);
+  if (!r.rows.length || !r.rows[0].ko) return null;
+  return new Date(r.rows[0].ko);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                      Admin overrides and user extensions                    */
+/* -------------------------------------------------------------------------- */
+
+/** Override of a league-week: { mode, lock_at, reason, updated_by, updated_at } or null */
+async function getWeekLockOverride(leagueId, week, season = null) {
+  if (!leagueId) return null;
+  const r = await pool.query(
+    `SELECT mode, lock_at, reason, updated_by, updated_at
+       FROM week_lock_overrides
+      WHERE league_id = $1 AND season = COALESCE($3::int, current_season()) AND week = $2`,
+    [leagueId, week, season]
+  );
+  return r.rows[0] || null;
+}
+
+/** The user's deadline extension for a league-week: { until, reason, granted_by } or null */
+async function getDeadlineExtension(leagueId, week, userId, season = null) {
+  if (!leagueId || !userId) return null;
+  const r = await pool.query(
+    `SELECT extended_until AS until, reason, granted_by, created_at
+       FROM pick_deadline_extensions
+      WHERE league_id = $1 AND season = COALESCE($4::int, current_season()) AND week = $2 AND user_id = $3`,
+    [leagueId, week, userId, season]
+  );
+  return r.rows[0] || null;
+}
+
+/** Set (upsert) a league-week override of the live season; mode and lock_at may each be null */
+async function setWeekLockOverride({ leagueId, week, mode = null, lockAt = null, reason = null, userId = null }) {
+  const r = await pool.query(
+    `INSERT INTO week_lock_overrides (league_id, season, week, mode, lock_at, reason, updated_by, updated_at)
+     VALUES ($1, current_season(), $2, $3, $4, $5, $6, now())
+     ON CONFLICT (league_id, season, week) DO UPDATE
+       SET mode = EXCLUDED.mode,
+           lock_at = EXCLUDED.lock_at,
+           reason = EXCLUDED.reason,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = now()
+     RETURNING league_id, season, week, mode, lock_at, reason, updated_by, updated_at`,
+    [leagueId, week, mode, lockAt, reason, userId]
+  );
+  return r.rows[0];
+}
+
+/** Back to the kickoff-derived lock; resolves to true if there was an override */
+async function clearWeekLockOverride({ leagueId, week }) {
+  const r = await pool.query(
+    `DELETE FROM week_lock_overrides WHERE league_id = $1 AND season = current_season() AND week = $2`,
+    [leagueId, week]
+  );
+  return r.rowCount > 0;
+}
+
+/** Extensions of a league-week (live season), latest deadline first */
+async function listDeadlineExtensions({ leagueId, week }) {
+  const r = await pool.query(
+    `SELECT e.user_id, COALESCE(u.first_name, u.name) AS name, e.extended_until, e.reason,
+            e.granted_by, e.created_at
+       FROM pick_deadline_extensions e
+       JOIN users u ON u.id = e.user_id
+      WHERE e.league_id = $1 AND e.season = current_season() AND e.week = $2
+      ORDER BY e.extended_until DESC, e.user_id`,
+    [leagueId, week]
+  );
+  return r.rows;
+}
+
+/** Grant (or change) one user's deadline for a league-week of the live season */
+async function grantDeadlineExtension({ leagueId, week, userId, until, reason = null, grantedBy = null }) {
+  const r = await pool.query(
+    `INSERT INTO pick_deadline_extensions (league_id, season, week, user_id, extended_until, reason, granted_by)
+     VALUES ($1, current_season(), $2, $3, $4, $5, $6)
+     ON CONFLICT (league_id, season, week, user_id) DO UPDATE
+       SET extended_until = EXCLUDED.extended_until,
+           reason = EXCLUDED.reason,
+           granted_by = EXCLUDED.granted_by,
+           created_at = now()
+     RETURNING league_id, season, week, user_id, extended_until, reason, granted_by, created_at`,
+    [leagueId, week, userId, until, reason, grantedBy]
+  );
+  return r.rows[0];
+}
+
+async function revokeDeadlineExtension({ leagueId, week, userId }) {
+  const r = await pool.query(
+    `DELETE FROM pick_deadline_extensions
+      WHERE league_id = $1 AND season = current_season() AND week = $2 AND user_id = $3`,
+    [leagueId, week, userId]
+  );
+  return r.rowCount > 0;
+}
+
+/**
+ * Week-level lock for a league (and user) of the live season:
+ * { policy, locked, reason?, lock_at, override, extended_until }.
+ * lock_at is the week-wide deadline (null under "game" policy unless moved);
+ * with an active extension it's the extension end instead.
+ */
+async function getWeekLock({ week, leagueId = null, userId = null, now = new Date() }) {
+  const policy = getLockPolicy();
+  const [override, extension] = await Promise.all([
+    getWeekLockOverride(leagueId, week),
+    getDeadlineExtension(leagueId, week, userId),
+  ]);
+  const out = { policy, locked: false, lock_at: null, override: override ? override.mode || "moved" : null, extended_until: null };
+
+  if (extension && now < new Date(extension.until)) {
+    return { ...out, lock_at: new Date(extension.until), extended_until: new Date(extension.until) };
+  }
+  if (override?.mode === "unlocked") {
+    // Open until lock_at (rows saved without one stay open until cleared)
+    const until = override.lock_at ? new Date(override.lock_at) : null;
+    if (!until || now < until) return { ...out, lock_at: until };
+    return { ...out, locked: true, reason: "week_locked", lock_at: until };
+  }
+  if (override?.mode === "locked") {
+    return { ...out, locked: true, reason: "admin_locked", lock_at: new Date(override.updated_at) };
+  }
+
+  let lockAt = override?.lock_at ? new Date(override.lock_at) : null;
+  if (!lockAt && policy === "week") lockAt = await firstSundayKickoffUTC(week);
+  if (lockAt && now >= lockAt) return { ...out, locked: true, reason: "week_locked", lock_at: lockAt };
+  return { ...out, lock_at: lockAt };
+}
+
+/**
+ * When other members' picks of a league-week become public:
+ * { unlock_at, hidden, reason?, per_game }. Normally Sunday 11:00 AM
+ * America/Phoenix (18:00 UTC, AZ is UTC-7 year-round) of the first Sunday
+ * game, or the moved lock time; an open extension in the league delays it
+ * until it ends, and a manually unlocked week stays hidden until it locks
+ * again (its lock_at). No Sunday game and no override: public.
+ * per_game: picks can still change until their own game kicks off ("game"
+ * policy, week not locked as a whole), so each pick is only shown from then on.
+ */
+async function getWeekUnlockUTC(week, season, leagueId = null, now = new Date()) {
+  const override = await getWeekLockOverride(leagueId, week, season);
+
+  let unlockAt = null;
+  let reason = "week_locked";
+  if (override?.lock_at) {
+    unlockAt = new Date(override.lock_at);
+    if (override.mode === "unlocked") reason = "week_unlocked";
+  } else if (override?.mode === "locked") {
+    unlockAt = new Date(override.updated_at);
+  } else {
+    const col = await detectKickoffColumn();
+    const r = await pool.query(
+      `SELECT ${col} AS ko
+         FROM games
+        WHERE week = $1 AND season = $2 AND EXTRACT(DOW FROM ${col}) = 0
+        ORDER BY ${col} ASC
+        LIMIT 1`,
+      [week, season]
+    );
+    if (r.rows[0]?.ko) {
+      const sunday = new Date(r.rows[0].ko);
+      unlockAt = new Date(Date.UTC(sunday.getUTCFullYear(), sunday.getUTCMonth(), sunday.getUTCDate(), 18, 0, 0));
+    }
+  }
+
+  if (leagueId) {
+    const ext = await pool.query(
+      `SELECT MAX(extended_until) AS until
+         FROM pick_deadline_extensions
+        WHERE league_id = $1 AND season = $2 AND week = $3`,
+      [leagueId, season, week]
+    );
+    const until = ext.rows[0]?.until ? new Date(ext.rows[0].until) : null;
+    if (until && until > now && (!unlockAt || until > unlockAt)) {
+      unlockAt = until;
+      reason = "deadline_extension";
+    }
+  }
+
+  const weekLocked = override?.mode === "locked" || (override?.lock_at && now >= new Date(override.lock_at));
+  const perGame = getLockPolicy() === "game" && !weekLocked;
+  if (!unlockAt) return { unlock_at: null, hidden: false, per_game: perGame };
+  return { unlock_at: unlockAt, hidden: now < unlockAt, reason, per_game: perGame };
+}
+
+/** Kickoff (UTC) of the game `team` plays in `week`, or null if unknown */
+async function teamKickoffUTC(week, team) {
+  if (!team) return null;
+  const col = await detectKickoffColumn();
+  const r = await pool.query(
+    `SELECT ${col} AS ko
+       FROM games
+      WHERE week = $1 AND season = current_season()
+        AND (home_team = $2 OR away_team = $2)
+      ORDER BY ${col} ASC
+      LIMIT 1`,
+    [week, team]
+  );
+  if (!r.rows.length || !r.rows[0].ko) return null;
+  return new Date(r.rows[0].ko);
+}
+
+/**
+ * Decide whether a user may set `team` as their pick for `week`.
+ * `previousTeam` is the team currently stored for the user (if any).
+ * `leagueId` / `userId` bring in the admin overrides and the user's extension.
+ *
+ * Returns { locked, policy, reason?, lock_at?, extended_until? } where lock_at is a Date.
+ */
+async function checkPickLock({ week, team, previousTeam = null, leagueId = null, userId = null, now = new Date() }) {
+  const weekLock = await getWeekLock({ week, leagueId, userId, now });
+  const { policy } = weekLock;
+  if (weekLock.locked) return { locked: true, policy, reason: weekLock.reason, lock_at: weekLock.lock_at };
+
+  // "week" policy: the week lock is the only deadline, unless the week was
+  // reopened by an admin or the user is on an extension (then games that
+  // already started are off limits)
+  if (policy === "week" && !weekLock.extended_until && weekLock.override !== "unlocked") {
+    return { locked: false, policy, lock_at: weekLock.lock_at };
+  }
+  const extra = weekLock.extended_until ? { extended_until: weekLock.extended_until } : {};
+
+  // Per-game: the previously picked game must not have started either,
+  // otherwise a user could swap away from a losing pick mid-game.
+  if (previousTeam && previousTeam !== team) {
+    const prevLock = await teamKickoffUTC(week, previousTeam);
+    if (prevLock && now >= prevLock) {
+      return { locked: true, policy, reason: "previous_game_started", lock_at: prevLock, ...extra };
+    }
+  }
+
+  const kickoff = await teamKickoffUTC(week, team);
+  if (kickoff && now >= kickoff) {
+    return { locked: true, policy, reason: "game_started", lock_at: kickoff, ...extra };
+  }
+  // Whichever comes first: the game or a moved week lock / extension end
+  const lockAt = [kickoff, weekLock.lock_at].filter(Boolean).sort((a, b) => a - b)[0] || null;
+  return { locked: false, policy, lock_at: lockAt, ...extra };
+}
+
+/** Kickoff (UTC) of a league's game of the week, or null if none is set */
+async function gotwKickoffUTC(week, leagueId) {
+  const col = await detectKickoffColumn();
+  const r = await pool.query(
+    `SELECT g.${col} AS ko
+       FROM game_of_the_week t
+       JOIN games g ON g.week = t.week AND g.season = t.season
+                   AND g.home_team = t.home_team AND g.away_team = t.away_team
+      WHERE t.week = $1 AND t.league_id = $2 AND t.season = current_season()
+      LIMIT 1`,
+    [week, leagueId]
+  );
+  if (!r.rows.length || !r.rows[0].ko) return null;
+  return new Date(r.rows[0].ko);
+}
+
+/**
+ * Decide whether a user may change their GOTW/POTW predictions for `week`.
+ * They lock with the week or at the GOTW kickoff, whichever team is picked.
+ * Same return shape as checkPickLock.
+ */
+async function checkPredictionLock({ week, leagueId = null, userId = null, now = new Date() }) {
+  const weekLock = await getWeekLock({ week, leagueId, userId, now });
+  const { policy } = weekLock;
+  if (weekLock.locked) return { locked: true, policy, reason: weekLock.reason, lock_at: weekLock.lock_at };
+  const kickoff = await gotwKickoffUTC(week, leagueId);
+  if (kickoff && now >= kickoff) return { locked: true, policy, reason: "gotw_started", lock_at: kickoff };
+  return { locked: false, policy, lock_at: kickoff };
+}
+
+/** JSON body for a rejected pick (HTTP 423) */
+function lockErrorBody(lock) {
+  const messages = {
+    week_locked: "Picks for this week are locked",
+    admin_locked: "Picks for this week were locked by an admin",
+    previous_game_started: "Your current pick's game has already started",
+    game_started: "That game has already started",
+    gotw_started: "The game of the week has already started; predictions are locked",
+  };
+  return {
+    error: messages[lock.reason] || "Pick is locked",
+    code: "PICK_LOCKED",
+    reason: lock.reason,
+    policy: lock.policy,
+    locked_at: lock.lock_at ? lock.lock_at.toISOString() : null,
+  };
+}
+
+module.exports = {
+  LOCK_POLICIES,
+  getLockPolicy,
+  detectKickoffColumn,
+  firstSundayKickoffUTC,
+  getWeekLockOverride,
+  setWeekLockOverride,
+  clearWeekLockOverride,
+  getDeadlineExtension,
+  listDeadlineExtensions,
+  grantDeadlineExtension,
+  revokeDeadlineExtension,
+  getWeekLock,
+  getWeekUnlockUTC,
+  teamKickoffUTC,
+  gotwKickoffUTC,
+  checkPickLock,
+  checkPredictionLock,
+  lockErrorBody,
+};
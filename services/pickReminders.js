@@ -0,0 +1,268 @@
+// backend/services/pickReminders.js
+// Emails members who have no pick yet for the upcoming week at fixed offsets
+// before their deadline. Runs as the "reminders" scheduler job.
+// Env: PICK_REMINDER_OFFSETS (default "24h,2h"), e.g. "48h,24h,90m".
+
+const db = require("../db");
+const emailSvc = require("./email");
+const { getWeekLock } = require("./pickLocks");
+
+const DEFAULT_OFFSETS = "24h,2h";
+const WINDOW_DAYS = 7; // weeks whose first Sunday kickoff is this close to now are checked
+
+/** Offsets in minutes, largest first ("24h", "90m", bare numbers are hours) */
+function reminderOffsets(raw = process.env.PICK_REMINDER_OFFSETS) {
+  const list = String(raw || DEFAULT_OFFSETS)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+    .map((s) => {
+      const m = s.match(/^(\d+(?:\.\d+)?)\s*(h|m)?$/);
+      if (!m) return null;
+      return Math.round(Number(m[1]) * (m[2] === "m" ? 1 : 60));
+    })
+    .filter((n) => n > 0);
+  return [...new Set(list)].sort((a, b) => b - a);
+}
+
+function offsetLabel(minutes) {
+  return minutes % 60 ? `${minutes}m` : `${minutes / 60}h`;
+}
+
+/** Weeks of the live season whose first Sunday kickoff is within WINDOW_DAYS of now: [{ season, week, sunday_lock }] */
+async function candidateWeeks() {
+  const { rows } = await db.query(
+    `SELECT season, week, MIN(kickoff) AS sunday_lock
+       FROM games
+      WHERE season = current_season()
+        AND EXTRACT(DOW FROM kickoff) = 0
+      GROUP BY season, week
+     HAVING MIN(kickoff) BETWEEN now() - make_interval(days => $1) AND now() + make_interval(days => $1)
+      ORDER BY week`,
+    [WINDOW_DAYS]
+  );
+  return rows.map((r) => ({ season: Number(r.season), week: Number(r.week), sunday_lock: new Date(r.sunday_lock) }));
+}
+
+/** Deadline still ahead from a getWeekLock result (the first Sunday kickoff without a week-wide lock), or null */
+function deadlineOf(lock, sundayLock, now) {
+  if (lock.locked) return null;
+  const at = lock.lock_at || (lock.override === "unlocked" ? null : sundayLock);
+  return at && at > now ? at : null;
+}
+
+/**
+ * Deadlines still ahead per league-week, and per member on a deadline
+ * extension: [{ season, week, league_id, lock_at, user_ids, except_user_ids }]
+ * (user_ids null = every member but except_user_ids). A league's deadline is
+ * its week lock from services/pickLocks.js getWeekLock (admin overrides
+ * included); an extended member's is the end of their extension.
+ */
+async function upcomingDeadlines(now = new Date()) {
+  const out = [];
+  const { rows: leagues } = await db.query(`SELECT id FROM leagues ORDER BY id`);
+  for (const { season, week, sunday_lock: sundayLock } of await candidateWeeks()) {
+    const { rows: extensions } = await db.query(
+      `SELECT league_id, user_id FROM pick_deadline_extensions
+        WHERE season = $1 AND week = $2 AND extended_until > $3`,
+      [season, week, now]
+    );
+    for (const { id: leagueId } of leagues) {
+      const extended = extensions.filter((e) => e.league_id === leagueId).map((e) => e.user_id);
+      const lockAt = deadlineOf(await getWeekLock({ week, leagueId, now }), sundayLock, now);
+      if (lockAt) out.push({ season, week, league_id: leagueId, lock_at: lockAt, user_ids: null, except_user_ids: extended });
+      for (const userId of extended) {
+        const until = deadlineOf(await getWeekLock({ week, leagueId, userId, now }), sundayLock, now);
+        if (until) out.push({ season, week, league_id: leagueId, lock_at: until, user_ids: [userId], except_user_ids: [] });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * The offset to send now: the smallest one whose window has opened, so a
+ * scheduler that was down for the 24h mark sends only the 2h reminder.
+ */
+function dueOffset(lockAt, offsets, now = new Date()) {
+  const left = (lockAt.getTime() - now.getTime()) / 60000;
+  if (left <= 0) return null;
+  const due = offsets.filter((o) => left <= o);
+  return due.length ? due[due.length - 1] : null;
+}
+
+/**
+ * Members of a league (with email, active, not opted out) missing a pickem row
+ * for the week and not yet reminded. Users opt out with
+ * users.pick_reminders = false (PUT /auth/me/preferences).
+ */
+async function missingPicks({ season, week, leagueId, offsetMinutes, userIds = null, exceptUserIds = [] }) {
+  const { rows } = await db.query(
+    `SELECT m.league_id, l.name AS league_name,
+            u.id AS user_id, u.email, COALESCE(u.first_name, u.name) AS name
+       FROM league_members m
+       JOIN users u ON u.id = m.user_id
+       JOIN leagues l ON l.id = m.league_id
+      WHERE m.league_id = $4
+        AND ($5::int[] IS NULL OR u.id = ANY($5::int[]))
+        AND NOT (u.id = ANY($6::int[]))
+        AND u.email IS NOT NULL
+        AND COALESCE(u.approved, TRUE) = TRUE
+        AND COALESCE(u.deactivated, FALSE) = FALSE
+        AND COALESCE(u.pick_reminders, TRUE) = TRUE
+        AND NOT EXISTS (
+          SELECT 1 FROM picks p
+           WHERE p.league_id = m.league_id AND p.season = $1 AND p.week = $2
+             AND p.user_id = m.user_id AND p.contest = 'pickem')
+        AND NOT EXISTS (
+          SELECT 1 FROM pick_reminders r
+           WHERE r.league_id = m.league_id AND r.season = $1 AND r.week = $2
+             AND r.user_id = m.user_id AND r.offset_minutes = $3)
+      ORDER BY u.id`,
+    [season, week, offsetMinutes, leagueId, userIds, exceptUserIds]
+  );
+  return rows;
+}
+
+/**
+ * What a run would send right now: { recipients: [{ user_id, email, name,
+ * season, week, lock_at, offset, offset_minutes, leagues }] }, one per user,
+ * week, offset and deadline, listing every league still missing a pick.
+ */
+async function planReminders({ now = new Date() } = {}) {
+  const offsets = reminderOffsets();
+  const byKey = new Map();
+  for (const d of await upcomingDeadlines(now)) {
+    const offset = dueOffset(d.lock_at, offsets, now);
+    if (!offset) continue;
+    const rows = await missingPicks({
+      season: d.season,
+      week: d.week,
+      leagueId: d.league_id,
+      offsetMinutes: offset,
+      userIds: d.user_ids,
+      exceptUserIds: d.except_user_ids,
+    });
+    for (const r of rows) {
+      const key = `${r.user_id}|${d.season}|${d.week}|${offset}|${d.lock_at.getTime()}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          user_id: r.user_id,
+          email: r.email,
+          name: r.name,
+          season: d.season,
+          week: d.week,
+          lock_at: d.lock_at,
+          offset: offsetLabel(offset),
+          offset_minutes: offset,
+          leagues: [],
+        });
+      }
+      byKey.get(key).leagues.push({ id: r.league_id, name: r.league_name });
+    }
+  }
+  return { recipients: [...byKey.values()] };
+}
+
+/* -----------------------------------------------------------------------------
+ * Sending
+ * --------------------------------------------------------------------------- */
+function formatLock(lockAt) {
+  return lockAt.toLocaleString("en-US", {
+    timeZone: "America/New_York",
+    weekday: "long",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  });
+}
+
+function reminderEmail({ name, leagues, week, lockAt }) {
+  const origin = process.env.APP_ORIGIN || "http://localhost:5173";
+  const when = formatLock(lockAt);
+  const subject = `Reminder: make your Week ${week} pick before ${when}`;
+  const names = leagues.map((l) => l.name);
+  const text = [
+    `Hi ${name || "there"},`,
+    "",
+    `You haven't made your Week ${week} pick yet in: ${names.join(", ")}.`,
+    `Picks lock ${when}.`,
+    `Make your pick: ${origin}`,
+    "",
+    "You can turn these reminders off in your account preferences.",
+  ].join("\n");
+  const bodyHtml = `
+    <p>Hi ${emailSvc.escapeHtml(name || "there")},</p>
+    <p>You haven't made your Week ${emailSvc.escapeHtml(week)} pick yet in:</p>
+    <ul>${names.map((n) => `<li>${emailSvc.escapeHtml(n)}</li>`).join("")}</ul>
+    <p>Picks lock <strong>${emailSvc.escapeHtml(when)}</strong>.</p>
+    <p><a href="${emailSvc.escapeHtml(origin)}">Make your pick</a></p>
+    <p style="font-size:13px;color:#666;">You can turn these reminders off in your account preferences.</p>
+  `;
+  return { subject, text, html: emailSvc.renderBase({ title: subject, bodyHtml }) };
+}
+
+/**
+ * Claim the user's (league, week, offset) rows in pick_reminders before
+ * sending, so reruns and other instances never send one twice; resolves to
+ * the league ids this run owns.
+ */
+async function claim({ season, week, offsetMinutes, lockAt, recipient }) {
+  const { rows } = await db.query(
+    `INSERT INTO pick_reminders (league_id, season, week, user_id, offset_minutes, lock_at)
+     SELECT unnest($1::int[]), $2, $3, $4, $5, $6
+     ON CONFLICT (league_id, season, week, user_id, offset_minutes) DO NOTHING
+     RETURNING league_id`,
+    [recipient.leagues.map((l) => l.id), season, week, recipient.user_id, offsetMinutes, lockAt]
+  );
+  return rows.map((r) => r.league_id);
+}
+
+/**
+ * Send the reminders that are due. A failed send drops its claim and is
+ * retried on the next run. `run` is the job_runs tracker of the scheduler
+ * (examined = users missing a pick, changed = emails sent).
+ */
+async function sendDueReminders({ run = null, now = new Date() } = {}) {
+  const plan = await planReminders({ now });
+  const result = { candidates: plan.recipients.length, sent: 0, failed: 0, weeks: [] };
+
+  for (const recipient of plan.recipients) {
+    const { season, week, offset_minutes: offsetMinutes, lock_at: lockAt } = recipient;
+    const leagueIds = await claim({ season, week, offsetMinutes, lockAt, recipient });
+    if (!leagueIds.length) continue; // another instance got there first
+    const leagues = recipient.leagues.filter((l) => leagueIds.includes(l.id));
+    if (!result.weeks.includes(week)) result.weeks.push(week);
+
+    try {
+      const mail = reminderEmail({ name: recipient.name, leagues, week, lockAt });
+      await emailSvc.send({ to: recipient.email, ...mail });
+      result.sent += 1;
+      run?.diffs.push({ user_id: recipient.user_id, week, league_ids: leagueIds, offset: recipient.offset });
+    } catch (e) {
+      console.error(`[reminders] failed to ${recipient.email}:`, e?.message || e);
+      result.failed += 1;
+      await db.query(
+        `DELETE FROM pick_reminders
+          WHERE season = $1 AND week = $2 AND user_id = $3 AND offset_minutes = $4
+            AND league_id = ANY($5::int[])`,
+        [season, week, recipient.user_id, offsetMinutes, leagueIds]
+      ).catch(() => {});
+    }
+  }
+
+  if (run) {
+    run.examined += plan.recipients.length;
+    run.changed += result.sent;
+    Object.assign(run.meta, { weeks: result.weeks });
+  }
+  return result;
+}
+
+module.exports = {
+  reminderOffsets,
+  dueOffset,
+  upcomingDeadlines,
+  planReminders,
+  sendDueReminders,
+};
@@ -0,0 +1,224 @@
+// backend/services/proxyPicks.js
+// Picks entered by a league admin on behalf of a member (picks texted to the
+// commissioner). Same rules as POST /picks/submit — team matching, survivor
+// checks, line at pick time — except that a locked pick can be set with an
+// explicit override reason. Every proxy edit is a pick_versions row with
+// source "admin", the admin as actor_id and the reason (lock_override marks
+// the ones made after lock), and the member is emailed a notice.
+// Only the live season can be edited, like user picks.
+
+const db = require("../db");
+const emailSvc = require("./email");
+const { checkPickLock, checkPredictionLock, lockErrorBody } = require("./pickLocks");
+const { getCurrentSeason } = require("./seasons");
+const { getRules } = require("./scoringRules");
+const { checkSurvivorPick } = require("./survivor");
+const { matchTeam, teamsInGames } = require("./teams");
+const { latestSnapshotId } = require("./oddsHistory");
+const { pickState, predictionsChanged, upsertPick, recordPickVersion } = require("./pickHistory");
+const { markWeekDirtySafe } = require("./weeklyResults");
+const { finalizedWeekError } = require("./weekFinalization");
+
+/** Tell the member what was entered for them; never throws */
+async function notifyMember({ member, league, admin, week, contest, saved, previous, reason, override }) {
+  if (!member.email) return false;
+  const what = contest === "survivor" ? "survivor pick" : "pick";
+  const subject = `${league.name}: your Week ${week} ${what} was ${previous ? "changed" : "entered"} by an admin`;
+  const lines = [
+    `Team: ${saved.team}${previous?.team && previous.team !== saved.team ? ` (was ${previous.team})` : ""}`,
+  ];
+  if (saved.gotw_prediction !== null) lines.push(`Game of the week total: ${saved.gotw_prediction}`);
+  if (saved.potw_prediction !== null) lines.push(`Player of the week yards: ${saved.potw_prediction}`);
+  const by = `Entered by ${admin.name}${override ? " after the pick lock" : ""}${reason ? ` — ${reason}` : ""}.`;
+
+  const text = [
+    `Hi ${member.name || "there"},`,
+    "",
+    `Your Week ${week} ${what} in ${league.name} was ${previous ? "changed" : "entered"} for you:`,
+    ...lines,
+    by,
+    "",
+    "If this doesn't look right, contact your league admin.",
+  ].join("\n");
+  const bodyHtml = `
+    <p>Hi ${emailSvc.escapeHtml(member.name || "there")},</p>
+    <p>Your Week ${emailSvc.escapeHtml(week)} ${what} in ${emailSvc.escapeHtml(league.name)} was ${previous ? "changed" : "entered"} for you:</p>
+    <ul>${lines.map((l) => `<li>${emailSvc.escapeHtml(l)}</li>`).join("")}</ul>
+    <p>${emailSvc.escapeHtml(by)}</p>
+    <p style="font-size:13px;color:#666;">If this doesn't look right, contact your league admin.</p>
+  `;
+  try {
+    await emailSvc.send({ to: member.email, subject, text, html: emailSvc.renderBase({ title: subject, bodyHtml }) });
+    return true;
+  } catch (e) {
+    console.error(`[proxyPicks] notice to ${member.email} failed:`, e?.message || e);
+    return false;
+  }
+}
+
+/**
+ * Create or change `userId`'s pick as admin `actorId`.
+ * Resolves to { pick, version, notified, lock_override } or a failure
+ * { status, error, ...details } (423 with the lock body when locked and no
+ * `overrideReason` was given; 403 when a league admin overrides the lock on
+ * their own pick — only global admins may).
+ */
+async function submitProxyPick({
+  leagueId,
+  userId,
+  actorId,
+  week,
+  team: rawTeam,
+  contest = "pickem",
+  gotwPrediction = null,
+  potwPrediction = null,
+  reason = null,
+  overrideReason = null,
+  ip = null,
+  notify = true,
+}) {
+  const survivor = contest === "survivor";
+  const w = Number(week);
+  const gotw = survivor ? null : gotwPrediction;
+  const potw = survivor ? null : potwPrediction;
+
+  const [memberQ, leagueQ, adminQ] = await Promise.all([
+    db.query(
+      `SELECT u.id, u.email, COALESCE(u.first_name, u.name) AS name
+         FROM league_members m
+         JOIN users u ON u.id = m.user_id
+        WHERE m.league_id = $1 AND m.user_id = $2`,
+      [leagueId, userId]
+    ),
+    db.query(`SELECT id, name FROM leagues WHERE id = $1`, [leagueId]),
+    db.query(`SELECT id, COALESCE(first_name, name, 'an admin') AS name, is_admin FROM users WHERE id = $1`, [actorId]),
+  ]);
+  const member = memberQ.rows[0];
+  if (!member) return { status: 404, error: "User is not a member of this league" };
+  const league = leagueQ.rows[0];
+  const admin = adminQ.rows[0] || { id: actorId, name: "an admin" };
+
+  if (!survivor) {
+    const { rules } = await getRules({ leagueId });
+    if (rules.mode === "confidence") {
+      return { status: 400, error: "This league uses confidence picks; proxy entry supports team picks only" };
+    }
+  }
+
+  const season = await getCurrentSeason();
+  if (!survivor) {
+    const finalized = await finalizedWeekError(leagueId, season, w);
+    if (finalized) return finalized;
+  }
+
+  const games = (await db.query(
+    `SELECT id, home_team, away_team, line_favorite, line_spread, line_source FROM games
+      WHERE week = $1 AND season = $2`,
+    [w, season]
+  )).rows;
+  const team = matchTeam(rawTeam, teamsInGames(games));
+  if (!team) {
+    return {
+      status: 400,
+      error: games.length ? `"${rawTeam}" does not play in week ${w}` : `No games scheduled for week ${w}`,
+      code: "INVALID_TEAM",
+      valid_teams: teamsInGames(games),
+    };
+  }
+  const game = games.find((g) => g.home_team === team || g.away_team === team);
+
+  const existing = (await db.query(
+    `SELECT id, team, potw_prediction, gotw_prediction, is_auto FROM picks
+      WHERE league_id = $1 AND user_id = $2 AND week = $3 AND season = $4 AND contest = $5`,
+    [leagueId, userId, w, season, contest]
+  )).rows[0];
+  const previous = pickState(existing);
+
+  let lock = await checkPickLock({ week: w, team, previousTeam: previous?.team ?? null, leagueId, userId });
+  if (!lock.locked && !survivor && predictionsChanged(previous, { gotw_prediction: gotw, potw_prediction: potw })) {
+    lock = await checkPredictionLock({ week: w, leagueId, userId });
+  }
+  if (lock.locked && !overrideReason) {
+    return {
+      status: 423,
+      ...lockErrorBody(lock),
+      error: `${lockErrorBody(lock).error}; send override_reason to enter it anyway`,
+    };
+  }
+  // A league admin who also plays can't unlock their own pick
+  if (lock.locked && Number(actorId) === Number(userId) && !admin.is_admin) {
+    return { status: 403, ...lockErrorBody(lock), error: "Only a global admin can override the lock on your own pick" };
+  }
+
+  if (survivor) {
+    const denied = await checkSurvivorPick({ leagueId, season, userId, week: w, team });
+    if (denied) return { status: denied.status, error: denied.error, code: denied.code };
+  }
+
+  const lineFav = game.line_favorite ?? null;
+  const lineSpread = game.line_spread ?? null;
+  const lineSnapshotId = lineSpread === null ? null : await latestSnapshotId(db, game.id, game.line_source);
+
+  const client = await db.pool.connect();
+  let saved;
+  let version;
+  try {
+    await client.query("BEGIN");
+    saved = await upsertPick(client, {
+      leagueId,
+      season,
+      userId,
+      week: w,
+      team,
+      contest,
+      gotwPrediction: gotw,
+      potwPrediction: potw,
+      lineFavorite: lineFav,
+      lineSpread,
+      lineSnapshotId,
+    });
+    version = await recordPickVersion(client, {
+      pickId: saved.id,
+      leagueId,
+      season,
+      contest,
+      userId,
+      week: w,
+      source: "admin",
+      actorId,
+      ip,
+      reason: lock.locked ? overrideReason : reason,
+      lockOverride: lock.locked,
+      previous,
+      state: pickState(saved),
+    });
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (e.code === "23505" && e.constraint === "picks_survivor_team_once") {
+      return { status: 409, error: "Team already used in another week", code: "SURVIVOR_TEAM_USED" };
+    }
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  if (!survivor) await markWeekDirtySafe(w, "proxy_pick", leagueId);
+  const notified = version && notify
+    ? await notifyMember({
+        member, league, admin, week: w, contest, saved, previous,
+        reason: lock.locked ? overrideReason : reason, override: lock.locked,
+      })
+    : false;
+
+  return {
+    pick: saved,
+    version: version ? { id: Number(version.id), created_at: version.created_at } : null, // null: nothing changed
+    lock_override: lock.locked,
+    notified,
+  };
+}
+
+module.exports = {
+  submitProxyPick,
+};
@@ -0,0 +1,283 @@
+// backend/services/scheduler.js
+// In-process job scheduler for the data feeds that used to run only from CI:
+//  - scores:   services/score.Ingestor.js for weeks with games in play or not final yet
+//  - odds:     services/odds.Ingestor.js for the current and future weeks
+//  - kickoffs: services/kickoffs.js reconciliation, applied (KICKOFF_SOURCES)
+//  - reminders: services/pickReminders.js missing-pick emails before the week lock
+//  - autopicks: services/autoPicks.js default picks once the week lock has passed
+//
+// Each job re-plans after every run from games.kickoff: short intervals while
+// games are live, medium when a game kicks off within a day, long otherwise.
+// A Postgres advisory lock per job makes sure only one instance runs it at a time.
+// Every run is recorded in job_runs (services/jobRuns.js).
+//
+// Env:
+//   SCHEDULER_ENABLED=true          start the scheduler with the server (default off)
+//   JOB_SCORES_ENABLED / JOB_ODDS_ENABLED / JOB_KICKOFFS_ENABLED /
+//   JOB_REMINDERS_ENABLED / JOB_AUTOPICKS_ENABLED = false to disable one job
+const db = require("../db");
+const { fetchAndIngest } = require("./score.Ingestor");
+const { fetchAndIngestOdds } = require("./odds.Ingestor");
+const { getOddsProvider } = require("./odds.ProviderFactory");
+const { reconcileKickoffs, configuredSources } = require("./kickoffs");
+const { sendDueReminders } = require("./pickReminders");
+const { runAutoPicks } = require("./autoPicks");
+const emailSvc = require("./email");
+const { startRun, saveRun, finishRun } = require("./jobRuns");
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+/* -----------------------------------------------------------------------------
+ * Game windows
+ * --------------------------------------------------------------------------- */
+/**
+ * "live"     a game kicked off in the last 4h and isn't over, or is still in
+ *            progress (delays, overtime) within 12h of kickoff
+ * "upcoming" a game kicks off within 24h
+ * "idle"     otherwise
+ */
+async function currentWindow() {
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*) FILTER (
+         WHERE kickoff <= now()
+           AND ((kickoff > now() - interval '4 hours' AND status NOT IN ('final', 'postponed', 'canceled'))
+                OR (status = 'in_progress' AND kickoff > now() - interval '12 hours'))
+       )::int AS live,
+       COUNT(*) FILTER (WHERE kickoff > now() AND kickoff <= now() + interval '24 hours')::int AS upcoming
+       FROM games
+      WHERE season = current_season()`
+  );
+  const r = rows[0] || {};
+  if (r.live > 0) return "live";
+  if (r.upcoming > 0) return "upcoming";
+  return "idle";
+}
+
+/* -----------------------------------------------------------------------------
+ * Job bodies
+ * --------------------------------------------------------------------------- */
+/** Weeks of the live season with games in the last 8 days or started games not final yet */
+async function weeksNeedingScores() {
+  const { rows } = await db.query(
+    `SELECT DISTINCT week
+       FROM games
+      WHERE season = current_season()
+        AND kickoff <= now()
+        AND (kickoff >= now() - interval '8 days'
+             OR status NOT IN ('final', 'postponed', 'canceled'))
+      ORDER BY week`
+  );
+  return rows.map((r) => Number(r.week));
+}
+
+async function runScoresJob(run) {
+  const weeks = await weeksNeedingScores();
+  const results = [];
+  for (const week of weeks) {
+    const r = await fetchAndIngest({ week, run });
+    results.push({ week, updated: r.updated, provider: r.provider, unmatched: r.unmatched.length });
+  }
+  return { weeks, results };
+}
+
+/* -----------------------------------------------------------------------------
+ * Registry
+ * --------------------------------------------------------------------------- */
+const JOBS = {
+  scores: {
+    description: "Ingest scores through the provider chain",
+    enabledEnv: "JOB_SCORES_ENABLED",
+    intervals: { live: 2 * MIN, upcoming: 30 * MIN, idle: 6 * HOUR },
+    isConfigured: () => true,
+    run: runScoresJob,
+  },
+  odds: {
+    description: "Refresh lines through the odds provider (ODDS_PROVIDER)",
+    enabledEnv: "JOB_ODDS_ENABLED",
+    intervals: { live: 30 * MIN, upcoming: 15 * MIN, idle: 6 * HOUR },
+    isConfigured: () => {
+      try {
+        return getOddsProvider().isConfigured();
+      } catch {
+        return false;
+      }
+    },
+    run: async (run) => {
+      const r = await fetchAndIngestOdds({ all: true, run });
+      return { provider: r.provider, method: r.method, weeks: r.weeks.map((w) => w.week), updated: r.updated };
+    },
+  },
+  kickoffs: {
+    description: "Reconcile kickoff times with the kickoff sources (KICKOFF_SOURCES)",
+    enabledEnv: "JOB_KICKOFFS_ENABLED",
+    intervals: { live: 6 * HOUR, upcoming: 2 * HOUR, idle: 12 * HOUR },
+    isConfigured: () => configuredSources().length > 0,
+    run: async (run) => {
+      // Changes the sources disagree on wait for an admin (/admin/kickoffs)
+      const { plan, result, held } = await reconcileKickoffs({ apply: true, skipConflicts: true, run });
+      return {
+        weeks: plan.weeks,
+        proposed: plan.changes.length,
+        applied: result.applied.length,
+        conflicts: held.length,
+      };
+    },
+  },
+  reminders: {
+    description: "Email members missing a pick before the week locks (PICK_REMINDER_OFFSETS)",
+    enabledEnv: "JOB_REMINDERS_ENABLED",
+    // "upcoming" covers the day before a Sunday lock; idle runs still catch a 24h+ offset
+    intervals: { live: 15 * MIN, upcoming: 15 * MIN, idle: HOUR },
+    isConfigured: () => emailSvc.isConfigured(),
+    run: (run) => sendDueReminders({ run }),
+  },
+  autopicks: {
+    description: "Default picks for members without one once the week locks (rules.auto_pick_policy)",
+    enabledEnv: "JOB_AUTOPICKS_ENABLED",
+    intervals: { live: 10 * MIN, upcoming: 30 * MIN, idle: HOUR },
+    isConfigured: () => true,
+    run: (run) => runAutoPicks({ run }),
+  },
+};
+
+function isEnabled(name) {
+  const raw = String(process.env[JOBS[name].enabledEnv] ?? "true").trim().toLowerCase();
+  return !["0", "false", "off", "no"].includes(raw);
+}
+
+// In-memory state per job (this instance only)
+const state = Object.fromEntries(
+  Object.keys(JOBS).map((name) => [name, {
+    running: false,
+    last_started_at: null,
+    last_finished_at: null,
+    last_status: null,   // "ok" | "error" | "skipped" | "locked"
+    last_error: null,
+    last_result: null,
+    last_run_id: null,
+    window: null,
+    next_run_at: null,
+  }])
+);
+const timers = {};
+let started = false;
+
+/* -----------------------------------------------------------------------------
+ * Running
+ * --------------------------------------------------------------------------- */
+/**
+ * Run a job once under its advisory lock. Returns the job's state afterwards.
+ * `manual` runs ignore the enable flag (admin trigger).
+ */
+async function runJob(name, { manual = false } = {}) {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  const st = state[name];
+  if (st.running) return { ...st, name };
+
+  if (!manual && !isEnabled(name)) {
+    Object.assign(st, { last_status: "skipped", last_error: "disabled" });
+    return { ...st, name };
+  }
+  if (!job.isConfigured()) {
+    Object.assign(st, { last_status: "skipped", last_error: "not configured (missing API key)" });
+    return { ...st, name };
+  }
+
+  const client = await db.pool.connect();
+  let locked = false;
+  try {
+    const lock = await client.query(`SELECT pg_try_advisory_lock(hashtext('job:' || $1)) AS ok`, [name]);
+    locked = lock.rows[0].ok;
+    if (!locked) {
+      Object.assign(st, { last_status: "locked", last_error: "running on another instance" });
+      return { ...st, name };
+    }
+
+    Object.assign(st, { running: true, last_started_at: new Date(), last_error: null });
+    const run = await startRun(name, manual ? "admin" : "scheduler");
+    st.last_run_id = run.id;
+    try {
+      const result = await job.run(run);
+      await saveRun(run);
+      await finishRun(run);
+      Object.assign(st, { last_status: "ok", last_result: result });
+    } catch (e) {
+      console.error(`[scheduler] ${name} failed:`, e.message);
+      await saveRun(run);
+      await finishRun(run, { error: e });
+      Object.assign(st, { last_status: "error", last_error: e.message, last_result: null });
+    } finally {
+      Object.assign(st, { running: false, last_finished_at: new Date() });
+    }
+    return { ...st, name };
+  } finally {
+    if (locked) await client.query(`SELECT pg_advisory_unlock(hashtext('job:' || $1))`, [name]).catch(() => {});
+    client.release();
+  }
+}
+
+async function tick(name) {
+  const st = state[name];
+  try {
+    await runJob(name);
+  } catch (e) {
+    console.error(`[scheduler] ${name} tick error:`, e.message);
+  }
+  let window = "idle";
+  try {
+    window = await currentWindow();
+  } catch (e) {
+    console.warn("[scheduler] could not read game window:", e.message);
+  }
+  const delay = JOBS[name].intervals[window];
+  Object.assign(st, { window, next_run_at: new Date(Date.now() + delay) });
+  timers[name] = setTimeout(() => tick(name), delay);
+  timers[name].unref();
+}
+
+/** Start every enabled job (first runs are staggered a little after boot) */
+function startScheduler() {
+  if (started) return;
+  started = true;
+  Object.keys(JOBS).forEach((name, i) => {
+    if (!isEnabled(name)) {
+      console.log(`[scheduler] ${name} disabled (${JOBS[name].enabledEnv})`);
+      return;
+    }
+    const delay = (i + 1) * 15 * 1000;
+    state[name].next_run_at = new Date(Date.now() + delay);
+    timers[name] = setTimeout(() => tick(name), delay);
+    timers[name].unref();
+  });
+  console.log("[scheduler] started");
+}
+
+function stopScheduler() {
+  for (const t of Object.values(timers)) clearTimeout(t);
+  started = false;
+}
+
+/** Snapshot for the admin endpoint */
+function listJobs() {
+  return Object.entries(JOBS).map(([name, job]) => ({
+    name,
+    description: job.description,
+    enabled: isEnabled(name),
+    configured: job.isConfigured(),
+    scheduler_running: started,
+    intervals_ms: job.intervals,
+    ...state[name],
+  }));
+}
+
+module.exports = {
+  JOBS,
+  currentWindow,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  listJobs,
+};
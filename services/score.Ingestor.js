@@ -1,54 +1,147 @@
 // backend/services/score.Ingestor.js
 const pool = require("../db");
 // NOTE: filename is scores.ProviderFactory.js (case-sensitive)
-const { getProvider } = require("./scores.ProviderFactory");
-
-/** Best-guess current NFL season year (e.g. Sep 2025 -> 2025, Feb 2026 -> 2025) */
-function normalizeSeasonYear(seasonYear) {
-  if (Number.isFinite(Number(seasonYear))) return Number(seasonYear);
-  const now = new Date();
-  const y = now.getUTCFullYear();
-  const m = now.getUTCMonth(); // 0=Jan
-  // NFL “regular” season starts ~Sep; anything before July -> use previous year
-  return m >= 6 ? y : y - 1;
-}
+const { fetchWeekScoresWithFailover } = require("./scores.ProviderFactory");
+const { markWeekDirtySafe } = require("./weeklyResults");
+const { resolveSeason } = require("./seasons");
+const { recordRun } = require("./jobRuns");
+const { statusFor } = require("./gameStatus");
+const { notifyGamesChanged } = require("./liveScores");
+const { freezeKickoffLines, markClosingLines } = require("./oddsHistory");
 
 /**
  * Fetch remote scores for a week and upsert them into `games`.
  * Expects your `games` rows to already exist (seeded with matchups).
+ * seasonYear defaults to the live season (services/seasons.js).
+ * Providers are tried in SCORE_PROVIDERS order with failover; `providers`
+ * (array or comma list) overrides that, e.g. ["fixture"] to ingest offline.
+ * Scores, status (services/gameStatus.js) and the live period/clock are
+ * written together. `updated` counts rows whose scores, status or kickoff
+ * actually changed; those weeks get their stored leaderboard results flagged
+ * for a rescore (a ticking clock alone doesn't count). `unmatched` lists
+ * provider games with no row in `games`. Every written row, clock included,
+ * is pushed to live subscribers (services/liveScores.js). Games that kicked
+ * off get their kickoff line frozen and closing line marked
+ * (services/oddsHistory.js), in case the odds job hasn't run since.
+ *
+ * Every call is recorded in job_runs (services/jobRuns.js) as job "scores"
+ * with `trigger` (scheduler | admin | api | cli) and a before/after diff per
+ * changed game; `run_id` in the result points at it. Pass `run` to report
+ * into a run the caller already owns (e.g. a scheduler pass over several weeks).
  */
-async function fetchAndIngest({ week, seasonYear }) {
-  const provider = getProvider();
-  const season = normalizeSeasonYear(seasonYear);
+async function fetchAndIngest({ week, seasonYear, providers = null, trigger = "api", run = null }) {
+  if (run) return ingestWeek({ week, seasonYear, providers }, run);
+  return recordRun("scores", trigger, (r) => ingestWeek({ week, seasonYear, providers }, r), {
+    meta: { week: Number(week), season: seasonYear ?? null },
+  });
+}
+
+async function ingestWeek({ week, seasonYear, providers }, run) {
+  const season = await resolveSeason(seasonYear);
+  if (!season) throw new Error(`Invalid seasonYear: ${seasonYear}`);
   const wk = Number(week);
 
-  const games = await provider.fetchWeekScores({ week: wk, seasonYear: season });
+  const { provider, games, attempts } = await fetchWeekScoresWithFailover({
+    week: wk,
+    seasonYear: season,
+    providers,
+  });
+
+  const known = await pool.query(
+    `SELECT id, week, home_team, away_team, home_score, away_score, kickoff, status
+       FROM games WHERE season = $1 AND week = ANY($2::int[])`,
+    [season, [...new Set(games.map((g) => Number(g.week) || wk))]]
+  );
+  const knownRows = new Map(known.rows.map((r) => [`${r.week}|${r.home_team}|${r.away_team}`, r]));
+  const unmatched = [];
 
   let updated = 0;
+  const changedWeeks = new Set();
+  const touched = new Map(); // week -> game ids written (live push)
   for (const g of games) {
     // Each item must have these normalized keys
     const {
-      week,
+      week: rawWeek, // may be missing: the requested week
       home_team,
       away_team,
       home_score, // number | null
       away_score, // number | null
       kickoff,    // ISO string | null
     } = g;
+    const week = Number(rawWeek) || wk;
+    const status = statusFor(g);
+    const period = status === "in_progress" ? g.period ?? null : null;
+    const clock = status === "in_progress" ? g.clock ?? null : null;
 
+    const before = knownRows.get(`${week}|${home_team}|${away_team}`);
+    if (!before) {
+      unmatched.push({ week, home_team, away_team });
+      continue;
+    }
+    run.examined += 1;
+
+    // A lagging failover provider must not undo a result: a final game never
+    // goes back to non-final and known scores are never replaced by nulls
     const res = await pool.query(
       `UPDATE games
-         SET home_score = $1,
-             away_score = $2,
-             kickoff    = COALESCE(kickoff, $3)
-       WHERE week = $4 AND home_team = $5 AND away_team = $6`,
-      [home_score, away_score, kickoff, week, home_team, away_team]
+         SET home_score = COALESCE($1, home_score),
+             away_score = COALESCE($2, away_score),
+             kickoff    = COALESCE(kickoff, $3),
+             status_updated_at = CASE WHEN status IS DISTINCT FROM $8 THEN now() ELSE status_updated_at END,
+             status     = $8,
+             period     = $9,
+             clock      = $10
+       WHERE week = $4 AND season = $7 AND home_team = $5 AND away_team = $6
+         AND (status IS DISTINCT FROM 'final' OR $8 = 'final')
+         AND (COALESCE($1, home_score) IS DISTINCT FROM home_score
+              OR COALESCE($2, away_score) IS DISTINCT FROM away_score
+              OR (kickoff IS NULL AND $3::timestamptz IS NOT NULL)
+              OR status IS DISTINCT FROM $8
+              OR period IS DISTINCT FROM $9::smallint
+              OR clock IS DISTINCT FROM $10)
+       RETURNING home_score, away_score, kickoff, status`,
+      [home_score, away_score, kickoff, week, home_team, away_team, season, status, period, clock]
     );
 
-    if (res.rowCount > 0) updated += 1;
+    const after = res.rows[0];
+    if (after) {
+      if (!touched.has(Number(week))) touched.set(Number(week), []);
+      touched.get(Number(week)).push(before.id);
+    }
+    const changed =
+      after &&
+      (after.home_score !== before.home_score ||
+        after.away_score !== before.away_score ||
+        after.status !== before.status ||
+        String(after.kickoff) !== String(before.kickoff));
+    if (changed) {
+      updated += 1;
+      changedWeeks.add(Number(week));
+      run.changed += 1;
+      run.diffs.push({
+        game_id: before.id,
+        week: Number(week),
+        home_team,
+        away_team,
+        before: { home_score: before.home_score, away_score: before.away_score, kickoff: before.kickoff, status: before.status },
+        after: { home_score: after.home_score, away_score: after.away_score, kickoff: after.kickoff, status: after.status },
+      });
+    }
+  }
+
+  for (const w of touched.keys()) {
+    try {
+      await freezeKickoffLines(pool, w, season);
+      await markClosingLines(pool, w, season);
+    } catch (e) {
+      console.warn(`[scores] could not freeze kickoff lines for week ${w}: ${e.message}`);
+    }
   }
+  for (const w of changedWeeks) await markWeekDirtySafe(w, "scores", null, season);
+  for (const [w, gameIds] of touched) await notifyGamesChanged({ season, week: w, gameIds, reason: "scores" });
 
-  return { updated, seasonYear: season, week: wk };
+  run.meta.weeks = [...(run.meta.weeks || []), { week: wk, season, provider, attempts, unmatched }];
+  return { updated, seasonYear: season, week: wk, provider, attempts, unmatched, run_id: run.id };
 }
 
 module.exports = { fetchAndIngest };
@@ -1,13 +1,87 @@
 // backend/services/scores.ProviderFactory.js
 const sportsdataProvider = require("./sportsdataProvider");
+const espnProvider = require("./espnProvider");
+const fixtureProvider = require("./fixtureProvider");
 
 /**
- * Chooses which score provider to use.
- * Right now we only support SportsDataIO if SPORTSDATA_API_KEY is present.
+ * Score providers share one interface:
+ *   { name, isConfigured(), fetchWeekScores({ week, seasonYear }) }
+ * fetchWeekScores resolves to normalized games:
+ *   { week, home_team, away_team, home_score, away_score, kickoff, completed,
+ *     status, period, clock }
+ * status is one of services/gameStatus.js GAME_STATUSES; period/clock are set
+ * only while the game is in progress.
+ *
+ * SCORE_PROVIDERS sets the failover order (default "sportsdata,espn"; add
+ * "fixture" to read local JSON, see services/fixtureProvider.js). Providers
+ * that aren't configured (e.g. no SPORTSDATA_API_KEY) are skipped.
  */
-function getProvider() {
-  if (process.env.SPORTSDATA_API_KEY) return sportsdataProvider;
-  throw new Error("No score provider configured (SPORTSDATA_API_KEY missing).");
+const PROVIDERS = {
+  [sportsdataProvider.name]: sportsdataProvider,
+  [espnProvider.name]: espnProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+const DEFAULT_ORDER = ["sportsdata", "espn"];
+
+function parseOrder(raw) {
+  if (!raw) return null;
+  const list = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Providers to try, in order. `order` overrides SCORE_PROVIDERS (array or
+ * comma list). Unknown names throw so typos don't silently fall through.
+ */
+function getProviders(order = null) {
+  const names = parseOrder(order) || parseOrder(process.env.SCORE_PROVIDERS) || DEFAULT_ORDER;
+  const unknown = names.filter((n) => !PROVIDERS[n]);
+  if (unknown.length) {
+    throw new Error(`Unknown score provider(s): ${unknown.join(", ")} (known: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  const usable = names.map((n) => PROVIDERS[n]).filter((p) => p.isConfigured());
+  if (!usable.length) throw new Error(`No score provider configured (tried: ${names.join(", ")})`);
+  return usable;
+}
+
+/**
+ * Fetch a week from the first provider that answers with games.
+ * A provider that throws or returns nothing hands over to the next one.
+ * Returns { provider, games, attempts: [{ provider, ok, count?, error? }] }.
+ */
+async function fetchWeekScoresWithFailover({ week, seasonYear, providers = null }) {
+  const attempts = [];
+  for (const p of getProviders(providers)) {
+    try {
+      const games = await p.fetchWeekScores({ week, seasonYear });
+      if (Array.isArray(games) && games.length) {
+        attempts.push({ provider: p.name, ok: true, count: games.length });
+        return { provider: p.name, games, attempts };
+      }
+      attempts.push({ provider: p.name, ok: false, error: "no games returned" });
+    } catch (e) {
+      attempts.push({ provider: p.name, ok: false, error: e.message });
+      console.warn(`[scores] ${p.name} failed for week ${week}: ${e.message}`);
+    }
+  }
+  const err = new Error(
+    `All score providers failed for week ${week}: ` +
+    attempts.map((a) => `${a.provider} (${a.error})`).join("; ")
+  );
+  err.attempts = attempts;
+  throw err;
+}
+
+/** Back-compat: a provider-shaped object that fails over across the configured order */
+function getProvider(providers = null) {
+  getProviders(providers); // fail fast when nothing is configured
+  return {
+    name: "failover",
+    isConfigured: () => true,
+    fetchWeekScores: async (args) => (await fetchWeekScoresWithFailover({ ...args, providers })).games,
+  };
 }
 
-module.exports = { getProvider };
+module.exports = { PROVIDERS, getProviders, getProvider, fetchWeekScoresWithFailover };
@@ -0,0 +1,512 @@
+// backend/services/scoring.js
+// One scoring engine for every screen that shows points
+// (GET /picks/week/:week/public and the /leaderboard routes).
+//
+// Point values come from the season/league scoring rules (services/scoringRules.js).
+// With the default rules:
+//  - Correct pick: +1 if the team was the favorite, +2 otherwise (underdog / no line).
+//  - Tied games (tie_game_policy) award nothing; only final games count
+//    (games.status, services/gameStatus.js), so a live score never scores.
+//  - Picks on postponed / canceled games are void: void_game_policy decides
+//    their share of the pick value (nothing by default), in every mode.
+//  - GOTW podium: closest game_total prediction gets 3, then 2, then 1.
+//    Tie-breakers (rules.tiebreakers): closest POTW yards, earlier submission, lower user_id.
+//  - POTW exact yards: +3.
+//  - Multiplier weeks (13 and 17 double) multiply everything.
+//  - Weekly winner: most points; tie → same tie-breakers as the podium.
+// ATS mode (rules.mode = "ats") replaces the pick points: a pick that covers the
+// spread earns ats_points, a push follows ats_push_policy. The spread is the one
+// frozen at kickoff or at pick time (rules.ats_line); ats_margin is reported in
+// both modes. Kickoff lines are frozen by the odds and scores jobs
+// (oddsHistory.freezeKickoffLines); scoring only reads them.
+// Confidence mode (rules.mode = "confidence"): users pick every game and weight
+// them 1..N; each correct pick earns its confidence value (ties follow
+// tie_game_policy). GOTW/POTW and multipliers work as usual.
+const pool = require("../db");
+const { DEFAULT_RULES, getRules } = require("./scoringRules");
+const { isFinal, isVoid } = require("./gameStatus");
+const { matchTeam } = require("./teams");
+
+/* -----------------------------------------------------------------------------
+ * Config
+ * --------------------------------------------------------------------------- */
+function weekFactor(week, rules = DEFAULT_RULES) {
+  const m = Number(rules.multiplier_weeks?.[String(Number(week))]);
+  return Number.isFinite(m) && m > 0 ? m : 1;
+}
+
+/* -----------------------------------------------------------------------------
+ * Small helpers
+ * --------------------------------------------------------------------------- */
+function toNum(v) {
+  if (v === null || typeof v === "undefined" || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function tsOrInfinity(v) {
+  if (!v) return Number.POSITIVE_INFINITY;
+  const t = new Date(v).getTime();
+  return Number.isFinite(t) ? t : Number.POSITIVE_INFINITY;
+}
+
+function displayName(p) {
+  return p.first_name || p.name || `User ${p.user_id}`;
+}
+
+function gameForTeam(games, team) {
+  return games.find((g) => g.home_team === team || g.away_team === team) || null;
+}
+
+/**
+ * { winner, favorite, tie, voided } for a game; winner is null until the game
+ * is final or on a tie. voided: postponed / canceled.
+ */
+function winnerAndFavorite(g) {
+  if (!g) return { winner: null, favorite: null, tie: false, voided: false };
+  const final = isFinal(g);
+  const hs = final ? toNum(g.home_score) : null;
+  const as = final ? toNum(g.away_score) : null;
+  let winner = null;
+  if (hs !== null && as !== null) {
+    if (hs > as) winner = g.home_team;
+    else if (as > hs) winner = g.away_team;
+  }
+  const tie = hs !== null && as !== null && hs === as;
+  return { winner, favorite: g.favorite || null, tie, voided: isVoid(g) };
+}
+
+/** Prefer the admin-entered game_total_points; else the sum of the GOTW game's final scores */
+function gotwActualTotal(gotw, games) {
+  if (!gotw) return null;
+  const explicit = toNum(gotw.game_total_points);
+  if (explicit !== null) return explicit;
+  const match = games.find(
+    (g) => g.home_team === gotw.home_team && g.away_team === gotw.away_team
+  );
+  if (!match || !isFinal(match)) return null;
+  const hs = toNum(match.home_score);
+  const as = toNum(match.away_score);
+  return hs !== null && as !== null ? hs + as : null;
+}
+
+/** Policy multiplier for ties / pushes / void games */
+function policyShare(policy) {
+  if (policy === "full_points") return 1;
+  if (policy === "half_points") return 0.5;
+  return 0;
+}
+
+/**
+ * Spread line used for a pick: { favorite, spread, source, snapshot_id } where
+ * source is "pick" (snapshot at submit), "kickoff" (frozen when the game
+ * started), "opening" (first line of the game's bookmaker) or "current" (game
+ * not started yet / nothing frozen). snapshot_id is the odds_snapshots row the
+ * line came from, when known (services/oddsHistory.js).
+ */
+function atsLineFor(p, g, rules) {
+  if (!g) return null;
+  const atPick = toNum(p.line_spread_at_pick) !== null
+    ? {
+        favorite: p.line_favorite_at_pick || null,
+        spread: toNum(p.line_spread_at_pick),
+        source: "pick",
+        snapshot_id: p.line_snapshot_id_at_pick ?? null,
+      }
+    : null;
+  const atKickoff = g.kickoff_line_frozen_at
+    ? {
+        favorite: g.kickoff_line_favorite || null,
+        spread: toNum(g.kickoff_line_spread),
+        source: "kickoff",
+        snapshot_id: g.kickoff_line_snapshot_id ?? null,
+      }
+    : null;
+  const opening = toNum(g.opening_line_spread) !== null
+    ? {
+        favorite: g.opening_line_favorite || null,
+        spread: toNum(g.opening_line_spread),
+        source: "opening",
+        snapshot_id: g.opening_line_snapshot_id ?? null,
+      }
+    : null;
+  const current = {
+    favorite: g.line_favorite ?? g.favorite ?? null,
+    spread: toNum(g.line_spread ?? g.spread),
+    source: "current",
+    snapshot_id: null,
+  };
+  let line;
+  if (rules.ats_line === "pick") line = atPick || atKickoff || current;
+  else if (rules.ats_line === "opening") line = opening || atKickoff || current;
+  else line = atKickoff || current;
+  return line.spread === null ? null : line;
+}
+
+/**
+ * Against-the-spread view of a pick:
+ *  { ats_spread (picked team's handicap, e.g. -3.5), ats_line_source,
+ *    ats_line_snapshot_id, ats_margin, ats_result }
+ * ats_margin/ats_result stay null until the game is final.
+ */
+function atsForPick(p, g, rules) {
+  const line = atsLineFor(p, g, rules);
+  const out = { ats_spread: null, ats_line_source: null, ats_line_snapshot_id: null, ats_margin: null, ats_result: null };
+  if (!line) return out;
+
+  const teamSpread = line.favorite ? (p.team === line.favorite ? -line.spread : line.spread) : 0;
+  out.ats_spread = teamSpread;
+  out.ats_line_source = line.source;
+  out.ats_line_snapshot_id = line.snapshot_id === null ? null : Number(line.snapshot_id);
+
+  if (!isFinal(g)) return out;
+  const hs = toNum(g.home_score);
+  const as = toNum(g.away_score);
+  if (hs === null || as === null) return out;
+  const diff = p.team === g.home_team ? hs - as : as - hs;
+  out.ats_margin = diff + teamSpread;
+  out.ats_result = out.ats_margin > 0 ? "cover" : out.ats_margin < 0 ? "loss" : "push";
+  return out;
+}
+
+/**
+ * Score a user's confidence picks ({ game_id, team, confidence }):
+ * { items (with is_correct / points), base, correct_favorites, correct_underdogs }.
+ */
+function scoreConfidencePicks(list = [], games, rules) {
+  const items = list.map((c) => {
+    const g = games.find((x) => x.id === c.game_id) || gameForTeam(games, c.team);
+    const { winner, favorite, tie, voided } = winnerAndFavorite(g);
+    const isCorrect = !!winner && c.team === winner;
+    const value = Number(c.confidence) || 0;
+    let points = 0;
+    if (isCorrect) points = value;
+    else if (tie) points = value * policyShare(rules.tie_game_policy);
+    else if (voided) points = value * policyShare(rules.void_game_policy);
+    return {
+      game_id: c.game_id,
+      team: c.team,
+      confidence: value,
+      is_favorite: favorite ? c.team === favorite : null,
+      is_correct_pick: isCorrect,
+      is_tie_game: tie,
+      is_void_game: voided,
+      points,
+    };
+  });
+  items.sort((a, b) => b.confidence - a.confidence);
+  return {
+    items,
+    base: items.reduce((sum, c) => sum + c.points, 0),
+    correct_favorites: items.filter((c) => c.is_correct_pick && c.is_favorite === true).length,
+    correct_underdogs: items.filter((c) => c.is_correct_pick && c.is_favorite !== true).length,
+  };
+}
+
+/**
+ * Check a confidence submission ({ game_id, team, confidence } per game) against
+ * the week's games: one entry per game, teams of that game (matched like
+ * team picks and rewritten to the games' names), confidence values a
+ * permutation of 1..N. Returns the error message, or null when valid.
+ */
+function validateConfidencePicks(entries, games) {
+  if (!Array.isArray(entries)) return "picks must be an array";
+  if (entries.length !== games.length) {
+    return `Pick every game: expected ${games.length} picks, got ${entries.length}`;
+  }
+  const byId = new Map(games.map((g) => [g.id, g]));
+  const seenGames = new Set();
+  const seenValues = new Set();
+  for (const e of entries) {
+    const g = byId.get(Number(e?.game_id));
+    if (!g) return `Unknown game_id ${e?.game_id} for this week`;
+    if (seenGames.has(g.id)) return `Game ${g.id} is picked more than once`;
+    seenGames.add(g.id);
+    const team = matchTeam(e.team, [g.home_team, g.away_team]);
+    if (!team) return `team for game ${g.id} must be ${g.away_team} or ${g.home_team}`;
+    e.team = team; // stored as the name used in games
+    const c = Number(e.confidence);
+    if (!Number.isInteger(c) || c < 1 || c > games.length) {
+      return `confidence values must be whole numbers from 1 to ${games.length}`;
+    }
+    if (seenValues.has(c)) return `Confidence ${c} is used more than once`;
+    seenValues.add(c);
+  }
+  return null;
+}
+
+function potwDiff(p, potwActual) {
+  const pred = toNum(p.potw_prediction);
+  if (potwActual === null || pred === null) return Number.POSITIVE_INFINITY;
+  return Math.abs(pred - potwActual);
+}
+
+function gotwDiff(p, gotwActual) {
+  const pred = toNum(p.gotw_prediction);
+  if (gotwActual === null || pred === null) return Number.POSITIVE_INFINITY;
+  return Math.abs(pred - gotwActual);
+}
+
+/** Comparator for rules.tiebreakers (lower wins); lower user_id is the final fallback */
+function tiebreakComparator(order, { gotwActual, potwActual }) {
+  const value = {
+    gotw_diff: (p) => gotwDiff(p, gotwActual),
+    potw_diff: (p) => potwDiff(p, potwActual),
+    earliest_pick: (p) => tsOrInfinity(p.submitted_at ?? p.created_at),
+  };
+  return (a, b) => {
+    for (const key of order || []) {
+      if (!value[key]) continue;
+      const va = value[key](a);
+      const vb = value[key](b);
+      if (va !== vb) return va < vb ? -1 : 1;
+    }
+    return a.user_id - b.user_id;
+  };
+}
+
+/* -----------------------------------------------------------------------------
+ * Core: score one week from plain rows (no DB access)
+ * --------------------------------------------------------------------------- */
+
+/**
+ * @param {object}   input
+ * @param {number}   input.week
+ * @param {object[]} input.games  games rows for the week (home/away/scores/favorite)
+ * @param {object[]} input.picks  one row per user (user_id, team, predictions, submitted_at, names;
+ *                                confidence_picks in confidence mode)
+ * @param {object}   [input.gotw] { home_team, away_team, game_total_points } | null
+ * @param {number}   [input.potwYards] official POTW yards | null
+ * @param {object}   [input.rules] scoring rules (services/scoringRules.js); defaults if omitted
+ * @returns {{ week, factor, gotw_actual, potw_actual, rules, podium, potw_exact,
+ *             weekly_winner_user_id, picks, rows }}
+ */
+function scoreWeek({ week, games = [], picks = [], gotw = null, potwYards = null, rules = DEFAULT_RULES }) {
+  const w = Number(week);
+  const factor = weekFactor(w, rules);
+  const gotwActual = gotwActualTotal(gotw, games);
+  const potwActual = toNum(potwYards);
+  const tiebreak = tiebreakComparator(rules.tiebreakers, { gotwActual, potwActual });
+
+  // GOTW ranking (only users who entered a prediction)
+  const ranked = gotwActual === null
+    ? []
+    : picks
+        .filter((p) => toNum(p.gotw_prediction) !== null)
+        .sort((a, b) => (gotwDiff(a, gotwActual) - gotwDiff(b, gotwActual)) || tiebreak(a, b));
+  const gotwRank = new Map(ranked.map((p, i) => [p.user_id, i + 1]));
+  const awards = rules.gotw_awards || [];
+  const podium = ranked.slice(0, awards.length).map((p, i) => ({
+    user_id: p.user_id,
+    award: awards[i],
+  }));
+  const podiumAward = new Map(podium.map((p) => [p.user_id, p.award]));
+
+  // POTW exact
+  const potwExact = [];
+  if (potwActual !== null) {
+    for (const p of picks) {
+      if (toNum(p.potw_prediction) === potwActual) {
+        potwExact.push({ user_id: p.user_id, award: rules.potw_exact_points });
+      }
+    }
+  }
+  const exactSet = new Set(potwExact.map((e) => e.user_id));
+
+  // Per-pick breakdown
+  const scored = picks.map((p) => {
+    const g = gameForTeam(games, p.team);
+    const { winner, favorite, tie, voided } = winnerAndFavorite(g);
+    const isFavorite = favorite ? p.team === favorite : null;
+    const isCorrect = !!winner && p.team === winner;
+
+    const ats = atsForPick(p, g, rules);
+    const confidence = rules.mode === "confidence"
+      ? scoreConfidencePicks(p.confidence_picks, games, rules)
+      : null;
+
+    let base = 0;
+    let correctFavorites = isCorrect && isFavorite === true ? 1 : 0;
+    let correctUnderdogs = isCorrect && isFavorite !== true ? 1 : 0;
+    if (confidence) {
+      base = confidence.base;
+      correctFavorites = confidence.correct_favorites;
+      correctUnderdogs = confidence.correct_underdogs;
+    } else if (rules.mode === "ats") {
+      if (ats.ats_result === "cover") base = rules.ats_points;
+      else if (ats.ats_result === "push") base = rules.ats_points * policyShare(rules.ats_push_policy);
+      else if (voided) base = rules.ats_points * policyShare(rules.void_game_policy);
+    } else {
+      const pickValue = isFavorite === true ? rules.favorite_points : rules.underdog_points;
+      if (isCorrect) base = pickValue;
+      else if (tie) base = pickValue * policyShare(rules.tie_game_policy);
+      else if (voided) base = pickValue * policyShare(rules.void_game_policy);
+    }
+    if (p.is_auto && !confidence) base *= rules.auto_pick_points_factor ?? 1;
+    const gotwPts = podiumAward.get(p.user_id) || 0;
+    const potwPts = exactSet.has(p.user_id) ? rules.potw_exact_points : 0;
+
+    return {
+      ...p,
+      name: displayName(p),
+      home_team: g ? g.home_team : null,
+      away_team: g ? g.away_team : null,
+      home_score: g ? g.home_score : null,
+      away_score: g ? g.away_score : null,
+      game_status: g ? g.status ?? null : null,
+      spread: g ? g.spread ?? null : null,
+      favorite,
+      is_favorite: isFavorite,            // true/false/null
+      is_correct_pick: isCorrect,
+      is_tie_game: tie,
+      is_void_game: voided,
+      is_auto: !!p.is_auto,               // made by services/autoPicks.js
+      ...ats,
+      confidence_picks: confidence ? confidence.items : null,
+      correct_favorites: correctFavorites,
+      correct_underdogs: correctUnderdogs,
+      gotw_rank: gotwRank.get(p.user_id) || null,
+      potw_exact: exactSet.has(p.user_id),
+      factor,
+      base_points: base * factor,
+      gotw_points: gotwPts * factor,
+      potw_points: potwPts * factor,
+      total_points: (base + gotwPts + potwPts) * factor,
+    };
+  });
+
+  // Weekly winner
+  let winnerId = null;
+  if (scored.length) {
+    const best = [...scored].sort((a, b) =>
+      (b.total_points - a.total_points) || tiebreak(a, b)
+    )[0];
+    if (best.total_points > 0) winnerId = best.user_id;
+  }
+  for (const s of scored) s.is_weekly_winner = s.user_id === winnerId;
+
+  // Per-user rows (leaderboard shape)
+  const rows = scored.map((s) => ({
+    user_id: s.user_id,
+    name: s.name,
+    base_points: s.base_points,
+    gotw_points: s.gotw_points,
+    potw_points: s.potw_points,
+    total_points: s.total_points,
+    correct_favorites: s.correct_favorites,
+    correct_underdogs: s.correct_underdogs,
+    factor,
+    ats_spread: s.ats_spread,
+    ats_margin: s.ats_margin,
+    ats_result: s.ats_result,
+    gotw_rank: s.gotw_rank,
+    is_weekly_winner: s.is_weekly_winner,
+  }));
+  rows.sort((a, b) => b.total_points - a.total_points || a.name.localeCompare(b.name));
+
+  return {
+    week: w,
+    factor,
+    gotw_actual: gotwActual,
+    potw_actual: potwActual,
+    rules,
+    podium,                 // [{ user_id, award }]
+    potw_exact: potwExact,  // [{ user_id, award }]
+    weekly_winner_user_id: winnerId,
+    picks: scored,          // per-pick detail (public picks page)
+    rows,                   // per-user breakdown (leaderboard)
+  };
+}
+
+/* -----------------------------------------------------------------------------
+ * DB loader + convenience wrapper
+ * --------------------------------------------------------------------------- */
+
+/** Read everything scoreWeek needs for one week of one league (season null = live) */
+async function loadWeekInputs(week, leagueId, season = null) {
+  const w = Number(week);
+  const [games, picks, gotw, potw, rules, confidence] = await Promise.all([
+    pool.query(
+      `SELECT g.id, g.week, g.kickoff, g.home_team, g.away_team, g.home_score, g.away_score, g.status, g.favorite, g.spread,
+              g.line_favorite, g.line_spread,
+              g.kickoff_line_favorite, g.kickoff_line_spread, g.kickoff_line_frozen_at, g.kickoff_line_snapshot_id,
+              o.id AS opening_line_snapshot_id, o.favorite AS opening_line_favorite, o.spread AS opening_line_spread
+         FROM games g
+         LEFT JOIN LATERAL (
+           -- opening line of the game's bookmaker, else the earliest of any book
+           SELECT id, favorite, spread FROM odds_snapshots
+            WHERE game_id = g.id AND is_opening AND spread IS NOT NULL
+            ORDER BY (bookmaker = g.line_source) DESC, fetched_at, id
+            LIMIT 1
+         ) o ON true
+        WHERE g.week = $1 AND g.season = COALESCE($2::int, current_season())`,
+      [w, season]
+    ),
+    pool.query(
+      `SELECT p.user_id, p.week, p.team, p.gotw_prediction, p.potw_prediction, p.created_at, p.submitted_at, p.is_auto,
+              p.line_favorite_at_pick, p.line_spread_at_pick, p.line_snapshot_id_at_pick,
+              u.first_name, u.last_name, u.name
+         FROM picks p
+         JOIN users u ON u.id = p.user_id
+        WHERE p.week = $1 AND p.league_id = $2 AND p.season = COALESCE($3::int, current_season())
+          AND p.contest = 'pickem'`,
+      [w, leagueId, season]
+    ),
+    pool.query(
+      `SELECT home_team, away_team, game_total_points
+         FROM game_of_the_week
+        WHERE week = $1 AND league_id = $2 AND season = COALESCE($3::int, current_season())
+        LIMIT 1`,
+      [w, leagueId, season]
+    ),
+    pool.query(
+      `SELECT player_total_yards
+         FROM player_of_the_week
+        WHERE week = $1 AND league_id = $2 AND season = COALESCE($3::int, current_season())
+        LIMIT 1`,
+      [w, leagueId, season]
+    ),
+    getRules({ season, leagueId }),
+    pool.query(
+      `SELECT user_id, game_id, team, confidence
+         FROM confidence_picks
+        WHERE week = $1 AND league_id = $2 AND season = COALESCE($3::int, current_season())`,
+      [w, leagueId, season]
+    ),
+  ]);
+
+  const confidenceByUser = new Map();
+  for (const c of confidence.rows) {
+    if (!confidenceByUser.has(c.user_id)) confidenceByUser.set(c.user_id, []);
+    confidenceByUser.get(c.user_id).push(c);
+  }
+
+  return {
+    week: w,
+    leagueId,
+    season,
+    games: games.rows,
+    picks: picks.rows.map((p) => ({ ...p, confidence_picks: confidenceByUser.get(p.user_id) || [] })),
+    gotw: gotw.rows[0] || null,
+    potwYards: potw.rows[0] ? potw.rows[0].player_total_yards : null,
+    rules: rules.rules,
+  };
+}
+
+/** Load + score one week of one league */
+async function computeWeekTable(week, leagueId, season = null) {
+  const input = await loadWeekInputs(week, leagueId, season);
+  return scoreWeek(input);
+}
+
+module.exports = {
+  weekFactor,
+  winnerAndFavorite,
+  gotwActualTotal,
+  atsForPick,
+  scoreConfidencePicks,
+  validateConfidencePicks,
+  scoreWeek,
+  loadWeekInputs,
+  computeWeekTable,
+};
@@ -0,0 +1,212 @@
+// backend/services/scoringRules.js
+// Scoring rules per season, optionally overridden per league.
+// Lookup order: league override -> season-wide rules -> built-in defaults,
+// key by key. Each scope stores only the keys set for it, so season-wide
+// edits still reach leagues that override other keys.
+const pool = require("../db");
+const { getCurrentSeason } = require("./seasons");
+
+/* -----------------------------------------------------------------------------
+ * Defaults (what the game has always used)
+ * --------------------------------------------------------------------------- */
+// DOUBLE_WEEKS env only seeds the default multiplier weeks now
+const ENV_DOUBLE_WEEKS = String(process.env.DOUBLE_WEEKS || "13,17")
+  .split(",")
+  .map((s) => parseInt(s.trim(), 10))
+  .filter((n) => Number.isFinite(n));
+
+const MODES = ["straight", "ats", "confidence"];
+const TIE_GAME_POLICIES = ["no_points", "half_points", "full_points"]; // also ATS pushes and void games
+const ATS_LINES = ["pick", "kickoff", "opening"];
+const TIEBREAKERS = ["gotw_diff", "potw_diff", "earliest_pick"];
+// Pick made for members with none at the week lock (services/autoPicks.js);
+// "user_choice" uses each user's users.auto_pick_strategy
+const AUTO_PICK_POLICIES = ["off", "favorite", "home", "user_choice"];
+
+const DEFAULT_RULES = Object.freeze({
+  // "straight": winner picks with a fav/dog value; "ats": pick must cover the spread;
+  // "confidence": a winner for every game, weighted 1..N (see routes/picks.js)
+  mode: "straight",
+  favorite_points: 1,
+  underdog_points: 2,        // also used when the game has no line
+  gotw_awards: [3, 2, 1],    // closest GOTW total first
+  potw_exact_points: 3,
+  multiplier_weeks: Object.fromEntries(ENV_DOUBLE_WEEKS.map((w) => [String(w), 2])),
+  tie_game_policy: "no_points",
+  // Picks on postponed / canceled games (services/gameStatus.js); same values as ties
+  void_game_policy: "no_points",
+  // ATS mode only
+  ats_points: 1,
+  ats_push_policy: "no_points",
+  ats_line: "kickoff",       // spread frozen at kickoff, at the time of the pick, or the opening line
+  // Applied after points (weekly winner) or GOTW distance (podium); lower
+  // user_id is always the final fallback so results are deterministic.
+  tiebreakers: ["potw_diff", "earliest_pick"],
+  // Straight / ATS modes only; auto-picks earn base points x auto_pick_points_factor
+  auto_pick_policy: "off",
+  auto_pick_points_factor: 1,
+});
+
+/* -----------------------------------------------------------------------------
+ * Validation
+ * --------------------------------------------------------------------------- */
+function isNonNegNumber(v) {
+  return typeof v === "number" && Number.isFinite(v) && v >= 0;
+}
+
+/**
+ * Validate a (partial) rules object and merge it over `base`.
+ * Returns { rules } or { errors: [...] }.
+ */
+function validateRules(input, base = DEFAULT_RULES) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["rules must be an object"] };
+  }
+  const out = { ...base };
+
+  for (const [key, v] of Object.entries(input)) {
+    switch (key) {
+      case "mode":
+        if (!MODES.includes(v)) errors.push(`mode must be one of: ${MODES.join(", ")}`);
+        else out[key] = v;
+        break;
+      case "favorite_points":
+      case "underdog_points":
+      case "potw_exact_points":
+      case "ats_points":
+        if (!isNonNegNumber(v)) errors.push(`${key} must be a number >= 0`);
+        else out[key] = v;
+        break;
+      case "gotw_awards":
+        if (!Array.isArray(v) || v.length > 10 || !v.every(isNonNegNumber)) {
+          errors.push("gotw_awards must be an array of up to 10 numbers >= 0");
+        } else out[key] = [...v];
+        break;
+      case "multiplier_weeks": {
+        if (!v || typeof v !== "object" || Array.isArray(v)) {
+          errors.push("multiplier_weeks must be an object like { \"13\": 2 }");
+          break;
+        }
+        const weeks = {};
+        for (const [wk, m] of Object.entries(v)) {
+          const n = Number(wk);
+          if (!Number.isInteger(n) || n < 1 || n > 25) errors.push(`multiplier_weeks: invalid week "${wk}"`);
+          else if (typeof m !== "number" || !(m > 0)) errors.push(`multiplier_weeks: week ${wk} needs a multiplier > 0`);
+          else weeks[String(n)] = m;
+        }
+        out[key] = weeks;
+        break;
+      }
+      case "tie_game_policy":
+      case "ats_push_policy":
+      case "void_game_policy":
+        if (!TIE_GAME_POLICIES.includes(v)) {
+          errors.push(`${key} must be one of: ${TIE_GAME_POLICIES.join(", ")}`);
+        } else out[key] = v;
+        break;
+      case "ats_line":
+        if (!ATS_LINES.includes(v)) errors.push(`ats_line must be one of: ${ATS_LINES.join(", ")}`);
+        else out[key] = v;
+        break;
+      case "auto_pick_policy":
+        if (!AUTO_PICK_POLICIES.includes(v)) {
+          errors.push(`auto_pick_policy must be one of: ${AUTO_PICK_POLICIES.join(", ")}`);
+        } else out[key] = v;
+        break;
+      case "auto_pick_points_factor":
+        if (!isNonNegNumber(v) || v > 1) errors.push("auto_pick_points_factor must be a number from 0 to 1");
+        else out[key] = v;
+        break;
+      case "tiebreakers":
+        if (!Array.isArray(v) || !v.every((t) => TIEBREAKERS.includes(t)) || new Set(v).size !== v.length) {
+          errors.push(`tiebreakers must be a list of distinct values from: ${TIEBREAKERS.join(", ")}`);
+        } else out[key] = [...v];
+        break;
+      default:
+        errors.push(`Unknown rule: ${key}`);
+    }
+  }
+  return errors.length ? { errors } : { rules: out };
+}
+
+/* -----------------------------------------------------------------------------
+ * DB access
+ * --------------------------------------------------------------------------- */
+
+/**
+ * Effective rules for a league-season (season null = live season): the league
+ * override over the season-wide rules over the defaults, key by key.
+ * Returns { season, league_id, source: "league"|"season"|"default", rules, updated_at }.
+ */
+async function getRules({ season = null, leagueId = null } = {}) {
+  const s = season ?? (await getCurrentSeason());
+  const r = await pool.query(
+    `SELECT league_id, rules, updated_at
+       FROM scoring_rules
+      WHERE season = $1
+        AND (league_id IS NULL OR league_id = $2::int)
+      ORDER BY league_id NULLS FIRST`,
+    [s, leagueId]
+  );
+  const seasonRow = r.rows.find((row) => !row.league_id);
+  const leagueRow = r.rows.find((row) => row.league_id);
+  const top = leagueRow || seasonRow;
+  if (!top) {
+    return { season: s, league_id: leagueId, source: "default", rules: { ...DEFAULT_RULES }, updated_at: null };
+  }
+  return {
+    season: s,
+    league_id: leagueId,
+    source: leagueRow ? "league" : "season",
+    rules: { ...DEFAULT_RULES, ...seasonRow?.rules, ...leagueRow?.rules },
+    updated_at: top.updated_at,
+  };
+}
+
+/** Rules stored for exactly this scope (season-wide when leagueId is null), or null */
+async function getStoredRules({ season, leagueId = null }) {
+  const r = await pool.query(
+    `SELECT rules FROM scoring_rules WHERE season = $1 AND COALESCE(league_id, 0) = COALESCE($2::int, 0)`,
+    [season, leagueId]
+  );
+  return r.rows[0]?.rules ?? null;
+}
+
+/** Save rules for a season (leagueId null) or a league override; returns the stored row */
+async function saveRules({ season, leagueId = null, rules, userId = null }) {
+  const r = await pool.query(
+    `INSERT INTO scoring_rules (season, league_id, rules, updated_by, updated_at)
+     VALUES ($1, $2, $3::jsonb, $4, now())
+     ON CONFLICT (season, (COALESCE(league_id, 0))) DO UPDATE
+       SET rules = EXCLUDED.rules,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = now()
+     RETURNING season, league_id, rules, updated_by, updated_at`,
+    [season, leagueId, JSON.stringify(rules), userId]
+  );
+  return r.rows[0];
+}
+
+/** Drop a season's rules or a league override (falls back to the next layer) */
+async function deleteRules({ season, leagueId = null }) {
+  const r = await pool.query(
+    `DELETE FROM scoring_rules WHERE season = $1 AND COALESCE(league_id, 0) = COALESCE($2::int, 0)`,
+    [season, leagueId]
+  );
+  return r.rowCount > 0;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  MODES,
+  TIE_GAME_POLICIES,
+  ATS_LINES,
+  TIEBREAKERS,
+  AUTO_PICK_POLICIES,
+  validateRules,
+  getRules,
+  getStoredRules,
+  saveRules,
+  deleteRules,
+};
@@ -0,0 +1,127 @@
+// backend/services/seasons.js
+// Season dimension: which NFL season is live, the season archive and rollover.
+// The current season lives in the `seasons` table (see db/schema.js); SQL can
+// read it directly via current_season(), which is also the column default for
+// season on games/picks/GOTW/POTW so new rows land in the live season.
+const pool = require("../db");
+
+const CACHE_MS = 60 * 1000;
+let cached = null; // { year, at }
+
+/** Year of the live season (e.g. 2025 for the 2025-26 season) */
+async function getCurrentSeason() {
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.year;
+  const r = await pool.query(`SELECT current_season() AS year`);
+  const year = r.rows[0]?.year;
+  if (!Number.isInteger(year)) throw new Error("No current season (schema not initialized?)");
+  cached = { year, at: Date.now() };
+  return year;
+}
+
+/**
+ * Season from a request value (?season=2024); blank means the live season.
+ * Returns null for anything that isn't a plausible year.
+ */
+async function resolveSeason(raw) {
+  if (raw === undefined || raw === null || raw === "" || raw === "current") {
+    return getCurrentSeason();
+  }
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 1920 && n <= 2100 ? n : null;
+}
+
+async function listSeasons() {
+  const r = await pool.query(
+    `SELECT year, is_current, started_at, archived_at
+       FROM seasons
+      ORDER BY year DESC`
+  );
+  return r.rows;
+}
+
+/** Champions of archived seasons; optionally for one league */
+async function listChampions(leagueId = null) {
+  const r = await pool.query(
+    `SELECT c.league_id, l.name AS league_name, c.season, c.user_id, c.display_name,
+            c.total_points, c.recorded_at
+       FROM season_champions c
+       JOIN leagues l ON l.id = c.league_id
+      WHERE $1::int IS NULL OR c.league_id = $1::int
+      ORDER BY c.season DESC, l.name ASC`,
+    [leagueId]
+  );
+  return r.rows;
+}
+
+/**
+ * Archive the live season and start `year`.
+ * Each league's final standings leader is recorded in season_champions first,
+ * so the archive doesn't depend on users or results still being around later.
+ */
+async function rolloverSeason(year) {
+  // weeklyResults requires this module, so load it lazily (no require cycle at boot)
+  const { getOverallStandings } = require("./weeklyResults");
+
+  const next = Number(year);
+  const current = await getCurrentSeason();
+  if (!Number.isInteger(next) || next <= current) {
+    throw new Error(`New season must be after ${current}`);
+  }
+
+  const leagues = await pool.query(`SELECT id FROM leagues ORDER BY id`);
+  const champions = [];
+  for (const { id } of leagues.rows) {
+    const { standings } = await getOverallStandings(id, current);
+    const top = standings[0];
+    if (top) champions.push({ league_id: id, ...top });
+  }
+
+  const client = await pool.pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const c of champions) {
+      await client.query(
+        `INSERT INTO season_champions (league_id, season, user_id, display_name, total_points)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (league_id, season) DO UPDATE
+           SET user_id = EXCLUDED.user_id,
+               display_name = EXCLUDED.display_name,
+               total_points = EXCLUDED.total_points,
+               recorded_at = now()`,
+        [c.league_id, current, c.user_id, c.display_name, c.total_points]
+      );
+    }
+    await client.query(
+      `UPDATE seasons SET is_current = false, archived_at = now() WHERE is_current`
+    );
+    await client.query(
+      `INSERT INTO seasons (year, is_current) VALUES ($1, true)
+       ON CONFLICT (year) DO UPDATE SET is_current = true, archived_at = NULL`,
+      [next]
+    );
+    // Scoring rules carry over until an admin changes them
+    await client.query(
+      `INSERT INTO scoring_rules (season, league_id, rules, updated_by)
+       SELECT $1, league_id, rules, updated_by FROM scoring_rules WHERE season = $2
+       ON CONFLICT DO NOTHING`,
+      [next, current]
+    );
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  cached = null;
+  return { previous: current, current: next, champions };
+}
+
+module.exports = {
+  getCurrentSeason,
+  resolveSeason,
+  listSeasons,
+  listChampions,
+  rolloverSeason,
+};
@@ -1,41 +1,36 @@
 // backend/services/sportsdataProvider.js
 const axios = require("axios");
+// SportsDataIO team codes -> DB full names via the teams registry
+const { teamName } = require("./teams");
+const { easternLocalToUtcIso } = require("./easternTime");
+const { statusFor } = require("./gameStatus");
 
-// Map SportsDataIO team codes -> your DB full names
-const TEAM_MAP = {
-  ARI: "Arizona Cardinals",
-  ATL: "Atlanta Falcons",
-  BAL: "Baltimore Ravens",
-  BUF: "Buffalo Bills",
-  CAR: "Carolina Panthers",
-  CHI: "Chicago Bears",
-  CIN: "Cincinnati Bengals",
-  CLE: "Cleveland Browns",
-  DAL: "Dallas Cowboys",
-  DEN: "Denver Broncos",
-  DET: "Detroit Lions",
-  GB : "Green Bay Packers",
-  HOU: "Houston Texans",
-  IND: "Indianapolis Colts",
-  JAX: "Jacksonville Jaguars",
-  KC : "Kansas City Chiefs",
-  LAC: "Los Angeles Chargers",
-  LAR: "Los Angeles Rams",
-  LV : "Las Vegas Raiders",
-  MIA: "Miami Dolphins",
-  MIN: "Minnesota Vikings",
-  NE : "New England Patriots",
-  NO : "New Orleans Saints",
-  NYG: "New York Giants",
-  NYJ: "New York Jets",
-  PHI: "Philadelphia Eagles",
-  PIT: "Pittsburgh Steelers",
-  SEA: "Seattle Seahawks",
-  SF : "San Francisco 49ers",
-  TB : "Tampa Bay Buccaneers",
-  TEN: "Tennessee Titans",
-  WAS: "Washington Commanders",
-};
+const name = "sportsdata";
+
+function isConfigured() {
+  return !!process.env.SPORTSDATA_API_KEY;
+}
+
+/**
+ * Kickoff as UTC ISO. DateTime/Date are Eastern wall-clock times; DateTimeUTC
+ * is UTC without a zone suffix.
+ */
+function kickoffUtc(g) {
+  const eastern = easternLocalToUtcIso(g.DateTime || g.Date);
+  if (eastern) return eastern;
+  if (g.DateTimeUTC) {
+    const d = new Date(/([zZ]|[+-]\d\d:?\d\d)$/.test(g.DateTimeUTC) ? g.DateTimeUTC : `${g.DateTimeUTC}Z`);
+    if (!Number.isNaN(d.getTime())) return d.toISOString();
+  }
+  return null;
+}
+
+/** Quarter "1".."4" -> 1..4, "OT" -> 5; null for "Half" and anything else */
+function quarterNumber(q) {
+  const s = String(q ?? "").trim();
+  if (/^\d+$/.test(s)) return Number(s);
+  return /^ot$/i.test(s) ? 5 : null;
+}
 
 function makeSeasonKey(year) {
   // SportsDataIO expects "2025REG"
@@ -45,7 +40,8 @@ function makeSeasonKey(year) {
 /**
  * Fetch a week's games from SportsDataIO and normalize to:
  * {
- *   week, home_team, away_team, home_score, away_score, kickoff
+ *   week, home_team, away_team, home_score, away_score, kickoff, completed,
+ *   status, period, clock
  * }
  */
 async function fetchWeekScores({ week, seasonYear }) {
@@ -64,21 +60,29 @@ async function fetchWeekScores({ week, seasonYear }) {
 
   // Normalize results (defensive parsing)
   return (Array.isArray(data) ? data : []).map((g) => {
-    // Prefer abbreviations -> full name via TEAM_MAP
+    // Prefer abbreviations -> full name via the teams registry
     const homeAbbr = g.HomeTeam;
     const awayAbbr = g.AwayTeam;
 
     const homeFull =
-      TEAM_MAP[homeAbbr] || g.HomeTeamName || g.StadiumDetails?.HomeTeam || homeAbbr;
+      teamName(homeAbbr) || g.HomeTeamName || g.StadiumDetails?.HomeTeam || homeAbbr;
     const awayFull =
-      TEAM_MAP[awayAbbr] || g.AwayTeamName || awayAbbr;
+      teamName(awayAbbr) || g.AwayTeamName || awayAbbr;
 
     const home_score =
       Number.isFinite(Number(g.HomeScore)) ? Number(g.HomeScore) : null;
     const away_score =
       Number.isFinite(Number(g.AwayScore)) ? Number(g.AwayScore) : null;
 
-    const kickoff = g.Date ? new Date(g.Date).toISOString() : null;
+    const kickoff = kickoffUtc(g);
+    // Status: Scheduled, InProgress, Final, F/OT, Postponed, Canceled, Delayed, Suspended
+    const status = statusFor({
+      status: g.Status,
+      completed: !!g.IsOver,
+      home_score,
+      away_score,
+    });
+    const live = status === "in_progress";
 
     return {
       week: Number(g.Week) || Number(week),
@@ -87,8 +91,12 @@ async function fetchWeekScores({ week, seasonYear }) {
       home_score,
       away_score,
       kickoff,
+      completed: status === "final",
+      status,
+      period: live ? quarterNumber(g.Quarter) : null,
+      clock: live ? g.TimeRemaining || (/^half$/i.test(String(g.Quarter || "")) ? "Half" : null) : null,
     };
   });
 }
 
-module.exports = { fetchWeekScores };
+module.exports = { name, isConfigured, fetchWeekScores };
@@ -0,0 +1,125 @@
+// backend/services/survivor.js
+// Survivor contest, played alongside the weekly pick'em with the same picks
+// table (picks.contest = 'survivor'):
+//  - one team per week, and a team can be used only once per season;
+//  - a loss eliminates the entrant; a tied game counts as a loss;
+//  - a pick on a postponed / canceled game is void: the entrant survives the
+//    week and the team still counts as used;
+//  - anyone with a survivor pick is an entrant.
+// Results come straight from games, so nothing is stored or rescored.
+const pool = require("../db");
+const { winnerAndFavorite } = require("./scoring");
+
+const CONTESTS = ["pickem", "survivor"];
+
+/** "win" | "loss" | "void" | "pending" for a team in a game (ties are losses) */
+function survivorResult(game, team) {
+  if (!game) return "pending";
+  const { winner, tie, voided } = winnerAndFavorite(game);
+  if (voided) return "void";
+  if (tie) return "loss";
+  if (!winner) return "pending";
+  return winner === team ? "win" : "loss";
+}
+
+/** All survivor picks of a league-season with their game, oldest week first */
+async function loadSurvivorPicks(leagueId, season) {
+  const { rows } = await pool.query(
+    `SELECT p.user_id, p.week, p.team, p.created_at,
+            u.first_name, u.name,
+            g.home_team, g.away_team, g.home_score, g.away_score, g.status, g.kickoff
+       FROM picks p
+       JOIN users u ON u.id = p.user_id
+       LEFT JOIN games g
+              ON g.week = p.week AND g.season = p.season
+             AND (g.home_team = p.team OR g.away_team = p.team)
+      WHERE p.league_id = $1 AND p.season = $2 AND p.contest = 'survivor'
+      ORDER BY p.user_id, p.week`,
+    [leagueId, season]
+  );
+  return rows;
+}
+
+/** Fold one user's picks (week order) into { used_teams, status, eliminated_week } */
+function summarize(picks, now = new Date()) {
+  const used = [];
+  let eliminatedWeek = null;
+  for (const p of picks) {
+    const game = p.home_team ? p : null;
+    const result = survivorResult(game, p.team);
+    // Teams stay hidden until their game kicks off so the list can be public
+    const hidden = !p.kickoff || new Date(p.kickoff) > now;
+    used.push({ week: p.week, team: hidden ? null : p.team, hidden, result });
+    if (result === "loss" && eliminatedWeek === null) eliminatedWeek = p.week;
+  }
+  return {
+    status: eliminatedWeek === null ? "alive" : "eliminated",
+    eliminated_week: eliminatedWeek,
+    used_teams: used,
+  };
+}
+
+/**
+ * Survivor standings for a league-season:
+ * { alive: [...], eliminated: [...] } with per-user used_teams and eliminated_week.
+ */
+async function getSurvivorStandings(leagueId, season) {
+  const rows = await loadSurvivorPicks(leagueId, season);
+  const byUser = new Map();
+  for (const r of rows) {
+    if (!byUser.has(r.user_id)) byUser.set(r.user_id, []);
+    byUser.get(r.user_id).push(r);
+  }
+
+  const entrants = [...byUser.entries()].map(([userId, picks]) => ({
+    user_id: userId,
+    name: picks[0].first_name || picks[0].name || `User ${userId}`,
+    ...summarize(picks),
+  }));
+
+  const alive = entrants
+    .filter((e) => e.status === "alive")
+    .sort((a, b) => a.name.localeCompare(b.name));
+  // Longest survivors first
+  const eliminated = entrants
+    .filter((e) => e.status === "eliminated")
+    .sort((a, b) => b.eliminated_week - a.eliminated_week || a.name.localeCompare(b.name));
+
+  return { alive, eliminated };
+}
+
+/**
+ * Why a survivor pick can't be made, or null if it can:
+ * { status, error } with 409 for elimination / a reused team.
+ */
+async function checkSurvivorPick({ leagueId, season, userId, week, team }) {
+  const { rows } = await pool.query(
+    `SELECT p.week, p.team, g.home_team, g.away_team, g.home_score, g.away_score, g.status
+       FROM picks p
+       LEFT JOIN games g
+              ON g.week = p.week AND g.season = p.season
+             AND (g.home_team = p.team OR g.away_team = p.team)
+      WHERE p.league_id = $1 AND p.season = $2 AND p.user_id = $3
+        AND p.contest = 'survivor' AND p.week <> $4
+      ORDER BY p.week`,
+    [leagueId, season, userId, week]
+  );
+
+  const lost = rows.find((p) => p.week < week && survivorResult(p.home_team ? p : null, p.team) === "loss");
+  if (lost) {
+    return { status: 409, error: `Eliminated in week ${lost.week}`, code: "SURVIVOR_ELIMINATED" };
+  }
+  const reused = rows.find((p) => p.team === team);
+  if (reused) {
+    return { status: 409, error: `${team} was already used in week ${reused.week}`, code: "SURVIVOR_TEAM_USED" };
+  }
+  return null;
+}
+
+module.exports = {
+  CONTESTS,
+  survivorResult,
+  summarize,
+  getSurvivorStandings,
+  checkSurvivorPick,
+};
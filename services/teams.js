@@ -0,0 +1,179 @@
+// backend/services/teams.js
+// Canonical NFL teams registry: abbreviation, full name, conference, division,
+// colors and aliases. games.home_team / away_team hold full names ("Kansas City
+// Chiefs"); providers, scripts and users send abbreviations, nicknames or other
+// spellings ("KC", "chiefs", "Kansas City"). Everything is compared through
+// teamKey(), which maps all of those to one slug.
+//
+// TEAMS below seeds the `teams` table (db/schema.js). loadTeams() reads the
+// table back so aliases/colors edited in the DB apply everywhere; until it has
+// run (or if the table is missing) the seed is used.
+
+/* -----------------------------------------------------------------------------
+ * Seed data
+ * --------------------------------------------------------------------------- */
+const TEAMS = [
+  { abbr: "ARI", name: "Arizona Cardinals",     conference: "NFC", division: "West",  primary_color: "#97233F", secondary_color: "#000000", aliases: ["Cards"] },
+  { abbr: "ATL", name: "Atlanta Falcons",       conference: "NFC", division: "South", primary_color: "#A71930", secondary_color: "#000000", aliases: [] },
+  { abbr: "BAL", name: "Baltimore Ravens",      conference: "AFC", division: "North", primary_color: "#241773", secondary_color: "#9E7C0C", aliases: [] },
+  { abbr: "BUF", name: "Buffalo Bills",         conference: "AFC", division: "East",  primary_color: "#00338D", secondary_color: "#C60C30", aliases: [] },
+  { abbr: "CAR", name: "Carolina Panthers",     conference: "NFC", division: "South", primary_color: "#0085CA", secondary_color: "#101820", aliases: [] },
+  { abbr: "CHI", name: "Chicago Bears",         conference: "NFC", division: "North", primary_color: "#0B162A", secondary_color: "#C83803", aliases: [] },
+  { abbr: "CIN", name: "Cincinnati Bengals",    conference: "AFC", division: "North", primary_color: "#FB4F14", secondary_color: "#000000", aliases: [] },
+  { abbr: "CLE", name: "Cleveland Browns",      conference: "AFC", division: "North", primary_color: "#311D00", secondary_color: "#FF3C00", aliases: [] },
+  { abbr: "DAL", name: "Dallas Cowboys",        conference: "NFC", division: "East",  primary_color: "#003594", secondary_color: "#869397", aliases: [] },
+  { abbr: "DEN", name: "Denver Broncos",        conference: "AFC", division: "West",  primary_color: "#FB4F14", secondary_color: "#002244", aliases: [] },
+  { abbr: "DET", name: "Detroit Lions",         conference: "NFC", division: "North", primary_color: "#0076B6", secondary_color: "#B0B7BC", aliases: [] },
+  { abbr: "GB",  name: "Green Bay Packers",     conference: "NFC", division: "North", primary_color: "#203731", secondary_color: "#FFB612", aliases: ["GNB"] },
+  { abbr: "HOU", name: "Houston Texans",        conference: "AFC", division: "South", primary_color: "#03202F", secondary_color: "#A71930", aliases: [] },
+  { abbr: "IND", name: "Indianapolis Colts",    conference: "AFC", division: "South", primary_color: "#002C5F", secondary_color: "#A2AAAD", aliases: [] },
+  { abbr: "JAX", name: "Jacksonville Jaguars",  conference: "AFC", division: "South", primary_color: "#006778", secondary_color: "#D7A22A", aliases: ["JAC", "Jags"] },
+  { abbr: "KC",  name: "Kansas City Chiefs",    conference: "AFC", division: "West",  primary_color: "#E31837", secondary_color: "#FFB81C", aliases: ["KAN"] },
+  { abbr: "LAC", name: "Los Angeles Chargers",  conference: "AFC", division: "West",  primary_color: "#0080C6", secondary_color: "#FFC20E", aliases: ["SD", "San Diego Chargers"] },
+  { abbr: "LAR", name: "Los Angeles Rams",      conference: "NFC", division: "West",  primary_color: "#003594", secondary_color: "#FFA300", aliases: ["STL", "St. Louis Rams"] },
+  { abbr: "LV",  name: "Las Vegas Raiders",     conference: "AFC", division: "West",  primary_color: "#000000", secondary_color: "#A5ACAF", aliases: ["LVR", "OAK", "Oakland Raiders"] },
+  { abbr: "MIA", name: "Miami Dolphins",        conference: "AFC", division: "East",  primary_color: "#008E97", secondary_color: "#FC4C02", aliases: ["Fins"] },
+  { abbr: "MIN", name: "Minnesota Vikings",     conference: "NFC", division: "North", primary_color: "#4F2683", secondary_color: "#FFC62F", aliases: [] },
+  { abbr: "NE",  name: "New England Patriots",  conference: "AFC", division: "East",  primary_color: "#002244", secondary_color: "#C60C30", aliases: ["NWE", "Pats"] },
+  { abbr: "NO",  name: "New Orleans Saints",    conference: "NFC", division: "South", primary_color: "#D3BC8D", secondary_color: "#101820", aliases: ["NOR"] },
+  { abbr: "NYG", name: "New York Giants",       conference: "NFC", division: "East",  primary_color: "#0B2265", secondary_color: "#A71930", aliases: [] },
+  { abbr: "NYJ", name: "New York Jets",         conference: "AFC", division: "East",  primary_color: "#125740", secondary_color: "#FFFFFF", aliases: [] },
+  { abbr: "PHI", name: "Philadelphia Eagles",   conference: "NFC", division: "East",  primary_color: "#004C54", secondary_color: "#A5ACAF", aliases: [] },
+  { abbr: "PIT", name: "Pittsburgh Steelers",   conference: "AFC", division: "North", primary_color: "#FFB612", secondary_color: "#101820", aliases: [] },
+  { abbr: "SEA", name: "Seattle Seahawks",      conference: "NFC", division: "West",  primary_color: "#002244", secondary_color: "#69BE28", aliases: [] },
+  { abbr: "SF",  name: "San Francisco 49ers",   conference: "NFC", division: "West",  primary_color: "#AA0000", secondary_color: "#B3995D", aliases: ["SFO", "Niners"] },
+  { abbr: "TB",  name: "Tampa Bay Buccaneers",  conference: "NFC", division: "South", primary_color: "#D50A0A", secondary_color: "#34302B", aliases: ["TAM", "Bucs"] },
+  { abbr: "TEN", name: "Tennessee Titans",      conference: "AFC", division: "South", primary_color: "#0C2340", secondary_color: "#4B92DB", aliases: [] },
+  { abbr: "WAS", name: "Washington Commanders", conference: "NFC", division: "East",  primary_color: "#5A1414", secondary_color: "#FFB612", aliases: ["WSH", "Washington Football Team", "Football Team", "Washington Redskins"] },
+];
+
+/* -----------------------------------------------------------------------------
+ * Lookup index
+ * --------------------------------------------------------------------------- */
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const nicknameOf = (name) => String(name).split(" ").pop();
+
+let teams = TEAMS;
+let byKey = new Map();     // any spelling slug -> team
+let byNickname = new Map(); // nickname slug -> team
+
+/** Aliases as a list; rows read without pg's array parser come back as "{a,b}" */
+function aliasList(aliases) {
+  if (Array.isArray(aliases)) return aliases;
+  const raw = String(aliases || "").replace(/^\{|\}$/g, "");
+  return raw ? raw.split(",").map((a) => a.replace(/^"|"$/g, "").trim()).filter(Boolean) : [];
+}
+
+function buildIndex(list) {
+  const keys = new Map();
+  const nicknames = new Map();
+  for (const t of list) {
+    nicknames.set(slug(nicknameOf(t.name)), t);
+  }
+  for (const t of list) {
+    for (const k of [t.abbr, t.name, nicknameOf(t.name), ...aliasList(t.aliases)]) {
+      // First team wins so an alias can't shadow another team's abbreviation
+      if (!keys.has(slug(k))) keys.set(slug(k), t);
+    }
+  }
+  // Abbreviations and names always point at their own team
+  for (const t of list) {
+    keys.set(slug(t.abbr), t);
+    keys.set(slug(t.name), t);
+  }
+  teams = list;
+  byKey = keys;
+  byNickname = nicknames;
+}
+buildIndex(TEAMS);
+
+/** Registry entry for any spelling of a team, or null */
+function findTeam(raw) {
+  const trimmed = String(raw || "").trim();
+  if (!trimmed) return null;
+  const hit = byKey.get(slug(trimmed));
+  if (hit) return hit;
+  // "KC Chiefs", "NY Jets", "LA Rams": short prefix + nickname
+  const m = trimmed.match(/^([A-Za-z.]{2,4})\s+(\S+)$/);
+  if (m) return byNickname.get(slug(m[2])) || null;
+  return null;
+}
+
+/** Full name ("Kansas City Chiefs") for any spelling, or null if unknown */
+function teamName(raw) {
+  return findTeam(raw)?.name ?? null;
+}
+
+/** Canonical slug for any spelling of a team (unknown names come back slugged) */
+function teamKey(raw) {
+  const t = findTeam(raw);
+  return t ? slug(t.name) : slug(raw);
+}
+
+/**
+ * Match user input against a list of team names (e.g. one week's games).
+ * Exact key match first, then a unique prefix of 4+ characters ("Kansas City", "Green Bay").
+ * Returns the name as stored, or null.
+ */
+function matchTeam(raw, candidates) {
+  const key = teamKey(raw);
+  if (!key) return null;
+  const exact = candidates.find((t) => teamKey(t) === key);
+  if (exact) return exact;
+  if (key.length < 4) return null;
+  const prefixed = candidates.filter((t) => teamKey(t).startsWith(key));
+  return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+/** All team names playing in a set of games, sorted */
+function teamsInGames(games) {
+  return [...new Set(games.flatMap((g) => [g.home_team, g.away_team]).filter(Boolean))].sort();
+}
+
+/* -----------------------------------------------------------------------------
+ * DB
+ * --------------------------------------------------------------------------- */
+const CACHE_MS = 60 * 1000;
+let loadedAt = 0;
+
+/**
+ * Refresh the registry from the `teams` table and return it.
+ * `db` is anything with .query (the app pool by default; scripts pass their
+ * own client). Falls back to the seed if the table can't be read.
+ */
+async function loadTeams(db = null, { force = false } = {}) {
+  if (!force && loadedAt && Date.now() - loadedAt < CACHE_MS) return teams;
+  const conn = db || require("../db"); // lazy: scripts use their own client
+  try {
+    const r = await conn.query(
+      `SELECT abbr, name, conference, division, primary_color, secondary_color, aliases
+         FROM teams
+        ORDER BY name`
+    );
+    if (r.rows.length) buildIndex(r.rows);
+    loadedAt = Date.now();
+  } catch (e) {
+    console.warn("[teams] using built-in team list:", e.message);
+  }
+  return teams;
+}
+
+/** SQL VALUES list for seeding (static data, quoted for SQL) */
+function seedValuesSql() {
+  const q = (s) => `'${String(s).replace(/'/g, "''")}'`;
+  return TEAMS.map((t) =>
+    `(${[t.abbr, t.name, t.conference, t.division, t.primary_color, t.secondary_color].map(q).join(", ")}, ` +
+    `ARRAY[${t.aliases.map(q).join(", ")}]::text[])`
+  ).join(",\n     ");
+}
+
+module.exports = {
+  TEAMS,
+  findTeam,
+  teamName,
+  teamKey,
+  matchTeam,
+  teamsInGames,
+  loadTeams,
+  seedValuesSql,
+};
@@ -0,0 +1,81 @@
+// backend/services/theOddsApiProvider.js
+// The Odds API (https://the-odds-api.com), needs ODDS_API_KEY.
+const fetchFn = global.fetch || require("node-fetch");
+const { teamName } = require("./teams");
+
+const name = "theoddsapi";
+
+function isConfigured() {
+  return !!process.env.ODDS_API_KEY;
+}
+
+// API requires YYYY-MM-DDTHH:MM:SSZ (no milliseconds)
+function isoNoMs(d) {
+  return new Date(d).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/** One bookmaker's spread/total, favorite as the team name it quotes */
+function bookLine(book) {
+  const spreads = (book.markets || []).find((m) => m.key === "spreads");
+  const totals = (book.markets || []).find((m) => m.key === "totals");
+  let favorite = null;
+  let spread = null;
+  let overUnder = null;
+  if (spreads?.outcomes?.length >= 2) {
+    const [o1, o2] = spreads.outcomes;
+    const fav = [o1, o2].find((o) => typeof o.point === "number" && Number(o.point) < 0) || null;
+    if (fav) {
+      favorite = fav.name || null;
+      spread = Math.abs(Number(fav.point));
+    } else if ([o1, o2].every((o) => typeof o.point === "number" && Number(o.point) === 0)) {
+      spread = 0;
+    }
+  }
+  if (totals?.outcomes?.length) {
+    const over = totals.outcomes.find((o) => /^over$/i.test(o.name || ""));
+    const under = totals.outcomes.find((o) => /^under$/i.test(o.name || ""));
+    const pick = over || under || totals.outcomes[0];
+    if (pick && typeof pick.point === "number") overUnder = Number(pick.point);
+  }
+  return {
+    bookmaker: book.key || book.title || "Unknown",
+    title: book.title || book.name || null,
+    favorite: favorite ? teamName(favorite) || favorite : null,
+    spread,
+    over_under: overUnder,
+  };
+}
+
+/**
+ * Odds for games kicking off between `from` and `to`, normalized to:
+ * {
+ *   home_team, away_team, kickoff,
+ *   books: [{ bookmaker (API key, e.g. "draftkings"), title, favorite, spread, over_under }]
+ * }
+ * spread is the favorite's handicap as a positive number (0 = pick'em).
+ */
+async function fetchWeekOdds({ from, to }) {
+  const base = "https://api.the-odds-api.com/v4/sports/americanfootball_nfl/odds";
+  const url =
+    `${base}?regions=us,us2&markets=spreads,totals&oddsFormat=american&dateFormat=iso` +
+    `&commenceTimeFrom=${encodeURIComponent(isoNoMs(from))}` +
+    `&commenceTimeTo=${encodeURIComponent(isoNoMs(to))}` +
+    `&apiKey=${encodeURIComponent(process.env.ODDS_API_KEY)}`;
+  const r = await fetchFn(url);
+  if (!r.ok) {
+    const txt = await r.text().catch(() => "");
+    throw new Error(`The Odds API ${r.status} ${txt}`);
+  }
+  const events = await r.json();
+
+  return (events || [])
+    .filter((ev) => ev.home_team && ev.away_team)
+    .map((ev) => ({
+      home_team: teamName(ev.home_team) || ev.home_team,
+      away_team: teamName(ev.away_team) || ev.away_team,
+      kickoff: ev.commence_time ? new Date(ev.commence_time).toISOString() : null,
+      books: (ev.bookmakers || []).map(bookLine),
+    }));
+}
+
+module.exports = { name, isConfigured, fetchWeekOdds };
@@ -0,0 +1,347 @@
+// backend/services/weekFinalization.js
+// Finalizing a league-week freezes its stored results (weekly_results):
+// later score corrections or GOTW/POTW edits still mark the week dirty, but
+// services/weeklyResults.js doesn't rescore it until an admin reopens it.
+// Reopening rescores right away and logs how the standings moved.
+// Every finalize / reopen is a row in week_finalizations.
+const db = require("../db");
+const emailSvc = require("./email");
+const { recomputeWeek, getWeekTable } = require("./weeklyResults");
+
+/* -----------------------------------------------------------------------------
+ * Readiness
+ * --------------------------------------------------------------------------- */
+/**
+ * What stands between a week and finalizing it:
+ * { ready, checks: [{ key, ok, detail }] } with keys games_final, gotw_entered,
+ * potw_entered. Postponed / canceled games count as done (their picks are void).
+ */
+async function finalizeChecks(leagueId, season, week) {
+  const [games, gotw, potw] = await Promise.all([
+    db.query(
+      `SELECT id, home_team, away_team, status
+         FROM games
+        WHERE season = $1 AND week = $2
+          AND status NOT IN ('final', 'postponed', 'canceled')
+        ORDER BY kickoff, id`,
+      [season, week]
+    ),
+    db.query(
+      `SELECT home_team, away_team, game_total_points
+         FROM game_of_the_week
+        WHERE league_id = $1 AND season = $2 AND week = $3`,
+      [leagueId, season, week]
+    ),
+    db.query(
+      `SELECT player_total_yards
+         FROM player_of_the_week
+        WHERE league_id = $1 AND season = $2 AND week = $3`,
+      [leagueId, season, week]
+    ),
+  ]);
+  // The GOTW total may come from the game's final score (scoring.gotwActualTotal)
+  const table = await getWeekTable(week, leagueId, season);
+
+  const pending = games.rows.map((g) => `${g.away_team} @ ${g.home_team} (${g.status})`);
+  const checks = [
+    {
+      key: "games_final",
+      ok: pending.length === 0,
+      detail: pending.length ? `Not final: ${pending.join(", ")}` : null,
+    },
+    {
+      key: "gotw_entered",
+      ok: !!gotw.rows[0] && table.gotw_actual !== null,
+      detail: !gotw.rows[0] ? "No game of the week set" : table.gotw_actual === null ? "GOTW total not known yet" : null,
+    },
+    {
+      key: "potw_entered",
+      ok: potw.rows[0]?.player_total_yards != null,
+      detail: potw.rows[0]?.player_total_yards != null ? null : "POTW yards not entered",
+    },
+  ];
+  return { ready: checks.every((c) => c.ok), checks };
+}
+
+/* -----------------------------------------------------------------------------
+ * Helpers
+ * --------------------------------------------------------------------------- */
+/** Standings as stored in the log: [{ user_id, name, total_points, rank }] (ties share a rank) */
+function standingsSnapshot(rows) {
+  let rank = 0;
+  let last = null;
+  return rows.map((r, i) => {
+    if (r.total_points !== last) {
+      rank = i + 1;
+      last = r.total_points;
+    }
+    return { user_id: r.user_id, name: r.name, total_points: r.total_points, rank };
+  });
+}
+
+/** Per-user movement between two snapshots (only users whose points or rank changed) */
+function standingsChanges(before, after) {
+  const prev = new Map(before.map((r) => [r.user_id, r]));
+  const next = new Map(after.map((r) => [r.user_id, r]));
+  const ids = new Set([...prev.keys(), ...next.keys()]);
+  const out = [];
+  for (const id of ids) {
+    const b = prev.get(id) || null;
+    const a = next.get(id) || null;
+    if (b && a && b.total_points === a.total_points && b.rank === a.rank) continue;
+    out.push({
+      user_id: id,
+      name: (a || b).name,
+      before: b ? { total_points: b.total_points, rank: b.rank } : null,
+      after: a ? { total_points: a.total_points, rank: a.rank } : null,
+    });
+  }
+  return out.sort((x, y) => (x.after?.rank ?? Infinity) - (y.after?.rank ?? Infinity));
+}
+
+async function stateRow(conn, leagueId, season, week) {
+  const { rows } = await conn.query(
+    `SELECT version, computed_version, finalized_at, finalized_by, recap_sent_at, weekly_winner_user_id
+       FROM weekly_results_state
+      WHERE league_id = $1 AND season = $2 AND week = $3`,
+    [leagueId, season, week]
+  );
+  return rows[0] || null;
+}
+
+async function logAction(entry) {
+  const { rows } = await db.query(
+    `INSERT INTO week_finalizations
+       (league_id, season, week, action, user_id, reason, weekly_winner_user_id, checks, standings, changes, notified)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9::jsonb, $10::jsonb, $11)
+     RETURNING id, created_at`,
+    [
+      entry.leagueId, entry.season, entry.week, entry.action, entry.userId ?? null, entry.reason ?? null,
+      entry.weeklyWinnerUserId ?? null, JSON.stringify(entry.checks || []), JSON.stringify(entry.standings || []),
+      entry.changes ? JSON.stringify(entry.changes) : null, entry.notified ?? null,
+    ]
+  );
+  return rows[0];
+}
+
+/* -----------------------------------------------------------------------------
+ * Finalize / reopen
+ * --------------------------------------------------------------------------- */
+/**
+ * Freeze a league-week. Rescores first so the frozen rows reflect every input.
+ * Fails with { status, error } when already finalized, when checks fail
+ * (unless `force`), or when an input changed while it was being rescored.
+ * With `notify` the recap email goes out too.
+ */
+async function finalizeWeek({ leagueId, season, week, userId = null, force = false, notify = false, reason = null }) {
+  const current = await stateRow(db, leagueId, season, week);
+  if (current?.finalized_at) {
+    return { status: 409, error: `Week ${week} was already finalized at ${current.finalized_at.toISOString()}` };
+  }
+
+  await recomputeWeek(week, leagueId, season);
+  const { ready, checks } = await finalizeChecks(leagueId, season, week);
+  if (!ready && !force) {
+    return { status: 409, error: "Week is not ready to finalize", checks };
+  }
+
+  // Only freeze rows built from the latest inputs
+  const upd = await db.query(
+    `UPDATE weekly_results_state
+        SET finalized_at = now(), finalized_by = $4
+      WHERE league_id = $1 AND season = $2 AND week = $3
+        AND finalized_at IS NULL AND version = computed_version
+      RETURNING finalized_at, weekly_winner_user_id`,
+    [leagueId, season, week, userId]
+  );
+  if (!upd.rows[0]) {
+    return { status: 409, error: "Week inputs changed while finalizing, try again", checks };
+  }
+
+  const table = await getWeekTable(week, leagueId, season);
+  const standings = standingsSnapshot(table.rows);
+  const recap = notify ? await sendWeekRecap({ leagueId, season, week }) : null;
+  const log = await logAction({
+    leagueId, season, week, action: "finalize", userId, reason,
+    weeklyWinnerUserId: upd.rows[0].weekly_winner_user_id, checks, standings,
+    notified: recap ? recap.sent : null,
+  });
+
+  return {
+    week,
+    season,
+    league_id: leagueId,
+    finalized_at: upd.rows[0].finalized_at,
+    weekly_winner_user_id: upd.rows[0].weekly_winner_user_id,
+    forced: !ready,
+    checks,
+    standings,
+    recap,
+    log_id: Number(log.id),
+  };
+}
+
+/**
+ * Unfreeze a league-week and rescore it. `reason` is required; the log entry
+ * records the before/after standings and the weekly winner change.
+ */
+async function reopenWeek({ leagueId, season, week, userId = null, reason }) {
+  const current = await stateRow(db, leagueId, season, week);
+  if (!current?.finalized_at) return { status: 409, error: `Week ${week} is not finalized` };
+
+  const before = standingsSnapshot((await getWeekTable(week, leagueId, season)).rows);
+  const upd = await db.query(
+    `UPDATE weekly_results_state
+        SET finalized_at = NULL, finalized_by = NULL
+      WHERE league_id = $1 AND season = $2 AND week = $3 AND finalized_at IS NOT NULL
+      RETURNING weekly_winner_user_id`,
+    [leagueId, season, week]
+  );
+  if (!upd.rows[0]) return { status: 409, error: `Week ${week} is not finalized` };
+
+  await recomputeWeek(week, leagueId, season);
+  const table = await getWeekTable(week, leagueId, season);
+  const after = standingsSnapshot(table.rows);
+  const changes = standingsChanges(before, after);
+  const winnerBefore = upd.rows[0].weekly_winner_user_id;
+  const winnerAfter = table.weekly_winner_user_id;
+
+  const log = await logAction({
+    leagueId, season, week, action: "reopen", userId, reason,
+    weeklyWinnerUserId: winnerAfter, standings: after,
+    changes: { weekly_winner: { before: winnerBefore, after: winnerAfter }, standings: changes },
+  });
+
+  return {
+    week,
+    season,
+    league_id: leagueId,
+    reopened: true,
+    weekly_winner: { before: winnerBefore, after: winnerAfter },
+    changes,
+    standings: after,
+    log_id: Number(log.id),
+  };
+}
+
+/**
+ * 409 failure { status, error } when the league-week is finalized (picks can't
+ * change until it's reopened), else null. Used by every pick write path.
+ */
+async function finalizedWeekError(leagueId, season, week) {
+  const state = await stateRow(db, leagueId, season, week);
+  if (!state?.finalized_at) return null;
+  return { status: 409, error: `Week ${week} is finalized; reopen it before changing picks` };
+}
+
+/** Finalization state, readiness and the log (newest first) of a league-week */
+async function getFinalization({ leagueId, season, week }) {
+  const state = await stateRow(db, leagueId, season, week);
+  const [{ ready, checks }, history] = await Promise.all([
+    state?.finalized_at ? { ready: null, checks: [] } : finalizeChecks(leagueId, season, week),
+    db.query(
+      `SELECT f.id, f.action, f.user_id, COALESCE(u.first_name, u.name) AS user_name, f.reason,
+              f.weekly_winner_user_id, f.checks, f.changes, f.notified, f.created_at
+         FROM week_finalizations f
+         LEFT JOIN users u ON u.id = f.user_id
+        WHERE f.league_id = $1 AND f.season = $2 AND f.week = $3
+        ORDER BY f.id DESC`,
+      [leagueId, season, week]
+    ),
+  ]);
+  return {
+    week,
+    season,
+    league_id: leagueId,
+    finalized_at: state?.finalized_at ?? null,
+    finalized_by: state?.finalized_by ?? null,
+    // Inputs that changed after finalizing; they apply only after a reopen
+    changed_since_final: !!state?.finalized_at && Number(state.version) > Number(state.computed_version),
+    recap_sent_at: state?.recap_sent_at ?? null,
+    ready,
+    checks,
+    history: history.rows,
+  };
+}
+
+/* -----------------------------------------------------------------------------
+ * Recap email
+ * --------------------------------------------------------------------------- */
+/**
+ * Email every active league member the week's result: winner, top 5 and
+ * their own points/rank. Resolves to { sent, recipients }.
+ */
+async function sendWeekRecap({ leagueId, season, week }) {
+  const [table, members, league] = await Promise.all([
+    getWeekTable(week, leagueId, season),
+    db.query(
+      `SELECT u.id, u.email, COALESCE(u.first_name, u.name) AS name
+         FROM league_members m
+         JOIN users u ON u.id = m.user_id
+        WHERE m.league_id = $1
+          AND u.email IS NOT NULL
+          AND COALESCE(u.approved, TRUE) = TRUE
+          AND COALESCE(u.deactivated, FALSE) = FALSE`,
+      [leagueId]
+    ),
+    db.query(`SELECT name FROM leagues WHERE id = $1`, [leagueId]),
+  ]);
+  const standings = standingsSnapshot(table.rows);
+  const byUser = new Map(standings.map((s) => [s.user_id, s]));
+  const winner = standings.find((s) => s.user_id === table.weekly_winner_user_id) || null;
+  const top = standings.slice(0, 5);
+  const leagueName = league.rows[0]?.name || "NFL Frenzy";
+  const subject = `${leagueName}: Week ${week} results`;
+
+  const topText = top.map((s) => `${s.rank}. ${s.name} — ${s.total_points} pts`);
+  const topHtml = top
+    .map((s) => `<li>${emailSvc.escapeHtml(s.name)} — <strong>${emailSvc.escapeHtml(s.total_points)}</strong> pts</li>`)
+    .join("");
+
+  let sent = 0;
+  for (const m of members.rows) {
+    const mine = byUser.get(m.id);
+    const own = mine
+      ? `You scored ${mine.total_points} points and finished #${mine.rank} of ${standings.length}.`
+      : "You didn't have a pick in this week.";
+    const text = [
+      `Week ${week} is final.`,
+      winner ? `Weekly winner: ${winner.name} (${winner.total_points} pts)` : "No weekly winner this week.",
+      own,
+      "",
+      "Top of the week:",
+      ...topText,
+    ].join("\n");
+    const bodyHtml = `
+      <p>Week ${emailSvc.escapeHtml(week)} is final.</p>
+      <p>${winner ? `Weekly winner: <strong>${emailSvc.escapeHtml(winner.name)}</strong> (${emailSvc.escapeHtml(winner.total_points)} pts)` : "No weekly winner this week."}</p>
+      <p>${emailSvc.escapeHtml(own)}</p>
+      <p>Top of the week:</p>
+      <ol>${topHtml}</ol>
+    `;
+    try {
+      await emailSvc.send({ to: m.email, subject, text, html: emailSvc.renderBase({ title: subject, bodyHtml }) });
+      sent += 1;
+    } catch (e) {
+      console.error(`[recap] failed to ${m.email}:`, e?.message || e);
+    }
+  }
+
+  await db.query(
+    `UPDATE weekly_results_state SET recap_sent_at = now()
+      WHERE league_id = $1 AND season = $2 AND week = $3`,
+    [leagueId, season, week]
+  );
+  return { sent, recipients: members.rows.length };
+}
+
+module.exports = {
+  finalizeChecks,
+  finalizeWeek,
+  reopenWeek,
+  getFinalization,
+  finalizedWeekError,
+  sendWeekRecap,
+  standingsSnapshot,
+  standingsChanges,
+};
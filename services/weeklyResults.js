@@ -0,0 +1,282 @@
+// backend/services/weeklyResults.js
+// Stored per-user weekly results so leaderboards don't rescore the season on
+// every page load. Writers call markWeekDirty(week) whenever an input changes
+// (scores, GOTW/POTW answers, picks, lines); readers call getWeekTable /
+// getOverallStandings which rescore only the stale weeks.
+// Everything is per league and season; shared inputs (games) dirty the week in
+// every league. Season defaults to the live one (services/seasons.js).
+// Finalized weeks (services/weekFinalization.js) are never rescored here; they
+// still collect dirty flags, which apply once the week is reopened.
+
+// Lazy: scripts call markWeekDirty with their own client and never load the pool
+function defaultDb() {
+  return require("../db");
+}
+function computeWeekTable(...args) {
+  return require("./scoring").computeWeekTable(...args);
+}
+function getCurrentSeason() {
+  return require("./seasons").getCurrentSeason();
+}
+
+/**
+ * Flag a week's stored results as stale. Cheap; safe to call from any writer.
+ * leagueId = null flags the week in every league (e.g. score/line changes);
+ * season = null means the live season. `db` is the caller's pool or client.
+ */
+async function markWeekDirty(week, reason = null, leagueId = null, season = null, db = null) {
+  const w = Number(week);
+  if (!Number.isFinite(w)) return;
+  await (db || defaultDb()).query(
+    `INSERT INTO weekly_results_state (league_id, season, week, version, dirty_reason, dirtied_at)
+     SELECT l.id, COALESCE($4::int, current_season()), $1, 1, $2, now()
+       FROM leagues l
+      WHERE $3::int IS NULL OR l.id = $3::int
+     ON CONFLICT (league_id, season, week) DO UPDATE
+       SET version = weekly_results_state.version + 1,
+           dirty_reason = EXCLUDED.dirty_reason,
+           dirtied_at = now()`,
+    [w, reason, leagueId, season]
+  );
+}
+
+/**
+ * Flag every stored week of a season as stale (e.g. after a scoring rules
+ * change). leagueId = null covers every league.
+ */
+async function markSeasonDirty(season, reason = null, leagueId = null) {
+  await defaultDb().query(
+    `UPDATE weekly_results_state
+        SET version = version + 1,
+            dirty_reason = $2,
+            dirtied_at = now()
+      WHERE season = $1
+        AND ($3::int IS NULL OR league_id = $3::int)`,
+    [season, reason, leagueId]
+  );
+}
+
+/** Same as markWeekDirty but never throws (for best-effort hooks after a write) */
+async function markWeekDirtySafe(week, reason, leagueId = null, season = null, db = null) {
+  try {
+    await markWeekDirty(week, reason, leagueId, season, db);
+  } catch (e) {
+    console.warn(`[weeklyResults] could not mark week ${week} dirty:`, e.message);
+  }
+}
+
+/**
+ * Rescore one league-season-week and replace its stored rows. The table is
+ * computed before a client is checked out (computeWeekTable uses the shared
+ * pool), so waiting on the lock never starves the pool.
+ */
+async function recomputeWeek(week, leagueId, season) {
+  const w = Number(week);
+  const st = await defaultDb().query(
+    `INSERT INTO weekly_results_state (league_id, season, week) VALUES ($1, $3, $2)
+     ON CONFLICT (league_id, season, week) DO UPDATE SET week = EXCLUDED.week
+     RETURNING version`,
+    [leagueId, w, season]
+  );
+  const version = Number(st.rows[0].version);
+  const table = await computeWeekTable(w, leagueId, season);
+
+  const client = await defaultDb().pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Serialize recomputes of the same league-season-week across requests/instances
+    await client.query(
+      `SELECT pg_advisory_xact_lock(hashtext('weekly_results:' || $1::text || ':' || $3::text), $2)`,
+      [leagueId, w, season]
+    );
+    // A concurrent recompute may already have stored this version or a newer one
+    const cur = await client.query(
+      `SELECT computed_version FROM weekly_results_state WHERE league_id = $1 AND season = $3 AND week = $2`,
+      [leagueId, w, season]
+    );
+    if (cur.rows[0] && Number(cur.rows[0].computed_version) >= version) {
+      await client.query("ROLLBACK");
+      return;
+    }
+
+    const awards = new Map(table.podium.map((p) => [p.user_id, p.award]));
+    const exact = new Set(table.potw_exact.map((p) => p.user_id));
+
+    await client.query(
+      `DELETE FROM weekly_results WHERE league_id = $1 AND season = $3 AND week = $2`,
+      [leagueId, w, season]
+    );
+    for (const r of table.rows) {
+      await client.query(
+        `INSERT INTO weekly_results
+           (league_id, season, week, user_id, base_points, gotw_points, potw_points, total_points,
+            correct_favorites, correct_underdogs, factor, gotw_rank, gotw_award, potw_exact,
+            is_weekly_winner, ats_spread, ats_margin, ats_result, computed_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18, now())`,
+        [
+          leagueId, season, w, r.user_id, r.base_points, r.gotw_points, r.potw_points, r.total_points,
+          r.correct_favorites, r.correct_underdogs, r.factor, r.gotw_rank ?? null,
+          awards.has(r.user_id) ? awards.get(r.user_id) : null, exact.has(r.user_id), !!r.is_weekly_winner,
+          r.ats_spread ?? null, r.ats_margin ?? null, r.ats_result ?? null,
+        ]
+      );
+    }
+
+    await client.query(
+      `UPDATE weekly_results_state
+          SET computed_version = $2,
+              computed_at = now(),
+              gotw_actual = $3,
+              potw_actual = $4,
+              weekly_winner_user_id = $5
+        WHERE week = $1 AND league_id = $6 AND season = $7`,
+      [w, version, table.gotw_actual, table.potw_actual, table.weekly_winner_user_id, leagueId, season]
+    );
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Recompute every week of a league-season in `weeks` (default: all weeks with
+ * picks) that is stale or has never been computed, skipping finalized weeks.
+ * Returns the weeks recomputed.
+ */
+async function ensureFresh(leagueId, season, weeks = null) {
+  const params = [leagueId, season];
+  let filter = "";
+  if (Array.isArray(weeks)) {
+    params.push(weeks.map(Number));
+    filter = "AND w.week = ANY($3::int[])";
+  }
+  const { rows } = await defaultDb().query(
+    `SELECT w.week
+       FROM (SELECT DISTINCT week FROM picks
+               WHERE league_id = $1 AND season = $2 AND contest = 'pickem') w
+       LEFT JOIN weekly_results_state s ON s.league_id = $1 AND s.season = $2 AND s.week = w.week
+      WHERE (s.week IS NULL OR (s.version > s.computed_version AND s.finalized_at IS NULL))
+        ${filter}
+      ORDER BY w.week`,
+    params
+  );
+  const stale = rows.map((r) => Number(r.week));
+  for (const w of stale) {
+    await recomputeWeek(w, leagueId, season);
+  }
+  return stale;
+}
+
+/**
+ * Stored table for one league-week, same shape as scoring.computeWeekTable plus
+ * season and computed_at. season = null means the live season.
+ */
+async function getWeekTable(week, leagueId, season = null) {
+  const w = Number(week);
+  const s = season ?? (await getCurrentSeason());
+  await ensureFresh(leagueId, s, [w]);
+
+  const [stateQ, rowsQ] = await Promise.all([
+    defaultDb().query(
+      `SELECT * FROM weekly_results_state WHERE league_id = $1 AND season = $2 AND week = $3`,
+      [leagueId, s, w]
+    ),
+    defaultDb().query(
+      `SELECT r.*, u.first_name, u.name AS user_name
+         FROM weekly_results r
+         JOIN users u ON u.id = r.user_id
+        WHERE r.league_id = $1 AND r.season = $2 AND r.week = $3`,
+      [leagueId, s, w]
+    ),
+  ]);
+  const state = stateQ.rows[0] || null;
+
+  const rows = rowsQ.rows.map((r) => ({
+    user_id: r.user_id,
+    name: r.first_name || r.user_name || `User ${r.user_id}`,
+    base_points: r.base_points,
+    gotw_points: r.gotw_points,
+    potw_points: r.potw_points,
+    total_points: r.total_points,
+    correct_favorites: r.correct_favorites,
+    correct_underdogs: r.correct_underdogs,
+    factor: r.factor,
+    ats_spread: r.ats_spread,
+    ats_margin: r.ats_margin,
+    ats_result: r.ats_result,
+    is_weekly_winner: r.is_weekly_winner,
+  }));
+  rows.sort((a, b) => b.total_points - a.total_points || a.name.localeCompare(b.name));
+
+  const podium = rowsQ.rows
+    .filter((r) => r.gotw_award !== null)
+    .sort((a, b) => a.gotw_rank - b.gotw_rank)
+    .map((r) => ({ user_id: r.user_id, award: r.gotw_award }));
+  // Unmultiplied award, as scoring.computeWeekTable reports it
+  const potwExact = rowsQ.rows
+    .filter((r) => r.potw_exact)
+    .map((r) => ({ user_id: r.user_id, award: r.factor ? r.potw_points / r.factor : r.potw_points }));
+
+  return {
+    week: w,
+    league_id: leagueId,
+    season: s,
+    factor: rows[0]?.factor ?? null,
+    gotw_actual: state?.gotw_actual ?? null,
+    potw_actual: state?.potw_actual ?? null,
+    podium,
+    potw_exact: potwExact,
+    weekly_winner_user_id: state?.weekly_winner_user_id ?? null,
+    rows,
+    computed_at: state?.computed_at ?? null,
+    finalized_at: state?.finalized_at ?? null,
+  };
+}
+
+/** League standings for one season (default: live) aggregated from stored weekly rows */
+async function getOverallStandings(leagueId, season = null) {
+  const s = season ?? (await getCurrentSeason());
+  await ensureFresh(leagueId, s);
+
+  const { rows } = await defaultDb().query(
+    `SELECT r.user_id,
+            COALESCE(u.first_name, u.name, 'User ' || r.user_id) AS display_name,
+            SUM(r.total_points)::float8                          AS total_points,
+            SUM(r.correct_favorites)::int                        AS correct_favorites,
+            SUM(r.correct_underdogs)::int                        AS correct_underdogs,
+            COUNT(*) FILTER (WHERE r.total_points > 0)::int      AS weeks_scored,
+            COUNT(*) FILTER (WHERE r.gotw_rank = 1)::int         AS gotw_firsts,
+            COUNT(*) FILTER (WHERE r.potw_exact)::int            AS potw_exact
+       FROM weekly_results r
+       JOIN users u ON u.id = r.user_id
+      WHERE r.league_id = $1 AND r.season = $2
+      GROUP BY r.user_id, u.first_name, u.name`,
+    [leagueId, s]
+  );
+  const meta = await defaultDb().query(
+    `SELECT MAX(computed_at) AS computed_at FROM weekly_results_state WHERE league_id = $1 AND season = $2`,
+    [leagueId, s]
+  );
+
+  const standings = rows.sort((a, b) => {
+    if (b.total_points !== a.total_points) return b.total_points - a.total_points;
+    if (b.gotw_firsts !== a.gotw_firsts) return b.gotw_firsts - a.gotw_firsts;
+    if (b.potw_exact !== a.potw_exact) return b.potw_exact - a.potw_exact;
+    return (a.display_name || "").localeCompare(b.display_name || "");
+  });
+
+  return { season: s, standings, computed_at: meta.rows[0]?.computed_at ?? null };
+}
+
+module.exports = {
+  markWeekDirty,
+  markWeekDirtySafe,
+  markSeasonDirty,
+  recomputeWeek,
+  ensureFresh,
+  getWeekTable,
+  getOverallStandings,
+};
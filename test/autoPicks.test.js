@@ -0,0 +1,56 @@
+// backend/test/autoPicks.test.js
+// How auto-picks choose a team (services/autoPicks.js).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers").stubDb();
+
+const { eligibleGames, chooseTeam, strategyFor } = require("../services/autoPicks");
+
+const LOCK = new Date("2024-09-08T17:00:00Z");
+const game = (id, home_team, away_team, { favorite = null, spread = null, kickoff = "2024-09-08T17:00:00Z", status = "scheduled" } = {}) =>
+  ({ id, home_team, away_team, line_favorite: favorite, line_spread: spread, kickoff, status });
+
+const GAMES = [
+  game(1, "Bills", "Jets", { favorite: "Bills", spread: 3 }),
+  game(2, "Chiefs", "Broncos", { favorite: "Chiefs", spread: 9.5 }),
+  game(3, "Eagles", "Cowboys", { favorite: "Cowboys", spread: -1 }),
+];
+
+test("eligibleGames: games at or after the lock, not void, by kickoff", () => {
+  const list = eligibleGames([
+    game(4, "Lions", "Rams", { kickoff: "2024-09-08T20:25:00Z" }),
+    game(5, "Packers", "Bears", { kickoff: "2024-09-05T00:20:00Z" }), // Thursday
+    game(6, "Saints", "Falcons", { status: "postponed" }),
+    game(7, "Texans", "Colts"),
+    game(8, "Titans", "Jaguars", { kickoff: null }),
+  ], LOCK);
+  assert.deepEqual(list.map((g) => g.id), [7, 4]);
+});
+
+test("chooseTeam: favorite and underdog of the biggest spread", () => {
+  assert.deepEqual(chooseTeam(GAMES, "favorite"), { game: GAMES[1], team: "Chiefs" });
+  assert.deepEqual(chooseTeam(GAMES, "underdog"), { game: GAMES[1], team: "Broncos" });
+});
+
+test("chooseTeam: underdog of an away favorite is the home team", () => {
+  const games = [game(3, "Eagles", "Cowboys", { favorite: "Cowboys", spread: 4 })];
+  assert.equal(chooseTeam(games, "underdog").team, "Eagles");
+});
+
+test("chooseTeam: home, and no lines, take the first game's home team", () => {
+  assert.deepEqual(chooseTeam(GAMES, "home"), { game: GAMES[0], team: "Bills" });
+  const unlined = [game(1, "Bills", "Jets"), game(2, "Chiefs", "Broncos")];
+  assert.equal(chooseTeam(unlined, "favorite").team, "Bills");
+  assert.equal(chooseTeam(unlined, "underdog").team, "Bills");
+  assert.equal(chooseTeam([], "favorite"), null);
+});
+
+test("strategyFor: league policy, or the member's choice under user_choice", () => {
+  assert.equal(strategyFor("favorite", "underdog"), "favorite");
+  assert.equal(strategyFor("home", null), "home");
+  assert.equal(strategyFor("user_choice", "underdog"), "underdog");
+  assert.equal(strategyFor("user_choice", "home"), "home");
+  assert.equal(strategyFor("user_choice", null), "favorite");
+  assert.equal(strategyFor("user_choice", "bogus"), "favorite");
+  assert.equal(strategyFor("user_choice", "none"), null);
+});
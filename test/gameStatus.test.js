@@ -0,0 +1,58 @@
+// backend/test/gameStatus.test.js
+// Provider status normalization of services/gameStatus.js.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GAME_STATUSES, normalizeStatus, statusFor, isFinal, isVoid } = require("../services/gameStatus");
+
+test("normalizeStatus: ESPN and SportsDataIO wording", () => {
+  assert.equal(normalizeStatus("STATUS_SCHEDULED"), "scheduled");
+  assert.equal(normalizeStatus("STATUS_HALFTIME"), "in_progress");
+  assert.equal(normalizeStatus("InProgress"), "in_progress");
+  assert.equal(normalizeStatus("In Progress"), "in_progress");
+  assert.equal(normalizeStatus("F/OT"), "final");
+  assert.equal(normalizeStatus(" Final "), "final");
+  assert.equal(normalizeStatus("STATUS_FINAL_OT"), "final");
+  assert.equal(normalizeStatus("Postponed"), "postponed");
+  assert.equal(normalizeStatus("Cancelled"), "canceled");
+  assert.equal(normalizeStatus("Forfeit"), "canceled");
+});
+
+test("normalizeStatus: unknown or missing values are null", () => {
+  assert.equal(normalizeStatus("STATUS_RAIN_DANCE"), null);
+  assert.equal(normalizeStatus(""), null);
+  assert.equal(normalizeStatus(null), null);
+  assert.equal(normalizeStatus(undefined), null);
+});
+
+test("normalizeStatus: every result is a stored status", () => {
+  for (const raw of ["pre", "live", "post", "delayed", "suspended", "STATUS_END_PERIOD"]) {
+    assert.ok(GAME_STATUSES.includes(normalizeStatus(raw)), raw);
+  }
+});
+
+test("statusFor: a recognised status wins over scores and `completed`", () => {
+  assert.equal(statusFor({ status: "Postponed", home_score: 0, away_score: 0 }), "postponed");
+  assert.equal(statusFor({ status: "STATUS_IN_PROGRESS", completed: true }), "in_progress");
+});
+
+test("statusFor: without a usable status, falls back to completed / scores", () => {
+  assert.equal(statusFor({ completed: true }), "final");
+  assert.equal(statusFor({ status: "???", home_score: 7, away_score: 3 }), "in_progress");
+  assert.equal(statusFor({ home_score: 0, away_score: null }), "scheduled");
+  assert.equal(statusFor(), "scheduled");
+});
+
+test("isFinal / isVoid", () => {
+  assert.equal(isFinal({ status: "final", home_score: 21, away_score: 14 }), true);
+  assert.equal(isFinal({ status: "in_progress", home_score: 21, away_score: 14 }), false);
+  // rows selected without status: both scores in
+  assert.equal(isFinal({ home_score: 0, away_score: 0 }), true);
+  assert.equal(isFinal({ home_score: 3, away_score: null }), false);
+  assert.equal(isFinal(null), false);
+
+  assert.equal(isVoid({ status: "postponed" }), true);
+  assert.equal(isVoid({ status: "canceled" }), true);
+  assert.equal(isVoid({ status: "final" }), false);
+  assert.equal(isVoid(null), false);
+});
@@ -0,0 +1,25 @@
+// backend/test/helpers.js
+// Shared setup for the unit tests (not a test file itself).
+
+/**
+ * Swap ../db for a stub before any service requires it, so no connection is
+ * made. Returns the stub; set `stub.query = async (sql, params) => ({ rows })`
+ * to answer the queries a test expects (anything else throws by default).
+ */
+function stubDb() {
+  const path = require.resolve("../db");
+  const stub = {
+    query: async () => {
+      throw new Error("no database in unit tests");
+    },
+  };
+  require.cache[path] = {
+    id: path,
+    filename: path,
+    loaded: true,
+    exports: { query: (sql, params) => stub.query(sql, params), pool: {} },
+  };
+  return stub;
+}
+
+module.exports = { stubDb };
@@ -0,0 +1,64 @@
+// backend/test/oddsLines.test.js
+// One line per game from many bookmakers: services/odds.Ingestor.js selectLine().
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers").stubDb();
+
+const { selectLine } = require("../services/odds.Ingestor");
+
+const GAME = { home_team: "Kansas City Chiefs", away_team: "Baltimore Ravens" };
+const book = (bookmaker, favorite, spread, over_under = null, title = bookmaker) =>
+  ({ bookmaker, title, favorite, spread, over_under });
+
+const BOOKS = [
+  book("fanduel", "Chiefs", 3, 46.5),
+  book("draftkings", "KC", 2.5, 47),
+  book("betmgm", "Kansas City Chiefs", 3.5, 46),
+  book("pointsbet", "Ravens", 1, 48),
+];
+
+test("preferred: first bookmaker in the preferred order", () => {
+  assert.deepEqual(selectLine(BOOKS, GAME), {
+    favorite: "Kansas City Chiefs", spread: 2.5, over_under: 47, source: "draftkings", books_used: 1,
+  });
+  assert.equal(selectLine(BOOKS, GAME, { bookmakers: ["betmgm"] }).spread, 3.5);
+  assert.equal(selectLine(BOOKS, GAME, { bookmakers: ["caesars"] }), null);
+});
+
+test("preferred: bookmakers are also matched by title", () => {
+  const line = selectLine([book("wh", "Ravens", 2, null, "Caesars Sportsbook")], GAME);
+  assert.equal(line.source, "wh");
+  assert.equal(line.favorite, "Baltimore Ravens");
+  assert.equal(line.over_under, null);
+});
+
+test("consensus: mean of every book, rounded to the half point", () => {
+  // home handicaps -3, -2.5, -3.5, +1 -> mean -2; totals mean 46.875 -> 47
+  assert.deepEqual(selectLine(BOOKS, GAME, { method: "consensus" }), {
+    favorite: "Kansas City Chiefs", spread: 2, over_under: 47, source: "consensus", books_used: 4,
+  });
+});
+
+test("median: middle of every book, rounded to the half point", () => {
+  // home handicaps -3.5, -3, +1 -> -3 ; totals 46, 46.5, 48 -> 46.5
+  const books = BOOKS.filter((b) => b.bookmaker !== "draftkings");
+  assert.deepEqual(selectLine(books, GAME, { method: "median" }), {
+    favorite: "Kansas City Chiefs", spread: 3, over_under: 46.5, source: "median", books_used: 3,
+  });
+  // even count: mean of the middle two (-3, -2.5 -> -2.75 -> -2.5)
+  assert.equal(selectLine(BOOKS.slice(0, 3).concat(book("wynn", "Chiefs", 2)), GAME, { method: "median" }).spread, 2.5);
+});
+
+test("pick'em and unusable books", () => {
+  const pk = selectLine([book("draftkings", null, 0, 44)], GAME);
+  assert.equal(pk.favorite, null);
+  assert.equal(pk.spread, 0);
+
+  // favorite not in this game: spread ignored, total still used
+  const other = selectLine([book("draftkings", "Bills", 3, 44)], GAME, { method: "consensus" });
+  assert.equal(other.spread, null);
+  assert.equal(other.over_under, 44);
+
+  assert.equal(selectLine([book("draftkings", "Bills", 3)], GAME), null);
+  assert.equal(selectLine([], GAME, { method: "median" }), null);
+});
@@ -0,0 +1,157 @@
+// backend/test/pickLocks.test.js
+// Lock decisions of services/pickLocks.js checkPickLock / checkPredictionLock,
+// answered from an in-memory week instead of the database.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stubDb } = require("./helpers");
+
+const db = stubDb();
+const { checkPickLock, checkPredictionLock } = require("../services/pickLocks");
+
+const NOW = new Date("2024-09-08T18:00:00Z"); // Sunday, 2pm ET
+const hours = (n) => new Date(NOW.getTime() + n * 3600 * 1000);
+
+/** Answer pickLocks' queries from `week`: { override, extension, sunday, kickoffs, gotw } */
+function useWeek(week = {}) {
+  const one = (v, row) => ({ rows: v ? [row] : [] });
+  db.query = async (sql, params) => {
+    if (sql.includes("information_schema")) return { rows: [{ column_name: "kickoff" }] };
+    if (sql.includes("week_lock_overrides")) return one(week.override, week.override);
+    if (sql.includes("pick_deadline_extensions")) return one(week.extension, { until: week.extension });
+    if (sql.includes("game_of_the_week")) return one(week.gotw, { ko: week.gotw });
+    if (sql.includes("EXTRACT(DOW")) return one(week.sunday, { ko: week.sunday });
+    if (sql.includes("FROM games")) return one(week.kickoffs?.[params[1]], { ko: week.kickoffs?.[params[1]] });
+    throw new Error(`unexpected query: ${sql}`);
+  };
+}
+
+function withPolicy(policy) {
+  process.env.PICK_LOCK_POLICY = policy;
+}
+
+const KICKOFFS = { Chiefs: hours(-3), Bills: hours(1), Eagles: hours(5) };
+const lock = (args) => checkPickLock({ week: 1, leagueId: 1, userId: 7, now: NOW, ...args });
+
+/* -----------------------------------------------------------------------------
+ * "game" policy
+ * --------------------------------------------------------------------------- */
+test("game policy: a game that hasn't kicked off is open until its kickoff", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS });
+  const r = await lock({ team: "Bills" });
+  assert.equal(r.locked, false);
+  assert.equal(r.policy, "game");
+  assert.deepEqual(r.lock_at, KICKOFFS.Bills);
+});
+
+test("game policy: a game that has kicked off is locked", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS });
+  const r = await lock({ team: "Chiefs" });
+  assert.equal(r.locked, true);
+  assert.equal(r.reason, "game_started");
+});
+
+test("game policy: switching away from a started game is locked", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS });
+  const r = await lock({ team: "Eagles", previousTeam: "Chiefs" });
+  assert.equal(r.locked, true);
+  assert.equal(r.reason, "previous_game_started");
+});
+
+test("game policy: resubmitting the same started pick is not a switch", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS });
+  const r = await lock({ team: "Chiefs", previousTeam: "Chiefs" });
+  assert.equal(r.reason, "game_started");
+});
+
+/* -----------------------------------------------------------------------------
+ * GOTW / POTW predictions
+ * --------------------------------------------------------------------------- */
+test("predictions lock at the game of the week's kickoff", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS, gotw: hours(-1) });
+  const r = await checkPredictionLock({ week: 1, leagueId: 1, userId: 7, now: NOW });
+  assert.equal(r.locked, true);
+  assert.equal(r.reason, "gotw_started");
+});
+
+test("predictions stay open before the GOTW kickoff or when no GOTW is set", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS, gotw: hours(2) });
+  const before = await checkPredictionLock({ week: 1, leagueId: 1, userId: 7, now: NOW });
+  assert.equal(before.locked, false);
+  assert.deepEqual(before.lock_at, hours(2));
+
+  useWeek({ kickoffs: KICKOFFS });
+  const none = await checkPredictionLock({ week: 1, leagueId: 1, userId: 7, now: NOW });
+  assert.equal(none.locked, false);
+});
+
+/* -----------------------------------------------------------------------------
+ * "week" policy, admin overrides and deadline extensions
+ * --------------------------------------------------------------------------- */
+test("week policy: every pick locks at the first Sunday kickoff", async () => {
+  withPolicy("week");
+  useWeek({ kickoffs: KICKOFFS, sunday: hours(-5) });
+  const r = await lock({ team: "Eagles" });
+  assert.equal(r.locked, true);
+  assert.equal(r.reason, "week_locked");
+
+  useWeek({ kickoffs: KICKOFFS, sunday: hours(1) });
+  const open = await lock({ team: "Chiefs" });
+  assert.equal(open.locked, false); // Thursday game, but the week hasn't locked yet
+  assert.deepEqual(open.lock_at, hours(1));
+});
+
+test("an admin-locked week is locked for every game", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS, override: { mode: "locked", lock_at: null, updated_at: hours(-1) } });
+  const r = await lock({ team: "Eagles" });
+  assert.equal(r.locked, true);
+  assert.equal(r.reason, "admin_locked");
+});
+
+test("an unlocked week still locks games that already kicked off", async () => {
+  const override = { mode: "unlocked", lock_at: hours(24), updated_at: hours(-1) };
+  for (const policy of ["game", "week"]) {
+    withPolicy(policy);
+    useWeek({ kickoffs: KICKOFFS, sunday: hours(-5), override });
+    const started = await lock({ team: "Chiefs" });
+    assert.equal(started.reason, "game_started", policy);
+    const switched = await lock({ team: "Eagles", previousTeam: "Chiefs" });
+    assert.equal(switched.reason, "previous_game_started", policy);
+    const open = await lock({ team: "Eagles" });
+    assert.equal(open.locked, false, policy);
+    assert.deepEqual(open.lock_at, KICKOFFS.Eagles, policy);
+  }
+});
+
+test("an unlocked week locks again at its lock_at", async () => {
+  withPolicy("game");
+  useWeek({ kickoffs: KICKOFFS, override: { mode: "unlocked", lock_at: hours(-1), updated_at: hours(-2) } });
+  const r = await lock({ team: "Eagles" });
+  assert.equal(r.locked, true);
+  assert.equal(r.reason, "week_locked");
+});
+
+test("a deadline extension reopens a locked week for games not yet started", async () => {
+  withPolicy("week");
+  useWeek({ kickoffs: KICKOFFS, sunday: hours(-5), extension: hours(3) });
+  const open = await lock({ team: "Eagles" });
+  assert.equal(open.locked, false);
+  assert.deepEqual(open.extended_until, hours(3));
+  assert.deepEqual(open.lock_at, hours(3));
+
+  const started = await lock({ team: "Chiefs" });
+  assert.equal(started.reason, "game_started");
+});
+
+test("an expired deadline extension falls back to the week lock", async () => {
+  withPolicy("week");
+  useWeek({ kickoffs: KICKOFFS, sunday: hours(-5), extension: hours(-1) });
+  const r = await lock({ team: "Eagles" });
+  assert.equal(r.reason, "week_locked");
+});
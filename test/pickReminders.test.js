@@ -0,0 +1,32 @@
+// backend/test/pickReminders.test.js
+// Reminder offsets and which one is due (services/pickReminders.js).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers").stubDb();
+
+const { reminderOffsets, dueOffset } = require("../services/pickReminders");
+
+test("reminderOffsets: hours, minutes and bare numbers, largest first", () => {
+  assert.deepEqual(reminderOffsets("2h, 24h"), [1440, 120]);
+  assert.deepEqual(reminderOffsets("90m,1.5h,3"), [180, 90]); // duplicates collapse
+  assert.deepEqual(reminderOffsets("30 m"), [30]);
+});
+
+test("reminderOffsets: junk entries are dropped, empty falls back to 24h,2h", () => {
+  assert.deepEqual(reminderOffsets("soon, 0h, -2h, 6h"), [360]);
+  assert.deepEqual(reminderOffsets(""), [1440, 120]);
+  assert.deepEqual(reminderOffsets(null), [1440, 120]);
+});
+
+test("dueOffset: the smallest offset whose window has opened", () => {
+  const lockAt = new Date("2024-09-08T17:00:00Z");
+  const at = (h) => new Date(lockAt.getTime() - h * 3600 * 1000);
+  const offsets = [1440, 120];
+  assert.equal(dueOffset(lockAt, offsets, at(30)), null); // too early
+  assert.equal(dueOffset(lockAt, offsets, at(20)), 1440);
+  assert.equal(dueOffset(lockAt, offsets, at(24)), 1440); // exactly on the mark
+  assert.equal(dueOffset(lockAt, offsets, at(1)), 120); // missed the 24h window: only the 2h one
+  assert.equal(dueOffset(lockAt, offsets, at(0)), null); // locked
+  assert.equal(dueOffset(lockAt, offsets, at(-1)), null);
+  assert.equal(dueOffset(lockAt, [], at(1)), null);
+});
@@ -0,0 +1,271 @@
+// backend/test/scoring.test.js
+// Locks in the default scoring rules of services/scoring.js scoreWeek().
+// Run with `npm test` (node:test, no database needed).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// scoreWeek is pure; keep the DB module from connecting when scoring.js loads
+require("./helpers").stubDb();
+delete process.env.DOUBLE_WEEKS; // default multiplier weeks: 13 and 17
+
+const { DEFAULT_RULES } = require("../services/scoringRules");
+const { scoreWeek, validateConfidencePicks } = require("../services/scoring");
+
+/* -----------------------------------------------------------------------------
+ * Fixtures
+ * --------------------------------------------------------------------------- */
+const GAMES = [
+  // favorite wins
+  { id: 1, home_team: "Chiefs", away_team: "Broncos", home_score: 24, away_score: 17, status: "final", favorite: "Chiefs" },
+  // underdog wins
+  { id: 2, home_team: "Bills", away_team: "Dolphins", home_score: 10, away_score: 20, status: "final", favorite: "Bills" },
+  // no line
+  { id: 3, home_team: "Jets", away_team: "Patriots", home_score: 13, away_score: 16, status: "final", favorite: null },
+  // GOTW game, total 41
+  { id: 4, home_team: "Eagles", away_team: "Cowboys", home_score: 21, away_score: 20, status: "final", favorite: "Eagles" },
+  // still being played
+  { id: 5, home_team: "Rams", away_team: "49ers", home_score: 14, away_score: 3, status: "in_progress", favorite: "49ers" },
+];
+
+function pick(userId, team, extra = {}) {
+  return {
+    user_id: userId,
+    team,
+    name: `User ${userId}`,
+    gotw_prediction: null,
+    potw_prediction: null,
+    submitted_at: "2024-09-08T12:00:00Z",
+    ...extra,
+  };
+}
+
+function byUser(result) {
+  return new Map(result.picks.map((p) => [p.user_id, p]));
+}
+
+/* -----------------------------------------------------------------------------
+ * Pick points
+ * --------------------------------------------------------------------------- */
+test("correct favorite earns 1, correct underdog or no-line pick earns 2, a loss 0", () => {
+  const result = scoreWeek({
+    week: 1,
+    games: GAMES,
+    picks: [pick(1, "Chiefs"), pick(2, "Dolphins"), pick(3, "Bills"), pick(4, "Patriots")],
+  });
+  const p = byUser(result);
+
+  assert.equal(p.get(1).base_points, 1);
+  assert.equal(p.get(1).is_favorite, true);
+  assert.equal(p.get(1).correct_favorites, 1);
+
+  assert.equal(p.get(2).base_points, 2);
+  assert.equal(p.get(2).is_favorite, false);
+  assert.equal(p.get(2).correct_underdogs, 1);
+
+  assert.equal(p.get(3).base_points, 0);
+  assert.equal(p.get(3).is_correct_pick, false);
+
+  assert.equal(p.get(4).base_points, 2);
+  assert.equal(p.get(4).is_favorite, null);
+  assert.equal(p.get(4).correct_underdogs, 1);
+});
+
+test("a game that isn't final scores nothing yet", () => {
+  const result = scoreWeek({ week: 1, games: GAMES, picks: [pick(1, "Rams")] });
+  assert.equal(result.picks[0].is_correct_pick, false);
+  assert.equal(result.picks[0].total_points, 0);
+});
+
+/* -----------------------------------------------------------------------------
+ * Game of the week
+ * --------------------------------------------------------------------------- */
+test("GOTW podium awards 3/2/1 by closest total, POTW distance breaking ties", () => {
+  const result = scoreWeek({
+    week: 1,
+    games: GAMES,
+    gotw: { home_team: "Eagles", away_team: "Cowboys", game_total_points: 41 },
+    potwYards: 100,
+    picks: [
+      pick(1, "Chiefs", { gotw_prediction: 40 }),                        // off by 1
+      pick(2, "Chiefs", { gotw_prediction: 43, potw_prediction: 90 }),   // off by 2, POTW off by 10
+      pick(3, "Chiefs", { gotw_prediction: 39, potw_prediction: 95 }),   // off by 2, POTW off by 5
+      pick(4, "Chiefs", { gotw_prediction: 50 }),                        // off by 9
+      pick(5, "Chiefs"),                                                  // no prediction
+    ],
+  });
+
+  assert.equal(result.gotw_actual, 41);
+  assert.deepEqual(result.podium, [
+    { user_id: 1, award: 3 },
+    { user_id: 3, award: 2 },
+    { user_id: 2, award: 1 },
+  ]);
+  const p = byUser(result);
+  assert.equal(p.get(1).gotw_points, 3);
+  assert.equal(p.get(3).gotw_points, 2);
+  assert.equal(p.get(2).gotw_points, 1);
+  assert.equal(p.get(4).gotw_rank, 4);
+  assert.equal(p.get(4).gotw_points, 0);
+  assert.equal(p.get(5).gotw_rank, null);
+});
+
+test("GOTW ties fall back to the earlier submission, then the lower user_id", () => {
+  const result = scoreWeek({
+    week: 1,
+    games: GAMES,
+    gotw: { home_team: "Eagles", away_team: "Cowboys", game_total_points: 41 },
+    picks: [
+      pick(7, "Chiefs", { gotw_prediction: 42, submitted_at: "2024-09-08T15:00:00Z" }),
+      pick(8, "Chiefs", { gotw_prediction: 40, submitted_at: "2024-09-08T10:00:00Z" }),
+      pick(3, "Chiefs", { gotw_prediction: 42, submitted_at: "2024-09-08T15:00:00Z" }),
+    ],
+  });
+  assert.deepEqual(result.podium.map((p) => p.user_id), [8, 3, 7]);
+});
+
+test("GOTW total comes from the final score when no total was entered", () => {
+  const result = scoreWeek({
+    week: 1,
+    games: GAMES,
+    gotw: { home_team: "Eagles", away_team: "Cowboys", game_total_points: null },
+    picks: [pick(1, "Chiefs", { gotw_prediction: 41 })],
+  });
+  assert.equal(result.gotw_actual, 41);
+  assert.deepEqual(result.podium, [{ user_id: 1, award: 3 }]);
+});
+
+/* -----------------------------------------------------------------------------
+ * Player of the week
+ * --------------------------------------------------------------------------- */
+test("POTW exact yards earn 3; near misses earn nothing", () => {
+  const result = scoreWeek({
+    week: 1,
+    games: GAMES,
+    potwYards: 112,
+    picks: [pick(1, "Bills", { potw_prediction: 112 }), pick(2, "Bills", { potw_prediction: 111 })],
+  });
+  const p = byUser(result);
+  assert.deepEqual(result.potw_exact, [{ user_id: 1, award: 3 }]);
+  assert.equal(p.get(1).potw_exact, true);
+  assert.equal(p.get(1).potw_points, 3);
+  assert.equal(p.get(1).total_points, 3);
+  assert.equal(p.get(2).potw_points, 0);
+});
+
+/* -----------------------------------------------------------------------------
+ * Multiplier weeks
+ * --------------------------------------------------------------------------- */
+test("weeks 13 and 17 double pick, GOTW and POTW points", () => {
+  assert.deepEqual(DEFAULT_RULES.multiplier_weeks, { 13: 2, 17: 2 });
+  const input = {
+    games: GAMES,
+    gotw: { home_team: "Eagles", away_team: "Cowboys", game_total_points: 41 },
+    potwYards: 80,
+    picks: [pick(1, "Dolphins", { gotw_prediction: 41, potw_prediction: 80 })],
+  };
+
+  const normal = scoreWeek({ ...input, week: 12 }).picks[0];
+  assert.equal(normal.factor, 1);
+  assert.equal(normal.total_points, 2 + 3 + 3);
+
+  for (const week of [13, 17]) {
+    const doubled = scoreWeek({ ...input, week }).picks[0];
+    assert.equal(doubled.factor, 2);
+    assert.equal(doubled.base_points, 4);
+    assert.equal(doubled.gotw_points, 6);
+    assert.equal(doubled.potw_points, 6);
+    assert.equal(doubled.total_points, 16);
+  }
+});
+
+test("rules.multiplier_weeks replaces the default multiplier weeks", () => {
+  const rules = { ...DEFAULT_RULES, multiplier_weeks: { 5: 3 } };
+  const picks = [pick(1, "Chiefs")];
+  assert.equal(scoreWeek({ week: 5, games: GAMES, picks, rules }).picks[0].total_points, 3);
+  assert.equal(scoreWeek({ week: 13, games: GAMES, picks, rules }).picks[0].total_points, 1);
+});
+
+/* -----------------------------------------------------------------------------
+ * Weekly winner
+ * --------------------------------------------------------------------------- */
+test("weekly winner has the most points", () => {
+  const result = scoreWeek({
+    week: 1,
+    games: GAMES,
+    picks: [pick(1, "Chiefs"), pick(2, "Dolphins"), pick(3, "Bills")],
+  });
+  assert.equal(result.weekly_winner_user_id, 2);
+  assert.deepEqual(result.rows.map((r) => r.user_id), [2, 1, 3]);
+  assert.deepEqual(result.rows.map((r) => r.is_weekly_winner), [true, false, false]);
+});
+
+test("weekly winner ties go to the closer POTW guess, then the earlier pick", () => {
+  const potwTie = scoreWeek({
+    week: 1,
+    games: GAMES,
+    potwYards: 100,
+    picks: [
+      pick(1, "Dolphins", { potw_prediction: 70 }),
+      pick(2, "Patriots", { potw_prediction: 98 }),
+    ],
+  });
+  assert.equal(potwTie.weekly_winner_user_id, 2);
+
+  const timeTie = scoreWeek({
+    week: 1,
+    games: GAMES,
+    picks: [
+      pick(1, "Dolphins", { submitted_at: "2024-09-08T16:00:00Z" }),
+      pick(2, "Patriots", { submitted_at: "2024-09-08T09:00:00Z" }),
+    ],
+  });
+  assert.equal(timeTie.weekly_winner_user_id, 2);
+});
+
+test("nobody wins a week in which nobody scored", () => {
+  const result = scoreWeek({ week: 1, games: GAMES, picks: [pick(1, "Bills"), pick(2, "Broncos")] });
+  assert.equal(result.weekly_winner_user_id, null);
+  assert.ok(result.picks.every((p) => !p.is_weekly_winner));
+});
+
+/* -----------------------------------------------------------------------------
+ * Confidence submissions
+ * --------------------------------------------------------------------------- */
+const WEEK = [
+  { id: 10, home_team: "Buffalo Bills", away_team: "New York Jets" },
+  { id: 11, home_team: "Kansas City Chiefs", away_team: "Denver Broncos" },
+  { id: 12, home_team: "Philadelphia Eagles", away_team: "Dallas Cowboys" },
+];
+const entry = (game_id, team, confidence) => ({ game_id, team, confidence });
+
+test("confidence picks: a full 1..N permutation is valid and teams are normalized", () => {
+  const entries = [entry(10, "BUF", 3), entry(11, "Broncos", 1), entry(12, "Dallas Cowboys", 2)];
+  assert.equal(validateConfidencePicks(entries, WEEK), null);
+  assert.deepEqual(entries.map((e) => e.team), ["Buffalo Bills", "Denver Broncos", "Dallas Cowboys"]);
+});
+
+test("confidence picks: every game must be picked exactly once", () => {
+  assert.match(validateConfidencePicks([entry(10, "Bills", 1)], WEEK), /expected 3 picks, got 1/);
+  assert.match(
+    validateConfidencePicks([entry(10, "Bills", 1), entry(10, "Jets", 2), entry(11, "Chiefs", 3)], WEEK),
+    /picked more than once/
+  );
+  assert.match(
+    validateConfidencePicks([entry(10, "Bills", 1), entry(11, "Chiefs", 2), entry(99, "Eagles", 3)], WEEK),
+    /Unknown game_id 99/
+  );
+  assert.equal(validateConfidencePicks("nope", WEEK), "picks must be an array");
+});
+
+test("confidence picks: the team must play in that game", () => {
+  const err = validateConfidencePicks([entry(10, "Chiefs", 1), entry(11, "Chiefs", 2), entry(12, "Eagles", 3)], WEEK);
+  assert.match(err, /game 10 must be New York Jets or Buffalo Bills/);
+});
+
+test("confidence picks: values must be whole numbers 1..N, each used once", () => {
+  const picks = (a, b, c) => [entry(10, "Bills", a), entry(11, "Chiefs", b), entry(12, "Eagles", c)];
+  assert.match(validateConfidencePicks(picks(1, 2, 4), WEEK), /from 1 to 3/);
+  assert.match(validateConfidencePicks(picks(0, 1, 2), WEEK), /from 1 to 3/);
+  assert.match(validateConfidencePicks(picks(1.5, 2, 3), WEEK), /from 1 to 3/);
+  assert.match(validateConfidencePicks(picks(1, 2, 2), WEEK), /Confidence 2 is used more than once/);
+});
@@ -0,0 +1,62 @@
+// backend/test/survivor.test.js
+// Survivor results and the per-entrant summary of services/survivor.js.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers").stubDb();
+
+const { survivorResult, summarize } = require("../services/survivor");
+
+const NOW = new Date("2024-09-29T12:00:00Z");
+
+/** A survivor pick row joined to its game, as loadSurvivorPicks returns it */
+function pick(week, team, opponent, { score, status = "final", kickoff = "2024-09-08T17:00:00Z" } = {}) {
+  const [hs, as] = score || [null, null];
+  return { week, team, home_team: team, away_team: opponent, home_score: hs, away_score: as, status, kickoff };
+}
+
+test("survivorResult: wins, losses, ties, void and pending games", () => {
+  assert.equal(survivorResult(pick(1, "Bills", "Jets", { score: [24, 17] }), "Bills"), "win");
+  assert.equal(survivorResult(pick(1, "Bills", "Jets", { score: [17, 24] }), "Bills"), "loss");
+  assert.equal(survivorResult(pick(1, "Bills", "Jets", { score: [20, 20] }), "Bills"), "loss");
+  assert.equal(survivorResult(pick(1, "Bills", "Jets", { status: "postponed" }), "Bills"), "void");
+  assert.equal(survivorResult(pick(1, "Bills", "Jets", { status: "in_progress", score: [7, 0] }), "Bills"), "pending");
+  assert.equal(survivorResult(null, "Bills"), "pending");
+});
+
+test("summarize: an entrant with only wins is alive", () => {
+  const s = summarize([
+    pick(1, "Bills", "Jets", { score: [24, 17] }),
+    pick(2, "Chiefs", "Bengals", { score: [26, 25] }),
+  ], NOW);
+  assert.equal(s.status, "alive");
+  assert.equal(s.eliminated_week, null);
+  assert.deepEqual(s.used_teams.map((u) => [u.week, u.team, u.result]), [[1, "Bills", "win"], [2, "Chiefs", "win"]]);
+});
+
+test("summarize: the first loss (or tie) is the elimination week", () => {
+  const s = summarize([
+    pick(1, "Bills", "Jets", { score: [24, 17] }),
+    pick(2, "Chiefs", "Bengals", { score: [20, 20] }),
+    pick(3, "Eagles", "Saints", { score: [10, 30] }),
+  ], NOW);
+  assert.equal(s.status, "eliminated");
+  assert.equal(s.eliminated_week, 2);
+});
+
+test("summarize: a void pick survives the week and still uses the team", () => {
+  const s = summarize([pick(1, "Bills", "Jets", { status: "canceled" })], NOW);
+  assert.equal(s.status, "alive");
+  assert.deepEqual(s.used_teams, [{ week: 1, team: "Bills", hidden: false, result: "void" }]);
+});
+
+test("summarize: teams stay hidden until their game kicks off", () => {
+  const s = summarize([
+    pick(4, "Lions", "Rams", { status: "scheduled", kickoff: "2024-09-29T17:00:00Z" }),
+    { week: 5, team: "Ravens" }, // no game found for the pick
+  ], NOW);
+  assert.deepEqual(s.used_teams, [
+    { week: 4, team: null, hidden: true, result: "pending" },
+    { week: 5, team: null, hidden: true, result: "pending" },
+  ]);
+  assert.equal(s.status, "alive");
+});
@@ -0,0 +1,51 @@
+// backend/test/teams.test.js
+// Team name matching of services/teams.js (built-in registry, no database).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TEAMS, findTeam, teamName, matchTeam, loadTeams } = require("../services/teams");
+
+const WEEK = ["Los Angeles Rams", "Los Angeles Chargers", "Arizona Cardinals", "New York Jets", "Kansas City Chiefs"];
+
+test("findTeam: abbreviations, full names, nicknames and aliases", () => {
+  assert.equal(teamName("KC"), "Kansas City Chiefs");
+  assert.equal(teamName("kansas city chiefs"), "Kansas City Chiefs");
+  assert.equal(teamName("Chiefs"), "Kansas City Chiefs");
+  assert.equal(teamName("Cards"), "Arizona Cardinals");
+  assert.equal(teamName("St. Louis Rams"), "Los Angeles Rams");
+  assert.equal(findTeam("  "), null);
+  assert.equal(findTeam("Vikes and Pack"), null);
+});
+
+test("findTeam: short prefix + nickname", () => {
+  assert.equal(teamName("NY Jets"), "New York Jets");
+  assert.equal(teamName("LA Rams"), "Los Angeles Rams");
+  assert.equal(teamName("LA Chargers"), "Los Angeles Chargers");
+});
+
+test("findTeam: \"LA\" alone is ambiguous and matches no team", () => {
+  assert.equal(teamName("LA"), null);
+  assert.equal(matchTeam("LA", WEEK), null);
+});
+
+test("matchTeam: returns the candidate as spelled in the games", () => {
+  assert.equal(matchTeam("ari", WEEK), "Arizona Cardinals");
+  assert.equal(matchTeam("Cards", WEEK), "Arizona Cardinals");
+  assert.equal(matchTeam("LAC", WEEK), "Los Angeles Chargers");
+  assert.equal(matchTeam("Bills", WEEK), null); // not playing this week
+});
+
+test("matchTeam: unique prefixes of 4+ characters", () => {
+  assert.equal(matchTeam("Kansas City", WEEK), "Kansas City Chiefs");
+  assert.equal(matchTeam("Arizona", WEEK), "Arizona Cardinals");
+  assert.equal(matchTeam("Los Angeles", WEEK), null); // Rams or Chargers
+  assert.equal(matchTeam("New", WEEK), null); // too short
+});
+
+test("loadTeams: aliases read as \"{a,b}\" array literals still match", async () => {
+  const rows = TEAMS.map((t) => ({ ...t, aliases: `{${t.aliases.map((a) => `"${a}"`).join(",")}}` }));
+  await loadTeams({ query: async () => ({ rows }) }, { force: true });
+  assert.equal(teamName("Cards"), "Arizona Cardinals");
+  assert.equal(teamName("St. Louis Rams"), "Los Angeles Rams");
+  assert.equal(teamName("LA"), null);
+});
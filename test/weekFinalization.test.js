@@ -0,0 +1,44 @@
+// backend/test/weekFinalization.test.js
+// Standings snapshots and the movement logged when a week is reopened
+// (services/weekFinalization.js).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers").stubDb();
+
+const { standingsSnapshot, standingsChanges } = require("../services/weekFinalization");
+
+const row = (user_id, name, total_points) => ({ user_id, name, total_points, picks: [] });
+
+test("standingsSnapshot: ranks in table order, ties share a rank", () => {
+  const snap = standingsSnapshot([row(1, "Ann", 12), row(2, "Bo", 9), row(3, "Cy", 9), row(4, "Di", 4)]);
+  assert.deepEqual(snap, [
+    { user_id: 1, name: "Ann", total_points: 12, rank: 1 },
+    { user_id: 2, name: "Bo", total_points: 9, rank: 2 },
+    { user_id: 3, name: "Cy", total_points: 9, rank: 2 },
+    { user_id: 4, name: "Di", total_points: 4, rank: 4 },
+  ]);
+  assert.deepEqual(standingsSnapshot([]), []);
+});
+
+test("standingsChanges: nothing moved, nothing logged", () => {
+  const snap = standingsSnapshot([row(1, "Ann", 12), row(2, "Bo", 9)]);
+  assert.deepEqual(standingsChanges(snap, snap), []);
+});
+
+test("standingsChanges: only users whose points or rank changed, by new rank", () => {
+  const before = standingsSnapshot([row(1, "Ann", 12), row(2, "Bo", 9), row(3, "Cy", 7)]);
+  const after = standingsSnapshot([row(2, "Bo", 13), row(1, "Ann", 12), row(3, "Cy", 7)]);
+  assert.deepEqual(standingsChanges(before, after), [
+    { user_id: 2, name: "Bo", before: { total_points: 9, rank: 2 }, after: { total_points: 13, rank: 1 } },
+    { user_id: 1, name: "Ann", before: { total_points: 12, rank: 1 }, after: { total_points: 12, rank: 2 } },
+  ]);
+});
+
+test("standingsChanges: users who appear or drop out of the table", () => {
+  const before = standingsSnapshot([row(1, "Ann", 12), row(2, "Bo", 9)]);
+  const after = standingsSnapshot([row(1, "Ann", 12), row(3, "Cy", 10)]);
+  assert.deepEqual(standingsChanges(before, after), [
+    { user_id: 3, name: "Cy", before: null, after: { total_points: 10, rank: 2 } },
+    { user_id: 2, name: "Bo", before: { total_points: 9, rank: 2 }, after: null },
+  ]);
+});